@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Bot runner - starts one or more headless GommoBot players against a game server
+ *
+ * Usage: node bot-runner.mjs [--server http://localhost:8080] [--count 1] [--strategy cautious]
+ *                            [--name bot] [--interval 1000] [--stagger 200]
+ * --strategy takes a built-in name (random, cautious, engine) or a path to a module whose default
+ * export (or `createStrategy` export) is a factory returning a strategy object.
+ * Ctrl+C stops the bots and prints per-bot stats.
+ */
+
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { runBots, STRATEGIES } from './bot.js';
+
+function parseArgs(argv) {
+    const options = { serverUrl: 'http://localhost:8080', count: 1, strategy: 'cautious', namePrefix: 'bot' };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split('=');
+        const value = inlineValue ?? argv[++i];
+        switch (flag) {
+            case '--server':
+                options.serverUrl = value;
+                break;
+            case '--count':
+                options.count = Number(value);
+                break;
+            case '--strategy':
+                options.strategy = value;
+                break;
+            case '--name':
+                options.namePrefix = value;
+                break;
+            case '--interval':
+                options.interval = Number(value);
+                break;
+            case '--stagger':
+                options.stagger = Number(value);
+                break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+    return options;
+}
+
+async function resolveStrategy(name) {
+    if (STRATEGIES[name]) {
+        return STRATEGIES[name];
+    }
+
+    const module = await import(pathToFileURL(path.resolve(name)).href);
+    const factory = module.createStrategy || module.default;
+    if (typeof factory !== 'function') {
+        throw new Error(`Strategy module ${name} must export a createStrategy() factory`);
+    }
+    return factory;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const createStrategy = await resolveStrategy(options.strategy);
+const bots = await runBots({ ...options, createStrategy });
+
+if (bots.length === 0) {
+    console.error('No bots could join, exiting');
+    process.exit(1);
+}
+console.log(`${bots.length} bot(s) playing on ${options.serverUrl} with the ${options.strategy} strategy`);
+
+process.on('SIGINT', () => {
+    bots.forEach(bot => {
+        bot.stop();
+        console.log(`[${bot.name}] ${bot.stats.turnsPlayed} turns, ${bot.stats.errors} errors, ${bot.stats.alive ? 'alive' : 'dead'}`);
+    });
+    process.exit(0);
+});
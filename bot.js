@@ -0,0 +1,274 @@
+/**
+ * Gommo Bot SDK - headless automated players built on GommoClient
+ *
+ * A bot registers a player, then once per server turn hands a strategy the formatted
+ * surroundings, hand and available actions and applies the returned decision.
+ * Strategies are plain objects with a `decide(context)` method, so custom ones can be
+ * plugged in without touching the runtime.
+ */
+
+import { GommoClient, GommoConstants } from './gommo-client.js';
+import { StrategyEngine } from './strategy-engine.js';
+
+const { DIRECTIONS, CARDS } = GommoConstants;
+
+/**
+ * @typedef {Object} BotDecision
+ * @property {string} direction - 'north', 'east', 'south', 'west' or 'stay'
+ * @property {string} [play] - Card to play ('weapon', 'dice', ...), omitted to leave unchanged
+ * @property {string} [consume] - Card to consume ('food', 'wood'), omitted to consume nothing
+ * @property {string} [discard] - Card to discard at the end of the turn, omitted to keep the hand
+ */
+
+/**
+ * Picks a random available direction and occasionally eats
+ */
+class RandomStrategy {
+    constructor(random = Math.random) {
+        this.random = random;
+    }
+
+    decide({ actions, hand }) {
+        const directions = actions.availableDirections;
+        const choice = directions[Math.floor(this.random() * directions.length)];
+        return {
+            direction: choice ? choice.direction : DIRECTIONS.STAY,
+            consume: hand.includes('Food') && this.random() < 0.3 ? CARDS.FOOD : undefined
+        };
+    }
+}
+
+/**
+ * Follows the client's recommendations: avoids zombies, eats regularly and brings
+ * a weapon when walking into a fight
+ */
+class CautiousStrategy {
+    constructor(options = {}) {
+        this.eatEvery = options.eatEvery || 4;
+        this.turnsSinceFood = 0;
+    }
+
+    decide({ actions, hand }) {
+        const recommendations = actions.recommendations || [];
+        const escape = recommendations.find(rec => rec.type === 'movement' && rec.priority === 'high');
+
+        // Prefer the recommended escape, else the emptiest tile that is not the current one
+        const candidates = actions.availableDirections.slice().sort((a, b) => a.zombieCount - b.zombieCount);
+        const target = escape
+            ? candidates.find(dir => dir.name === escape.action)
+            : candidates.find(dir => dir.name !== 'stay' && dir.safe) || candidates[0];
+
+        const decision = { direction: target ? target.direction : DIRECTIONS.STAY };
+
+        if (target && target.zombieCount > 0 && hand.includes('Weapon')) {
+            decision.play = CARDS.WEAPON;
+        }
+
+        this.turnsSinceFood++;
+        if (hand.includes('Food') && this.turnsSinceFood >= this.eatEvery) {
+            decision.consume = CARDS.FOOD;
+            this.turnsSinceFood = 0;
+        } else if (!decision.consume && target && target.zombieCount > 0 && hand.includes('Wood')) {
+            decision.consume = CARDS.WOOD;
+        }
+
+        return decision;
+    }
+}
+
+/**
+ * Acts on the strategy engine's ranked recommendations: takes the best scored move
+ * and any card advice that scores above `threshold`
+ */
+class EngineStrategy {
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? 0.3;
+    }
+
+    decide({ actions }) {
+        const recommendations = actions.recommendations || [];
+        const pick = (type) => {
+            const best = StrategyEngine.best(recommendations, type);
+            return best && best.score >= this.threshold ? best.action : undefined;
+        };
+
+        const move = StrategyEngine.best(recommendations, 'movement');
+        return {
+            direction: move ? move.action : DIRECTIONS.STAY,
+            play: pick('play'),
+            consume: pick('consume'),
+            discard: pick('discard')
+        };
+    }
+}
+
+/**
+ * Built-in strategy factories by name; each bot gets its own instance
+ */
+export const STRATEGIES = {
+    random: () => new RandomStrategy(),
+    cautious: () => new CautiousStrategy(),
+    engine: () => new EngineStrategy()
+};
+
+export class GommoBot {
+    /**
+     * @param {Object} options - Bot options
+     * @param {string} options.serverUrl - Game server base URL
+     * @param {string} options.name - Player name to register
+     * @param {Object} options.strategy - Object with a `decide(context)` method returning a BotDecision
+     * @param {number} options.interval - How often to check for a new turn in milliseconds (default: 1000)
+     * @param {GommoClient} options.client - Client to use instead of creating one
+     * @param {Object} options.logger - Console-like logger (default: console)
+     */
+    constructor(options = {}) {
+        if (!options.strategy || typeof options.strategy.decide !== 'function') {
+            throw new Error('Bot strategy must provide a decide(context) method');
+        }
+
+        this.name = options.name || 'bot';
+        this.strategy = options.strategy;
+        this.interval = options.interval || 1000;
+        this.client = options.client || new GommoClient(options.serverUrl, { transport: 'polling' });
+        this.logger = options.logger || console;
+
+        this.playerId = null;
+        // The turn the bot joins in needs a decision too
+        this._turnPending = true;
+        // Turn in which the bot last ate, or joined; the engine weighs food by it
+        this.lastMealTurn = null;
+        this._timer = null;
+        this._running = false;
+
+        this.stats = { turnsPlayed: 0, errors: 0, alive: true };
+
+        this.client.addEventListener(GommoConstants.CLIENT_EVENTS.TURN_ADVANCED, () => {
+            this._turnPending = true;
+        });
+    }
+
+    /**
+     * Register the player and start acting every turn
+     * @returns {Promise<string>} Player ID
+     */
+    async start() {
+        this.playerId = await this.client.addPlayer(this.name);
+        this._running = true;
+        this.logger.log(`[${this.name}] joined as ${this.playerId}`);
+        this._scheduleTick(0);
+        return this.playerId;
+    }
+
+    stop() {
+        this._running = false;
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        this.client.dispose();
+    }
+
+    _scheduleTick(delay) {
+        if (!this._running) return;
+        this._timer = setTimeout(async () => {
+            await this.tick();
+            this._scheduleTick(this.interval);
+        }, delay);
+    }
+
+    /**
+     * Check for a new turn and, if there is one, let the strategy decide it
+     */
+    async tick() {
+        try {
+            // Players join with a full stomach
+            if (this.lastMealTurn === null) {
+                this.lastMealTurn = (await this.client.getGameState()).Turn ?? null;
+            }
+
+            const { state, actions } = await this.client.getTurnContext(this.playerId, { lastMealTurn: this.lastMealTurn });
+            this.stats.alive = state.player.alive;
+
+            // The client sees new turns in the /config that getTurnContext fetched
+            if (!this._turnPending) return;
+            this._turnPending = false;
+
+            const turn = state.gameState.Turn;
+
+            const decision = await this.strategy.decide({
+                turn: state.gameState.Turn,
+                playerId: this.playerId,
+                player: state.player,
+                hand: state.player.cards.hand,
+                surroundings: state.surroundings,
+                gameState: state.gameState,
+                actions
+            });
+
+            await this._applyDecision(decision || {});
+            if (decision?.consume === CARDS.FOOD && state.player.cards.hand.includes('Food') && turn !== undefined) {
+                this.lastMealTurn = turn;
+            }
+            this.stats.turnsPlayed++;
+        } catch (error) {
+            this.stats.errors++;
+            this.logger.warn(`[${this.name}] turn failed: ${error.message}`);
+        }
+    }
+
+    async _applyDecision(decision) {
+        await this.client.setPlayerDirection(this.playerId, decision.direction || DIRECTIONS.STAY);
+        if (decision.play) {
+            await this.client.playCard(this.playerId, decision.play);
+        }
+        if (decision.consume) {
+            await this.client.playCard(this.playerId, decision.consume);
+        }
+        if (decision.discard) {
+            await this.client.discardCard(this.playerId, decision.discard);
+        }
+    }
+}
+
+/**
+ * Start several bots in one process, staggering joins so they do not all hit the server at once
+ * @param {Object} options - Runner options
+ * @param {string} options.serverUrl - Game server base URL
+ * @param {number} options.count - Number of bots (default: 1)
+ * @param {Function} options.createStrategy - Factory returning a strategy per bot (default: cautious)
+ * @param {string} options.namePrefix - Player name prefix (default: 'bot')
+ * @param {number} options.stagger - Delay between joins in milliseconds (default: 200)
+ * @param {number} options.interval - Per-bot turn check interval in milliseconds
+ * @param {Object} options.logger - Console-like logger shared by the bots (default: console)
+ * @returns {Promise<GommoBot[]>} Started bots
+ */
+export async function runBots(options = {}) {
+    const count = options.count || 1;
+    const createStrategy = options.createStrategy || STRATEGIES.cautious;
+    const namePrefix = options.namePrefix || 'bot';
+    const stagger = options.stagger ?? 200;
+    const bots = [];
+
+    for (let i = 0; i < count; i++) {
+        const bot = new GommoBot({
+            serverUrl: options.serverUrl,
+            name: `${namePrefix}-${i + 1}`,
+            strategy: createStrategy(i),
+            interval: options.interval,
+            logger: options.logger
+        });
+        try {
+            await bot.start();
+            bots.push(bot);
+        } catch (error) {
+            (options.logger || console).error(`[${bot.name}] failed to join: ${error.message}`);
+        }
+        if (stagger > 0 && i < count - 1) {
+            await new Promise(resolve => setTimeout(resolve, stagger));
+        }
+    }
+
+    return bots;
+}
+
+export { RandomStrategy, CautiousStrategy, EngineStrategy };
@@ -22,6 +22,25 @@ export class Card {
     }
   }
 
+  setDiscard(isDiscard) {
+    this.element.classList.toggle("discard", isDiscard);
+  }
+
+  /**
+   * Shows or clears a recommendation badge on the card
+   * @param {Object|null} hint - {badge, reason} or null to clear
+   */
+  setHint(hint) {
+    this.element.classList.toggle("hinted", !!hint);
+    if (hint) {
+      this.element.dataset.hint = hint.badge;
+      this.element.title = hint.reason || "";
+    } else {
+      delete this.element.dataset.hint;
+      this.element.removeAttribute("title");
+    }
+  }
+
   isActive() {
     return this.element.classList.contains("active");
   }
@@ -35,6 +54,7 @@ export class Card {
       return;
     }
     this.element.style.backgroundImage = `url(${this.images[type]})`;
+    this.element.classList.toggle("empty", type === "None");
     console.log("Updated Card to", this.images[type]);
     this.flash();
     this.currentState = type;
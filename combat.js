@@ -0,0 +1,228 @@
+import { GommoConstants } from "./gommo-client.js";
+
+// Assumed when /config does not announce combat rules: those of the mock server, where
+// everyone on a tile with zombies rolls a die and the team needs twice the zombie count in
+// total or all of them die. Other servers may differ.
+export const ASSUMED_COMBAT_RULES = Object.freeze({
+  DIE_SIDES: 6,
+  WEAPON_BONUS: 3,
+  WOOD_BONUS: 1,
+  ZOMBIES_TO_DICE: 2,
+  assumed: true
+});
+
+// /config field for each rule
+const ANNOUNCED_FIELDS = {
+  DIE_SIDES: "DieSides",
+  WEAPON_BONUS: "WeaponBonus",
+  WOOD_BONUS: "WoodBonus",
+  ZOMBIES_TO_DICE: "ZombiesToDice"
+};
+
+// Where a planned move takes a player, in surroundings offsets
+const STEPS = {
+  north: { x: 0, y: -1 },
+  east: { x: 1, y: 0 },
+  south: { x: 0, y: 1 },
+  west: { x: -1, y: 0 }
+};
+
+const EDGE = "Edge";
+
+/**
+ * Combat rules to compute odds with: those the server announces, the assumed ones for the rest
+ * @param {Object|null} announced - CombatRules from /config, if any
+ * @returns {Object} ASSUMED_COMBAT_RULES' fields; `assumed` is true unless the server gave every one
+ */
+export function resolveCombatRules(announced) {
+  if (!announced) return ASSUMED_COMBAT_RULES;
+
+  const rules = { assumed: false };
+  Object.entries(ANNOUNCED_FIELDS).forEach(([rule, field]) => {
+    rules[rule] = announced[field] ?? ASSUMED_COMBAT_RULES[rule];
+    rules.assumed = rules.assumed || announced[field] === undefined;
+  });
+  return rules;
+}
+
+/**
+ * Chance that a number of dice adds up to at least a total
+ * @param {number} dice - Dice rolled
+ * @param {number} target - Total to reach
+ * @param {number} [sides] - Sides of each die (default: assumed rules)
+ * @returns {number} Probability between 0 and 1
+ */
+export function chanceToReach(dice, target, sides = ASSUMED_COMBAT_RULES.DIE_SIDES) {
+  if (target <= dice) return 1;
+  if (target > dice * sides) return 0;
+
+  // Distribution of the sum, built one die at a time
+  let sums = [1];
+  for (let die = 0; die < dice; die++) {
+    const next = new Array(sums.length + sides).fill(0);
+    sums.forEach((chance, sum) => {
+      for (let face = 1; face <= sides; face++) {
+        next[sum + face] += chance / sides;
+      }
+    });
+    sums = next;
+  }
+
+  const chance = sums.reduce((total, p, sum) => (sum >= target ? total + p : total), 0);
+  return Math.min(1, Math.max(0, chance));
+}
+
+/**
+ * Odds of one fight
+ * @param {Object} fight
+ * @param {number} fight.zombies - Zombies on the tile
+ * @param {number} [fight.fighters=1] - Players on the tile, each rolling one die
+ * @param {number} [fight.bonus=0] - Card bonuses added to the team's total
+ * @param {Object} [rules] - Result of resolveCombatRules (default: assumed rules)
+ * @returns {{zombies: number, fighters: number, bonus: number, needed: number, winChance: number, loseChance: number, assumed: boolean}}
+ */
+export function estimateCombat({ zombies, fighters = 1, bonus = 0 }, rules = ASSUMED_COMBAT_RULES) {
+  const needed = zombies * rules.ZOMBIES_TO_DICE;
+  const winChance = zombies > 0 ? chanceToReach(fighters, needed - bonus, rules.DIE_SIDES) : 1;
+  return { zombies, fighters, bonus, needed, winChance, loseChance: 1 - winChance, assumed: rules.assumed };
+}
+
+/**
+ * Counts the other players who will be on a tile once everyone has moved: those staying there
+ * and those on visible neighbours planning to move onto it
+ * @param {Object} tiles - Tiles keyed NW..SE ({terrain, players, plannedMoves}), as in the store
+ * @param {string} tileId - Tile to count for
+ * @param {string} [ownDirection='stay'] - The player's move as the server has it, to leave them out of CE
+ * @returns {{others: number, complete: boolean}} Other players, and whether every tile they can come from is visible
+ */
+export function countArrivals(tiles, tileId, ownDirection = "stay") {
+  const offsets = GommoConstants.SURROUNDING_OFFSETS;
+  const target = offsets[tileId];
+  const isAt = (x, y) => x === target.x && y === target.y;
+  let others = 0;
+
+  Object.entries(offsets).forEach(([key, offset]) => {
+    const tile = tiles[key];
+    if (!tile || tile.terrain === EDGE) return;
+
+    let players = tile.players;
+    const moves = { ...tile.plannedMoves };
+    if (key === "CE") {
+      players = Math.max(0, players - 1);
+      if (moves[ownDirection] > 0) moves[ownDirection]--;
+    }
+
+    const movers = Object.values(moves).reduce((sum, count) => sum + count, 0);
+    if (isAt(offset.x, offset.y)) {
+      others += Math.max(0, players - movers);
+      return;
+    }
+    Object.entries(moves).forEach(([direction, count]) => {
+      const step = STEPS[direction];
+      if (step && isAt(offset.x + step.x, offset.y + step.y)) {
+        others += count;
+      }
+    });
+  });
+
+  // Players two tiles away can walk onto the edge of the view unseen
+  const complete = Object.values(STEPS).every(step =>
+    Object.values(offsets).some(offset => offset.x === target.x + step.x && offset.y === target.y + step.y)
+  );
+  return { others, complete };
+}
+
+/**
+ * Odds of the fight the player would face on a tile, counting everyone else as rolling plain dice
+ * @param {Object} tiles - Tiles keyed NW..SE, as in the store
+ * @param {string} tileId - Tile the player would end the turn on
+ * @param {Object} [player] - {direction: server-side move, play, consume, discard, cards: hand}
+ * @param {Object} [rules] - Result of resolveCombatRules (default: assumed rules)
+ * @returns {Object|null} estimateCombat result plus `complete`, null without zombies there
+ */
+export function previewCombat(tiles, tileId, { direction = "stay", play = "None", consume = "None", discard = "None", cards = [] } = {}, rules = ASSUMED_COMBAT_RULES) {
+  const tile = tiles[tileId];
+  if (!tile || tile.terrain === EDGE || !(tile.zombies > 0)) return null;
+
+  const { others, complete } = countArrivals(tiles, tileId, direction);
+  // The discard leaves the hand before the fight, the consumed card with it
+  const hand = [...cards];
+  const discarded = discard === "None" ? -1 : hand.indexOf(discard);
+  if (discarded !== -1) hand.splice(discarded, 1);
+  const consumed = consume === "None" ? -1 : hand.indexOf(consume);
+  if (consumed !== -1) hand.splice(consumed, 1);
+
+  let bonus = 0;
+  if (play === "Weapon" && hand.includes("Weapon")) bonus += rules.WEAPON_BONUS;
+  if (consume === "Wood" && consumed !== -1) bonus += rules.WOOD_BONUS;
+
+  return { ...estimateCombat({ zombies: tile.zombies, fighters: others + 1, bonus }, rules), complete };
+}
+
+/**
+ * @param {number} chance - Probability between 0 and 1
+ * @returns {string} Percentage that never rounds a possible outcome away
+ */
+export function formatChance(chance) {
+  if (chance > 0 && chance < 0.01) return "<1%";
+  if (chance < 1 && chance > 0.99) return ">99%";
+  return `${Math.round(chance * 100)}%`;
+}
+
+/**
+ * @param {Object} preview - Result of previewCombat
+ * @returns {string} Odds with what they are based on
+ */
+export function describeOdds(preview) {
+  const zombies = `${preview.zombies} zombie${preview.zombies === 1 ? '' : 's'}`;
+  const fighters = preview.fighters === 1 ? "alone" : `with ${preview.fighters - 1} other player${preview.fighters === 2 ? '' : 's'}`;
+  const bonus = preview.bonus ? `, cards add ${preview.bonus}` : "";
+  const unseen = preview.complete === false ? "; more players may join" : "";
+  const assumed = preview.assumed ? " (rules assumed, not announced by the server)" : "";
+  return `${formatChance(preview.winChance)} to beat ${zombies} ${fighters}: ${preview.needed} needed${bonus}${unseen}${assumed}`;
+}
+
+/**
+ * Picks a turn's combat out of a player's events
+ * @param {Array} events - Events from the events endpoint ({Turn, EventType, EventData}), any order
+ * @param {number} [turn] - Turn to look at, by default the latest one with a combat result
+ * @returns {Object|null} {turn, zombies, fighters, roll, bonus, ownTotal, total, needed, victory}
+ */
+export function summarizeCombat(events, turn) {
+  const types = GommoConstants.EVENT_TYPES;
+  const results = (events || []).filter(event => event.EventType === types.COMBAT_RESULT);
+  const combatTurn = turn ?? Math.max(...results.map(event => event.Turn));
+  const result = results.find(event => event.Turn === combatTurn);
+  if (!result) return null;
+
+  const data = result.EventData || {};
+  const dice = events.find(event => event.Turn === combatTurn && event.EventType === types.DICE_ROLL)?.EventData || {};
+  return {
+    turn: combatTurn,
+    zombies: data.zombies ?? null,
+    fighters: data.players ?? null,
+    roll: dice.roll ?? null,
+    bonus: dice.bonus ?? 0,
+    ownTotal: dice.total ?? null,
+    total: data.total ?? null,
+    needed: data.needed ?? null,
+    victory: data.result === 'victory'
+  };
+}
+
+/**
+ * @param {Object} combat - Result of summarizeCombat
+ * @returns {string} What was rolled and how it compared to what was needed
+ */
+export function describeCombat(combat) {
+  const parts = [];
+  if (combat.roll !== null) {
+    parts.push(combat.bonus ? `Rolled ${combat.roll} +${combat.bonus} = ${combat.ownTotal ?? combat.roll + combat.bonus}` : `Rolled ${combat.roll}`);
+  }
+  if (combat.total !== null && combat.needed !== null) {
+    const team = combat.fighters > 1 ? `team of ${combat.fighters} made ${combat.total}` : `total ${combat.total}`;
+    parts.push(`${team} of ${combat.needed} needed`);
+  }
+  const outcome = `${combat.victory ? 'won' : 'lost'} against ${combat.zombies ?? '?'} zombie${combat.zombies === 1 ? '' : 's'}`;
+  return parts.length > 0 ? `${parts.join(', ')}: ${outcome}` : outcome.charAt(0).toUpperCase() + outcome.slice(1);
+}
@@ -0,0 +1,154 @@
+const STATUS_LABELS = {
+  healthy: "Connected",
+  degraded: "Unstable",
+  offline: "Offline",
+  disconnected: "Not connected"
+};
+
+// Rows shown per list in the diagnostics panel
+const MAX_ROWS = 20;
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleTimeString() : 'never';
+}
+
+/**
+ * Connection badge with a click-to-open diagnostics panel fed by GommoClient.getDiagnostics
+ */
+export class ConnectionStatus {
+  constructor(element) {
+    this.element = element;
+    this.diagnostics = null;
+    this.open = false;
+
+    this.createElements();
+    this.render();
+  }
+
+  createElements() {
+    this.badge = document.createElement('button');
+    this.badge.type = 'button';
+    this.badge.className = 'connection-badge';
+    this.badge.addEventListener('click', () => {
+      this.open = !this.open;
+      this.render();
+    });
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'diagnostics-panel';
+
+    this.element.appendChild(this.badge);
+    this.element.appendChild(this.panel);
+  }
+
+  /**
+   * @param {Object|null} diagnostics - Result of GommoClient.getDiagnostics, null when not connected
+   */
+  update(diagnostics) {
+    this.diagnostics = diagnostics;
+    this.render();
+  }
+
+  render() {
+    const status = this.diagnostics ? this.diagnostics.status : 'disconnected';
+    this.badge.className = `connection-badge ${status}`;
+    this.badge.textContent = STATUS_LABELS[status];
+    this.badge.setAttribute('aria-expanded', String(this.open));
+
+    this.panel.hidden = !this.open;
+    if (this.open) {
+      this.renderPanel();
+    }
+  }
+
+  renderPanel() {
+    const diagnostics = this.diagnostics;
+    if (!diagnostics) {
+      this.panel.replaceChildren(this.createParagraph('No server connection'));
+      return;
+    }
+
+    const { health, transport, averageResponseTime, queuedActions } = diagnostics;
+    const summary = document.createElement('dl');
+    summary.className = 'diagnostics-summary';
+    [
+      ['Status', STATUS_LABELS[diagnostics.status]],
+      ['Transport', transport || 'none'],
+      ['Last success', formatTime(health.lastSuccessTime)],
+      ['Failures in a row', String(health.consecutiveFailures)],
+      ['Average response', averageResponseTime === null ? '-' : `${averageResponseTime} ms`],
+      ['Queued actions', String(queuedActions.length)]
+    ].forEach(([term, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = term;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      summary.appendChild(dt);
+      summary.appendChild(dd);
+    });
+
+    this.panel.replaceChildren(
+      summary,
+      this.createEndpointSection(diagnostics.endpoints || {}),
+      this.createSection('Recent requests', diagnostics.requests),
+      this.createSection(`Slow requests (> ${diagnostics.slowRequestThreshold} ms)`, diagnostics.slowRequests),
+      this.createSection('Errors', diagnostics.errors)
+    );
+  }
+
+  createSection(title, requests) {
+    const section = document.createElement('section');
+    const heading = document.createElement('h4');
+    heading.textContent = `${title} (${requests.length})`;
+    section.appendChild(heading);
+
+    if (requests.length === 0) {
+      section.appendChild(this.createParagraph('None'));
+      return section;
+    }
+
+    const list = document.createElement('ul');
+    requests.slice(0, MAX_ROWS).forEach(entry => {
+      const item = document.createElement('li');
+      item.className = entry.ok ? (entry.slow ? 'slow' : 'ok') : 'failed';
+      const outcome = entry.ok ? entry.status : `${entry.status || 'ERR'} ${entry.error}`;
+      item.textContent = `${formatTime(entry.timestamp)} ${entry.method} ${entry.path} · ${entry.duration} ms · ${outcome}`;
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Per-endpoint counters; 304 answers count as sent and as served from the cache
+   */
+  createEndpointSection(endpoints) {
+    const section = document.createElement('section');
+    const heading = document.createElement('h4');
+    heading.textContent = 'Requests per endpoint';
+    section.appendChild(heading);
+
+    const rows = Object.entries(endpoints).sort(([, a], [, b]) => b.requests - a.requests);
+    if (rows.length === 0) {
+      section.appendChild(this.createParagraph('None'));
+      return section;
+    }
+
+    const list = document.createElement('ul');
+    rows.forEach(([endpoint, stats]) => {
+      const item = document.createElement('li');
+      item.className = stats.errors > 0 ? 'failed' : 'ok';
+      const average = stats.averageDuration === null ? '-' : `${stats.averageDuration} ms`;
+      item.textContent = `${endpoint} · ${stats.requests} sent (${stats.requestsPerSecond}/s) · ${stats.deduped} shared · ${stats.cacheHits + stats.notModified} from cache · ${average} · ${stats.errors} errors`;
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  createParagraph(text) {
+    const paragraph = document.createElement('p');
+    paragraph.textContent = text;
+    return paragraph;
+  }
+}
@@ -0,0 +1,235 @@
+import { GommoConstants } from "./gommo-client.js";
+
+const CAUSES = {
+  combat: "Overrun by zombies",
+  starvation: "Starved"
+};
+
+// Events that take a card out of the hand
+const CARD_USE_TYPES = [
+  GommoConstants.EVENT_TYPES.CARD_CONSUMED,
+  GommoConstants.EVENT_TYPES.CARD_USAGE,
+  GommoConstants.EVENT_TYPES.CARD_USED
+];
+
+/**
+ * Reads an event data field that the server may send in snake_case or PascalCase
+ */
+function field(data, snakeName, pascalName) {
+  return data?.[snakeName] ?? data?.[pascalName];
+}
+
+/**
+ * Sums up a player's run from their event history
+ * @param {Array} events - Events from the events endpoint ({Turn, EventType, EventData}), any order
+ * @returns {Object} Summary ({firstTurn, lastTurn, turnsSurvived, complete, tilesVisited, zombiesFought, combatsWon, combatsLost, cardsUsed, death})
+ */
+export function summarizeRun(events) {
+  const types = GommoConstants.EVENT_TYPES;
+  const sorted = [...(events || [])].sort((a, b) => (a.Turn - b.Turn) || ((a.ID ?? 0) - (b.ID ?? 0)));
+  const tiles = new Set();
+  const cardsUsed = {};
+  const summary = {
+    firstTurn: sorted.length > 0 ? sorted[0].Turn : null,
+    lastTurn: sorted.length > 0 ? sorted[sorted.length - 1].Turn : null,
+    turnsSurvived: 0,
+    // Whether the history reaches back to the join
+    complete: false,
+    tilesVisited: 0,
+    zombiesFought: 0,
+    combatsWon: 0,
+    combatsLost: 0,
+    cardsUsed,
+    death: null
+  };
+
+  const visit = (position) => {
+    if (position && position.x !== undefined) {
+      tiles.add(`${position.x}|${position.y}`);
+    }
+  };
+
+  sorted.forEach(event => {
+    const data = event.EventData || {};
+    switch (event.EventType) {
+      case types.PLAYER_JOIN:
+        summary.complete = true;
+        summary.firstTurn = event.Turn;
+        visit(data);
+        break;
+      case types.PLAYER_MOVE:
+        visit(data.from);
+        visit(data.to);
+        break;
+      case types.COMBAT_RESULT:
+        summary.zombiesFought += data.zombies ?? 0;
+        if (data.result === 'victory') {
+          summary.combatsWon++;
+        } else {
+          summary.combatsLost++;
+        }
+        break;
+      case types.PLAYER_DEATH:
+        summary.death = { turn: event.Turn, cause: data.cause || null, details: data };
+        break;
+      default:
+        if (CARD_USE_TYPES.includes(event.EventType)) {
+          const card = field(data, 'card_type', 'CardType') || 'Unknown';
+          cardsUsed[card] = (cardsUsed[card] || 0) + 1;
+        }
+    }
+  });
+
+  const endTurn = summary.death ? summary.death.turn : summary.lastTurn;
+  summary.lastTurn = endTurn;
+  summary.turnsSurvived = summary.firstTurn === null ? 0 : endTurn - summary.firstTurn;
+  summary.tilesVisited = tiles.size;
+  return summary;
+}
+
+/**
+ * Describes how a player died
+ * @param {Object|null} death - Death entry from summarizeRun
+ * @returns {string} Cause of death
+ */
+export function describeDeath(death) {
+  if (!death) return "Unknown";
+  const base = CAUSES[death.cause] || death.cause || "Unknown";
+  if (death.cause === 'combat' && death.details.zombies !== undefined) {
+    return `${base} (${death.details.zombies} zombies)`;
+  }
+  if (death.cause === 'starvation' && death.details.turns !== undefined) {
+    return `${base} after ${death.details.turns} turns without food`;
+  }
+  return base;
+}
+
+/**
+ * Full-screen death or victory summary with rejoin and spectate options
+ */
+export class EndScreen {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.onRejoin = options.onRejoin || null;
+    this.onSpectate = options.onSpectate || null;
+    this.outcome = null;
+    this.events = [];
+
+    this.createElements();
+    this.hide();
+  }
+
+  createElements() {
+    this.content = document.createElement('div');
+    this.content.className = 'overlay-content end-screen-content';
+
+    this.title = document.createElement('h2');
+    this.title.className = 'end-screen-title';
+    this.subtitle = document.createElement('p');
+    this.subtitle.className = 'end-screen-subtitle';
+    this.stats = document.createElement('dl');
+    this.stats.className = 'end-screen-stats';
+
+    const controls = document.createElement('div');
+    controls.className = 'end-screen-controls';
+    this.rejoinButton = this.createButton('Play again', () => this.onRejoin && this.onRejoin());
+    this.spectateButton = this.createButton('Keep watching', () => {
+      this.hide();
+      if (this.onSpectate) {
+        this.onSpectate(this.outcome);
+      }
+    });
+    controls.appendChild(this.rejoinButton);
+    controls.appendChild(this.spectateButton);
+
+    this.content.appendChild(this.title);
+    this.content.appendChild(this.subtitle);
+    this.content.appendChild(this.stats);
+    this.content.appendChild(controls);
+    this.element.appendChild(this.content);
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * @param {string} outcome - 'death' or 'victory'
+   * @param {Array} events - The player's event history
+   */
+  show(outcome, events) {
+    this.outcome = outcome;
+    this.events = events || [];
+    this.element.classList.toggle('death', outcome === 'death');
+    this.element.classList.toggle('victory', outcome === 'victory');
+    this.element.style.display = 'flex';
+    this.render();
+    this.rejoinButton.focus();
+  }
+
+  /**
+   * Re-renders with a longer history, e.g. once the death event has arrived
+   */
+  update(events) {
+    this.events = events || [];
+    if (this.isVisible()) {
+      this.render();
+    }
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+
+  /**
+   * Forgets the outcome so the next death or victory shows the screen again
+   */
+  reset() {
+    this.outcome = null;
+    this.events = [];
+    this.hide();
+  }
+
+  render() {
+    const summary = summarizeRun(this.events);
+    const died = this.outcome === 'death';
+
+    this.title.textContent = died ? 'You have died' : 'The survivors have won!';
+    this.subtitle.textContent = died
+      ? 'You can follow the game as one of the undead or start over with a new survivor.'
+      : 'The cure has been delivered to the laboratory.';
+
+    const turns = summary.complete
+      ? String(summary.turnsSurvived)
+      : `${summary.turnsSurvived}+ (history since turn ${summary.firstTurn ?? '?'})`;
+    const cards = Object.entries(summary.cardsUsed)
+      .map(([card, count]) => `${count}× ${card}`)
+      .join(', ');
+
+    const rows = [
+      ['Turns survived', turns],
+      ['Tiles visited', String(summary.tilesVisited)],
+      ['Zombies fought', `${summary.zombiesFought} (${summary.combatsWon} won, ${summary.combatsLost} lost)`],
+      ['Cards used', cards || 'None']
+    ];
+    if (died) {
+      rows.push(['Cause of death', describeDeath(summary.death)]);
+    }
+
+    this.stats.replaceChildren(...rows.flatMap(([term, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = term;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      return [dt, dd];
+    }));
+  }
+}
@@ -0,0 +1,171 @@
+import { GommoConstants, eventKey } from "./gommo-client.js";
+
+const MAX_EVENTS = 500;
+
+/**
+ * Reads an event data field that the server may send in snake_case or PascalCase
+ */
+function field(data, snakeName, pascalName) {
+  return data?.[snakeName] ?? data?.[pascalName];
+}
+
+/**
+ * Builds a human readable line for a server event
+ * @param {Object} event - Event from the events endpoint ({Turn, EventType, EventData})
+ * @returns {string} Description
+ */
+export function describeEvent(event) {
+  const data = event.EventData || {};
+  const card = field(data, 'card_type', 'CardType') || 'card';
+  const types = GommoConstants.EVENT_TYPES;
+
+  switch (event.EventType) {
+    case types.PLAYER_JOIN:
+      return `Joined the game${data.name ? ` as ${data.name}` : ''}`;
+    case types.PLAYER_MOVE: {
+      const direction = field(data, 'direction', 'Direction');
+      if (!direction || direction === 'stay') return 'Stayed put';
+      return data.blocked ? `Tried to move ${direction} but hit the edge` : `Moved ${direction}`;
+    }
+    case types.CARD_USAGE:
+    case types.CARD_USED:
+      return `Used ${card}`;
+    case types.PLAYER_DEATH:
+      return `Died${data.cause ? ` (${data.cause})` : ''}`;
+    case types.COMBAT_RESULT: {
+      const outcome = data.result === 'victory' ? 'Won' : 'Lost';
+      const score = data.total !== undefined && data.needed !== undefined ? ` (${data.total}/${data.needed})` : '';
+      const allies = data.players > 1 ? ` with ${data.players - 1} other player${data.players === 2 ? '' : 's'}` : '';
+      return `${outcome} combat against ${data.zombies ?? '?'} zombies${allies}${score}`;
+    }
+    case types.RESOURCE_GAINED:
+      return `Gained ${card}${data.terrain ? ` from ${data.terrain}` : ''}`;
+    case types.GAME_TICK:
+      return `Turn ${data.turn ?? event.Turn} began`;
+    case types.CARD_PLAYED:
+      return `Played ${card}`;
+    case types.CARD_SELECTED:
+      return `Selected ${card}${data.action ? ` to ${data.action}` : ''}`;
+    case types.CARD_CONSUMED:
+      return `Consumed ${card}`;
+    case types.DICE_ROLL:
+      return `Rolled ${data.roll ?? '?'}${data.bonus ? ` +${data.bonus} bonus = ${data.total ?? data.roll + data.bonus}` : ''}`;
+    case types.COMBAT_START:
+      return `Combat started against ${data.zombies ?? '?'} zombies`;
+    case types.ZOMBIE_SPAWN:
+      return data.x !== undefined ? `Zombie spawned at ${data.x}|${data.y}` : 'Zombie spawned';
+    case types.CARD_DRAWN:
+      return `Drew ${card}`;
+    case types.CARD_DISCARDED:
+      return `Discarded ${card}`;
+    default:
+      return event.EventType;
+  }
+}
+
+export class EventLog {
+  constructor(element) {
+    this.element = element;
+    this.events = new Map();
+    this.filter = 'all';
+
+    this.createElements();
+    this.render();
+  }
+
+  createElements() {
+    this.header = document.createElement('div');
+    this.header.className = 'event-log-header';
+
+    const title = document.createElement('span');
+    title.className = 'event-log-title';
+    title.textContent = 'History';
+
+    this.filterSelect = document.createElement('select');
+    this.filterSelect.className = 'event-log-filter';
+    this.filterSelect.appendChild(new Option('All events', 'all'));
+    Object.values(GommoConstants.EVENT_TYPES).forEach(type => {
+      this.filterSelect.appendChild(new Option(type.replace(/_/g, ' '), type));
+    });
+    this.filterSelect.addEventListener('change', () => {
+      this.filter = this.filterSelect.value;
+      this.render();
+    });
+
+    this.header.appendChild(title);
+    this.header.appendChild(this.filterSelect);
+
+    this.list = document.createElement('div');
+    this.list.className = 'event-log-list';
+
+    this.element.appendChild(this.header);
+    this.element.appendChild(this.list);
+  }
+
+  /**
+   * Adds events to the log, ignoring ones already shown
+   * @param {Array} events - Events from the server
+   */
+  addEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) return;
+
+    events.forEach(event => this.events.set(eventKey(event), event));
+
+    // Keep the newest events only
+    if (this.events.size > MAX_EVENTS) {
+      const sorted = this.getSortedEvents();
+      this.events = new Map(sorted.slice(0, MAX_EVENTS).map(event => [eventKey(event), event]));
+    }
+
+    this.render();
+  }
+
+  clear() {
+    this.events.clear();
+    this.render();
+  }
+
+  getSortedEvents() {
+    return [...this.events.values()].sort((a, b) => (b.Turn - a.Turn) || ((b.ID ?? 0) - (a.ID ?? 0)));
+  }
+
+  render() {
+    const visible = this.getSortedEvents().filter(event => this.filter === 'all' || event.EventType === this.filter);
+
+    if (visible.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'event-log-empty';
+      empty.textContent = 'No events yet';
+      this.list.replaceChildren(empty);
+      return;
+    }
+
+    // Group by turn, most recent first
+    const groups = new Map();
+    visible.forEach(event => {
+      if (!groups.has(event.Turn)) groups.set(event.Turn, []);
+      groups.get(event.Turn).push(event);
+    });
+
+    const sections = [...groups.entries()].map(([turn, events]) => {
+      const section = document.createElement('section');
+      section.className = 'event-log-turn';
+
+      const heading = document.createElement('h4');
+      heading.textContent = `Turn ${turn}`;
+      section.appendChild(heading);
+
+      const list = document.createElement('ul');
+      events.slice().reverse().forEach(event => {
+        const item = document.createElement('li');
+        item.className = `event-log-entry event-${event.EventType}`;
+        item.textContent = describeEvent(event);
+        list.appendChild(item);
+      });
+      section.appendChild(list);
+      return section;
+    });
+
+    this.list.replaceChildren(...sections);
+  }
+}
@@ -6,30 +6,110 @@
  * and reactive features for building interactive game interfaces.
  */
 
+import { StrategyEngine } from './strategy-engine.js';
+import {
+    validatePlayer,
+    validateSurroundings,
+    validateGameState,
+    validateEventsResponse,
+    validateEvent,
+    validatePlayerId
+} from './gommo-schema.js';
+
+/** @typedef {import('./gommo-schema.js').Player} Player */
+/** @typedef {import('./gommo-schema.js').Surroundings} Surroundings */
+/** @typedef {import('./gommo-schema.js').GameState} GameState */
+/** @typedef {import('./gommo-schema.js').EventsResponse} EventsResponse */
+/** @typedef {import('./gommo-schema.js').GameEvent} GameEvent */
+/** @typedef {import('./gommo-schema.js').UIPlayerState} UIPlayerState */
+/** @typedef {import('./gommo-schema.js').AvailableActions} AvailableActions */
+/** @typedef {import('./gommo-schema.js').ActionResult} ActionResult */
+
+// Resolved by _requestWithRetry for an action held in the offline queue instead of being sent
+const QUEUED = Object.freeze({ queued: true });
+
+/**
+ * Identify a server event, so the same event is recognized across polls, pushes and views
+ * @param {GameEvent} event - Event from the events endpoint or a push stream
+ * @returns {string} Its ID, or turn, type and data for servers that send none
+ */
+function eventKey(event) {
+    return event.ID !== undefined
+        ? `id:${event.ID}`
+        : `${event.Turn}|${event.EventType}|${JSON.stringify(event.EventData)}`;
+}
+
 class GommoClient {
     /**
      * Create a new Gommo Web Client
      * @param {string} baseUrl - The base URL of the Gommo server (e.g., 'http://localhost:8080')
-     * @param {Object} options - Optional configuration
-     * @param {number} options.timeout - Request timeout in milliseconds (default: 5000)
-     * @param {boolean} options.enablePolling - Enable automatic polling for real-time updates (default: false)
-     * @param {number} options.pollingInterval - Polling interval in milliseconds (default: 2000)
-     * @param {Function} options.onStateChange - Callback for state changes (player, game state)
-     * @param {Function} options.onError - Global error handler
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.timeout] - Request timeout in milliseconds (default: 5000)
+     * @param {boolean} [options.enablePolling] - Enable automatic polling for real-time updates (default: false)
+     * @param {number} [options.pollingInterval] - Polling interval in milliseconds; with adaptive polling the interval when the turn clock is unknown (default: 2000)
+     * @param {boolean} [options.adaptivePolling] - Time polls by the server's turn clock instead of a fixed interval (default: true)
+     * @param {number} [options.minPollingInterval] - Interval around expected turn ends in milliseconds (default: 250)
+     * @param {number} [options.maxPollingInterval] - Longest interval mid-turn in milliseconds (default: 5000)
+     * @param {number} [options.hiddenPollingInterval] - Interval while the page is hidden in milliseconds (default: 15000)
+     * @param {number} [options.turnBoundaryWindow] - Milliseconds before and after an expected turn end that are polled at minPollingInterval (default: 1500)
+     * @param {Function} [options.onStateChange] - Callback for state changes (player, game state)
+     * @param {Function} [options.onError] - Global error handler
+     * @param {Function} [options.fetch] - Transport with the `fetch` signature (default: global fetch)
+     * @param {string} [options.transport] - 'auto', 'sse', 'websocket' or 'polling' (default: 'auto')
+     * @param {Function} [options.EventSource] - EventSource implementation (default: global EventSource)
+     * @param {Function} [options.WebSocket] - WebSocket implementation (default: global WebSocket)
+     * @param {StrategyEngine} [options.strategyEngine] - Engine that scores recommendations (default: built-in evaluators)
+     * @param {Object} [options.retry] - Retry policy overrides per request kind ('read', 'action', 'write'), see GommoConstants.RETRY_POLICIES
+     * @param {boolean} [options.queueOffline] - Hold player actions while the server is unreachable and replay them (default: true)
+     * @param {number} [options.maxQueueSize] - Most actions held while offline (default: 20)
+     * @param {number} [options.maxQueueAge] - Queued actions older than this many milliseconds are dropped (default: 30000)
+     * @param {number} [options.queueRetryInterval] - Delay between replay attempts in milliseconds (default: 2000)
+     * @param {number} [options.slowRequestThreshold] - Requests slower than this many milliseconds are flagged (default: 1000)
+     * @param {number} [options.requestLogSize] - Number of recent requests kept for diagnostics (default: 100)
+     * @param {boolean} [options.validateResponses] - Check server payloads against gommo-schema.js and throw on mismatches (default: true)
+     * @param {boolean} [options.dedupeRequests] - Let identical concurrent GETs share one request (default: true)
+     * @param {number} [options.configCacheTtl] - Milliseconds a `/config` response is reused before it is revalidated; 0 always asks the server (default: 1000)
      */
     constructor(baseUrl, options = {}) {
         this.baseUrl = baseUrl.replace(/\/$/, ''); // Remove trailing slash
         this.timeout = options.timeout || 5000;
         this.enablePolling = options.enablePolling || false;
         this.pollingInterval = options.pollingInterval || 2000;
+        this.adaptivePolling = options.adaptivePolling !== false;
+        this.minPollingInterval = options.minPollingInterval || 250;
+        this.maxPollingInterval = options.maxPollingInterval || 5000;
+        this.hiddenPollingInterval = options.hiddenPollingInterval || 15000;
+        this.turnBoundaryWindow = options.turnBoundaryWindow ?? 1500;
         this.onStateChange = options.onStateChange || null;
         this.onError = options.onError || null;
+        this._fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.transport = options.transport || 'auto';
+        this._EventSource = options.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+        this._WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.strategyEngine = options.strategyEngine || new StrategyEngine();
+        this.retryPolicies = Object.fromEntries(
+            Object.entries(GommoConstants.RETRY_POLICIES).map(([kind, policy]) => [kind, { ...policy, ...(options.retry?.[kind] || {}) }])
+        );
+        this.queueOffline = options.queueOffline !== false;
+        this.maxQueueSize = options.maxQueueSize || 20;
+        this.maxQueueAge = options.maxQueueAge || 30000;
+        this.queueRetryInterval = options.queueRetryInterval || 2000;
+        this.slowRequestThreshold = options.slowRequestThreshold || 1000;
+        this.requestLogSize = options.requestLogSize || 100;
+        this.validateResponses = options.validateResponses !== false;
+        this.dedupeRequests = options.dedupeRequests !== false;
+        this.configCacheTtl = options.configCacheTtl ?? 1000;
         
         // Internal state for UI helpers
         this._pollingTimer = null;
+        this._updateSession = null;
+        this._pushConnection = null;
+        this._activeTransport = null;
         this._lastGameState = null;
         this._lastPlayerState = null;
         this._eventListeners = new Map();
+        // Live subscribeToPlayerEvents subscriptions ({playerId, receive}), fed by push streams
+        this._eventSubscriptions = new Set();
         
         // Enhanced connection tracking
         this._connectionHealth = {
@@ -37,41 +117,152 @@ class GommoClient {
             lastSuccessTime: null,
             isHealthy: true
         };
+        this._connectionStatus = 'healthy';
+        
+        // Recent requests, newest last, for diagnostics
+        this._requestLog = [];
         
-        // Request queue for retry management
+        // Player actions held while offline, keyed so a newer choice replaces an older one
         this._requestQueue = new Map();
+        this._queueTimer = null;
+        // Replay of the queue in progress, shared by everyone waiting for it
+        this._queueFlush = null;
         this._requestId = 0;
+        
+        // GETs in flight by method, path and options, shared by identical concurrent callers
+        this._inFlight = new Map();
+        // Last /config response ({data, etag, fetchedAt, validatedAt}) for the TTL and If-None-Match;
+        // a 304 only moves validatedAt, TurnTime still counts from fetchedAt
+        this._configCache = null;
+        // Request counters per endpoint, see getRequestStats
+        this._endpointStats = new Map();
+        this._statsSince = Date.now();
+        
+        // Server turn and when it is expected to end ({turn, turnLength, endsAt, turnsSeen}), from the last /config
+        this._turnClock = null;
+        this._visibilityHandler = null;
+    }
+
+    /**
+     * Make an HTTP request to the server. A GET that is already in flight with the same path,
+     * headers and response shape joins that request instead of sending another one.
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - API endpoint path
+     * @param {Object} [options] - Request options, see _requestWithRetry and _send
+     * @returns {Promise<any>} Response data, or QUEUED for a queued action
+     */
+    _request(method, path, options = {}) {
+        if (method !== 'GET' || !this.dedupeRequests) {
+            return this._requestWithRetry(method, path, options);
+        }
+        
+        const key = this._inFlightKey(method, path, options);
+        const pending = this._inFlight.get(key);
+        if (pending) {
+            this._endpointStatsFor(method, path).deduped++;
+            return pending;
+        }
+        
+        const request = this._requestWithRetry(method, path, options)
+            .finally(() => this._inFlight.delete(key));
+        this._inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Requests may only share a response when it would be the same for each of them: an
+     * If-None-Match can turn it into a 304 and withMeta changes what resolves
+     * @private
+     * @returns {string} Key of the request in _inFlight
+     */
+    _inFlightKey(method, path, options) {
+        const headers = Object.entries(options.headers || {})
+            .map(([name, value]) => [name.toLowerCase(), value])
+            .sort(([a], [b]) => a.localeCompare(b));
+        return JSON.stringify([method, path, headers, !!options.withMeta]);
+    }
+
+    /**
+     * Send a request, retrying transient failures with exponential backoff according to
+     * the retry policy of the request's kind. Actions that carry a `queueKey` are queued
+     * instead of failing while the server is unreachable.
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - API endpoint path
+     * @param {Object} [options] - Request options
+     * @param {string} [options.kind] - Retry policy to use (default: 'read' for GET, 'action' for PUT, else 'write')
+     * @param {string} [options.queueKey] - Queue slot for an offline player action
+     * @returns {Promise<any>} Response data, or QUEUED for a queued action
+     */
+    async _requestWithRetry(method, path, options = {}) {
+        const kind = options.kind || (method === 'GET' ? 'read' : method === 'PUT' ? 'action' : 'write');
+        const policy = this.retryPolicies[kind] || { retries: 0 };
+        const canQueue = this.queueOffline && !!options.queueKey;
+
+        if (canQueue && this._requestQueue.size > 0) {
+            // The new choice replaces a queued one for the same slot
+            this._requestQueue.delete(options.queueKey);
+            // Online again: send what is waiting first so this action lands after it
+            if (this._connectionHealth.isHealthy) {
+                await this._flushQueue();
+            }
+            // Still unreachable: keep actions in order behind ones waiting for the server
+            if (this._requestQueue.size > 0) {
+                return this._enqueueAction(method, path, options);
+            }
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._send(method, path, options);
+            } catch (error) {
+                if (!this._isRetryable(error)) {
+                    throw error;
+                }
+                if (attempt >= policy.retries) {
+                    if (canQueue && this._isUnreachable(error)) {
+                        return this._enqueueAction(method, path, options);
+                    }
+                    throw error;
+                }
+
+                const delay = this._backoffDelay(policy, attempt);
+                this._emitEvent(GommoConstants.CLIENT_EVENTS.REQUEST_RETRY, { method, path, attempt: attempt + 1, delay, error });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
     }
 
     /**
-     * Make an HTTP request to the server
+     * Send a single HTTP request without retries
      * @private
      * @param {string} method - HTTP method
      * @param {string} path - API endpoint path
-     * @param {Object} options - Request options
+     * @param {Object} [options] - Request options
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {boolean} [options.withMeta] - Resolve to {status, etag, data} instead of the data alone; a 304 then counts as success
      * @returns {Promise<any>} Response data
      */
-    async _request(method, path, options = {}) {
+    async _send(method, path, options = {}) {
         const url = `${this.baseUrl}${path}`;
         const requestId = ++this._requestId;
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const startTime = Date.now();
 
         try {
-            const startTime = Date.now();
-            
-            const response = await fetch(url, {
+            const response = await this._fetch(url, {
                 method,
+                headers: options.headers,
                 body: options.body ? JSON.stringify(options.body) : undefined,
                 signal: controller.signal
             });
 
             clearTimeout(timeoutId);
             
-            const responseTime = Date.now() - startTime;
-            
-            if (!response.ok) {
-                this._updateConnectionHealth(false);
+            const notModified = response.status === 304 && !!options.withMeta;
+            if (!response.ok && !notModified) {
                 const errorText = await response.text();
                 throw new GommoError(
                     `HTTP ${response.status}: ${response.statusText}`,
@@ -80,51 +271,103 @@ class GommoClient {
                 );
             }
 
-            // Update connection health on success
-            this._updateConnectionHealth(true);
-            
             const contentType = response.headers.get('content-type');
-            let result;
-            if (contentType && contentType.includes('application/json')) {
-                result = await response.json();
-            } else {
-                result = await response.text();
+            // Action endpoints may answer with an empty body even when labelled as JSON
+            let result = await response.text();
+            if (result !== '' && contentType && contentType.includes('application/json')) {
+                try {
+                    result = JSON.parse(result);
+                } catch (error) {
+                    // The server answered; asking again would only get the same body back
+                    throw new GommoError(`Invalid JSON response: ${error.message}`, 502, { malformedBody: true, requestId });
+                }
             }
             
+            const responseTime = Date.now() - startTime;
+            this._recordRequest({ id: requestId, method, path, status: response.status, duration: responseTime, error: null });
+            
             // Log performance for monitoring
-            if (responseTime > 1000) {
+            if (responseTime > this.slowRequestThreshold) {
                 console.warn(`Slow request detected: ${method} ${path} took ${responseTime}ms`);
             }
             
+            // Update connection health on success
+            this._updateConnectionHealth(true);
+            
+            if (options.withMeta) {
+                return { status: response.status, etag: response.headers.get('etag'), data: notModified ? null : result };
+            }
             return result;
             
         } catch (error) {
             clearTimeout(timeoutId);
-            this._updateConnectionHealth(false);
             
+            let gommoError;
             if (error.name === 'AbortError') {
-                throw new GommoError('Request timeout', 408, 'Request timed out');
-            }
-            
-            // Enhanced error context
-            if (error instanceof GommoError) {
-                throw error;
+                gommoError = new GommoError('Request timeout', 408, 'Request timed out');
+            } else if (error instanceof GommoError) {
+                gommoError = error;
             } else {
-                throw new GommoError(
+                // Enhanced error context
+                gommoError = new GommoError(
                     `Network error: ${error.message}`,
                     0,
                     { originalError: error.name, requestId }
                 );
             }
+            
+            this._recordRequest({
+                id: requestId,
+                method,
+                path,
+                status: gommoError.statusCode,
+                duration: Date.now() - startTime,
+                error: gommoError.message
+            });
+            
+            // A 4xx answer still proves the server is reachable
+            this._updateConnectionHealth(!this._isRetryable(gommoError));
+            
+            throw gommoError;
         }
     }
 
     /**
-     * Get game configuration and state
+     * Get game configuration and state. A response is reused for `configCacheTtl` milliseconds,
+     * then revalidated with its ETag so that an unchanged config only costs a 304.
+     * @param {Object} [options] - Optional parameters
+     * @param {boolean} [options.fresh] - Ask the server even while the cached response is valid (default: false)
+     * @param {string} [options.kind] - Retry policy to use (default: 'read')
      * @returns {Promise<GameState>} Current game state
      */
-    async getGameState() {
-        return await this._request('GET', '/config');
+    async getGameState(options = {}) {
+        const cache = this._configCache;
+        if (cache && !options.fresh && Date.now() < this._configCacheExpiry(cache)) {
+            this._endpointStatsFor('GET', '/config').cacheHits++;
+            return cache.data;
+        }
+        
+        const response = await this._request('GET', '/config', {
+            headers: cache?.etag ? { 'If-None-Match': cache.etag } : undefined,
+            withMeta: true,
+            kind: options.kind
+        });
+        
+        if (response.status === 304) {
+            // Only sent with an ETag from the cache, but the cache may have been cleared meanwhile
+            if (!cache) {
+                return this.getGameState({ ...options, fresh: true });
+            }
+            // TurnTime is as old as the cached body, so the turn clock keeps the anchor it got then
+            cache.validatedAt = Date.now();
+            return cache.data;
+        }
+        
+        const data = this._validate(validateGameState, response.data);
+        const fetchedAt = Date.now();
+        this._configCache = { data, etag: response.etag, fetchedAt, validatedAt: fetchedAt };
+        this._observeTurnClock(data);
+        return data;
     }
 
     /**
@@ -136,7 +379,7 @@ class GommoClient {
         if (!playerName || typeof playerName !== 'string') {
             throw new GommoError('Player name must be a non-empty string', 400);
         }
-        return await this._request('POST', `/player/${encodeURIComponent(playerName)}`);
+        return this._validate(validatePlayerId, await this._request('POST', `/player/${encodeURIComponent(playerName)}`));
     }
 
     /**
@@ -148,7 +391,7 @@ class GommoClient {
         if (!playerId) {
             throw new GommoError('Player ID is required', 400);
         }
-        return await this._request('GET', `/player/${encodeURIComponent(playerId)}`);
+        return this._validate(validatePlayer, await this._request('GET', `/player/${encodeURIComponent(playerId)}`));
     }
 
     /**
@@ -160,14 +403,14 @@ class GommoClient {
         if (!playerId) {
             throw new GommoError('Player ID is required', 400);
         }
-        return await this._request('GET', `/player/${encodeURIComponent(playerId)}/surroundings`);
+        return this._validate(validateSurroundings, await this._request('GET', `/player/${encodeURIComponent(playerId)}/surroundings`));
     }
 
     /**
      * Set player direction
      * @param {string} playerId - Player ID
      * @param {string} direction - Direction ('north', 'east', 'south', 'west', 'stay')
-     * @returns {Promise<void>}
+     * @returns {Promise<ActionResult>} Whether the choice was sent or waits for the server
      */
     async setPlayerDirection(playerId, direction) {
         if (!playerId) {
@@ -175,7 +418,7 @@ class GommoClient {
         }
         
         const validDirections = ['north', 'east', 'south', 'west', 'stay'];
-        const normalizedDirection = direction.toLowerCase();
+        const normalizedDirection = typeof direction === 'string' ? direction.toLowerCase() : '';
         
         if (!validDirections.includes(normalizedDirection)) {
             throw new GommoError(
@@ -184,14 +427,14 @@ class GommoClient {
             );
         }
 
-        await this._request('PUT', `/player/${encodeURIComponent(playerId)}/direction/${normalizedDirection}`);
+        return this._sendAction(`/player/${encodeURIComponent(playerId)}/direction/${normalizedDirection}`, `direction:${playerId}`);
     }
 
     /**
      * Play a card for a player
      * @param {string} playerId - Player ID
      * @param {string} cardType - Card type ('food', 'wood', 'weapon', 'dice', 'research', 'none')
-     * @returns {Promise<void>}
+     * @returns {Promise<ActionResult>} Whether the choice was sent or waits for the server
      */
     async playCard(playerId, cardType) {
         if (!playerId) {
@@ -199,7 +442,33 @@ class GommoClient {
         }
 
         const validCards = ['food', 'wood', 'weapon', 'dice', 'research', 'none'];
-        const normalizedCardType = cardType.toLowerCase();
+        const normalizedCardType = typeof cardType === 'string' ? cardType.toLowerCase() : '';
+        
+        if (!validCards.includes(normalizedCardType)) {
+            throw new GommoError(
+                `Invalid card type. Must be one of: ${validCards.join(', ')}`,
+                400
+            );
+        }
+
+        // Food and wood fill the consume slot, everything else the play slot
+        const slot = ['food', 'wood'].includes(normalizedCardType) ? 'consume' : 'play';
+        return this._sendAction(`/player/${encodeURIComponent(playerId)}/play/${normalizedCardType}`, `${slot}:${playerId}`);
+    }
+
+    /**
+     * Choose a card to discard at the end of the turn
+     * @param {string} playerId - Player ID
+     * @param {string} cardType - Card type ('food', 'wood', 'weapon', 'research', 'none' to keep all cards)
+     * @returns {Promise<ActionResult>} Whether the choice was sent or waits for the server
+     */
+    async discardCard(playerId, cardType) {
+        if (!playerId) {
+            throw new GommoError('Player ID is required', 400);
+        }
+
+        const validCards = ['food', 'wood', 'weapon', 'research', 'none'];
+        const normalizedCardType = typeof cardType === 'string' ? cardType.toLowerCase() : '';
         
         if (!validCards.includes(normalizedCardType)) {
             throw new GommoError(
@@ -208,7 +477,19 @@ class GommoClient {
             );
         }
 
-        await this._request('PUT', `/player/${encodeURIComponent(playerId)}/play/${normalizedCardType}`);
+        return this._sendAction(`/player/${encodeURIComponent(playerId)}/discard/${normalizedCardType}`, `discard:${playerId}`);
+    }
+
+    /**
+     * Send a player action, queueing it while the server is unreachable
+     * @private
+     * @param {string} path - API endpoint path
+     * @param {string} queueKey - Queue slot; a newer action for the same slot replaces a queued one
+     * @returns {Promise<ActionResult>}
+     */
+    async _sendAction(path, queueKey) {
+        const response = await this._request('PUT', path, { queueKey });
+        return { queued: response === QUEUED, key: queueKey };
     }
 
     /**
@@ -216,13 +497,14 @@ class GommoClient {
      * @param {string} playerId - Player ID
      * @param {string} direction - Direction to move
      * @param {boolean} updateState - Whether to trigger state update callbacks (default: true)
-     * @returns {Promise<void>}
+     * @returns {Promise<ActionResult>} Whether the move was sent or waits for the server
      */
     async movePlayer(playerId, direction, updateState = true) {
-        await this.setPlayerDirection(playerId, direction);
-        if (updateState) {
+        const result = await this.setPlayerDirection(playerId, direction);
+        if (updateState && !result.queued) {
             await this._triggerStateUpdate(playerId);
         }
+        return result;
     }
 
     /**
@@ -230,13 +512,104 @@ class GommoClient {
      * @param {string} playerId - Player ID
      * @param {string} cardType - Card type to consume
      * @param {boolean} updateState - Whether to trigger state update callbacks (default: true)
-     * @returns {Promise<void>}
+     * @returns {Promise<ActionResult>} Whether the card was sent or waits for the server
      */
     async consumeCard(playerId, cardType, updateState = true) {
-        await this.playCard(playerId, cardType);
-        if (updateState) {
+        const result = await this.playCard(playerId, cardType);
+        if (updateState && !result.queued) {
+            await this._triggerStateUpdate(playerId);
+        }
+        return result;
+    }
+
+    /**
+     * Submit a whole turn as one unit. Parts are sent in order (direction, play, discard,
+     * consume); if one fails, the parts already sent are restored to the player's previous
+     * choices, parts held in the offline queue are withdrawn and a GommoError describing the
+     * failure and the rollback is thrown. While the server is unreachable, parts are queued and
+     * reported as such instead of as applied.
+     * @param {string} playerId - Player ID
+     * @param {Object} turn - Turn choices; omitted parts are left unchanged
+     * @param {string} turn.direction - Direction ('north', 'east', 'south', 'west', 'stay')
+     * @param {string} turn.play - Card to play ('weapon', 'dice', 'none', ...)
+     * @param {string} turn.consume - Card to consume ('food', 'wood')
+     * @param {string} turn.discard - Card to discard ('none' to keep all cards)
+     * @param {Object} [options] - Optional configuration
+     * @param {boolean} [options.updateState] - Whether to trigger state update callbacks (default: true)
+     * @returns {Promise<{success: boolean, applied: string[], queued: string[], previous: Object}>} Parts the server
+     *     accepted, parts waiting in the offline queue and the choices they replace
+     */
+    async submitTurn(playerId, turn = {}, options = {}) {
+        if (!playerId) {
+            throw new GommoError('Player ID is required', 400);
+        }
+
+        const player = await this.getPlayer(playerId);
+        const previous = {
+            direction: (player.Direction || 'stay').toLowerCase(),
+            play: (player.Play || 'None').toLowerCase(),
+            consume: (player.Consume || 'None').toLowerCase(),
+            discard: (player.Discard || 'None').toLowerCase()
+        };
+
+        // Consume goes last: the API has no way to clear a consume choice once made
+        const senders = {
+            direction: (value) => this.setPlayerDirection(playerId, value),
+            play: (value) => this.playCard(playerId, value),
+            discard: (value) => this.discardCard(playerId, value),
+            consume: (value) => this.playCard(playerId, value)
+        };
+        const parts = Object.keys(senders).filter(part => turn[part] !== undefined && turn[part] !== null);
+
+        const applied = [];
+        const queued = [];
+        const queueKeys = [];
+        for (const part of parts) {
+            try {
+                const result = await senders[part](turn[part]);
+                if (result.queued) {
+                    queued.push(part);
+                    queueKeys.push(result.key);
+                } else {
+                    applied.push(part);
+                }
+            } catch (error) {
+                // Queued parts of a turn that failed must not be replayed later
+                queueKeys.forEach(key => this._requestQueue.delete(key));
+                if (queueKeys.length > 0) {
+                    this._refreshConnectionStatus();
+                }
+
+                // Consume is never among them: it is sent last, so nothing can fail after it
+                const rolledBack = [];
+                const rollbackErrors = [];
+                for (const sentPart of applied.slice().reverse()) {
+                    try {
+                        const restored = await senders[sentPart](previous[sentPart]);
+                        if (restored.queued) {
+                            rollbackErrors.push({ part: sentPart, message: 'Restore held until the server is back' });
+                        } else {
+                            rolledBack.push(sentPart);
+                        }
+                    } catch (rollbackError) {
+                        rollbackErrors.push({ part: sentPart, message: rollbackError.message });
+                    }
+                }
+
+                this._handleError('Turn submission', error);
+                throw new GommoError(
+                    `Turn submission failed at ${part}: ${error.message}`,
+                    error.statusCode ?? 500,
+                    { failedPart: part, cause: error, rolledBack, withdrawn: queued, rollbackErrors }
+                );
+            }
+        }
+
+        if (options.updateState !== false && applied.length > 0) {
             await this._triggerStateUpdate(playerId);
         }
+
+        return { success: true, applied, queued, previous };
     }
 
     /**
@@ -258,139 +631,136 @@ class GommoClient {
      * @returns {Promise<boolean>} True if server is reachable
      */
     async ping() {
+        const result = await this.probe();
+        return result.online;
+    }
+
+    /**
+     * Check the server and report round-trip latency along with its `/config` metadata. Uses the
+     * 'probe' retry policy, which does not retry, so an unreachable server is reported at once.
+     * @returns {Promise<{online: boolean, latency: number|null, config: GameState|null, error: string|null}>}
+     */
+    async probe() {
+        const startTime = Date.now();
         try {
-            await this.getGameState();
-            return true;
+            const config = await this.getGameState({ fresh: true, kind: 'probe' });
+            return { online: true, latency: Date.now() - startTime, config, error: null };
         } catch (error) {
-            return false;
+            return { online: false, latency: null, config: null, error: error.message };
         }
     }
 
     // ===== UI-FOCUSED METHODS =====
 
     /**
-     * Start automatic polling for real-time updates
+     * Start real-time updates for a player. Uses a push transport (SSE or WebSocket) when the
+     * server advertises one in `/config`, otherwise polls. The same `stateChange`, `playerDeath`,
+     * `gameWon` and `turnAdvanced` events fire regardless of transport. Adaptive polling checks
+     * often around the expected end of a turn, rarely mid-turn and least while the page is hidden.
      * @param {string} playerId - Player ID to monitor
      * @param {number} interval - Polling interval in milliseconds (optional)
      */
     startPolling(playerId, interval = null) {
-        if (this._pollingTimer) {
-            this.stopPolling();
+        this.stopPolling();
+        
+        // Death and movement are detected against the last state, which must be the same player's
+        if (this._lastPlayerState && this._lastPlayerState.player.id !== playerId) {
+            this._lastPlayerState = null;
         }
         
-        const pollInterval = interval || this.pollingInterval;
-        this._pollingTimer = setInterval(async () => {
-            try {
-                await this._triggerStateUpdate(playerId);
-            } catch (error) {
-                if (this.onError) {
-                    this.onError(error);
+        const session = { playerId, interval };
+        this._updateSession = session;
+        
+        if (this.transport === 'polling') {
+            this._startPollingLoop(session);
+            return;
+        }
+        
+        this._startPushTransport(session)
+            .catch(error => {
+                console.warn('Push transport unavailable, falling back to polling:', error.message);
+                return false;
+            })
+            .then(started => {
+                if (!started && this._updateSession === session) {
+                    this._startPollingLoop(session);
                 }
-            }
-        }, pollInterval);
+            });
     }
 
     /**
-     * Stop automatic polling
+     * Stop automatic updates (polling loop and push stream)
      */
     stopPolling() {
+        this._updateSession = null;
+        this._activeTransport = null;
+        
         if (this._pollingTimer) {
-            clearInterval(this._pollingTimer);
+            clearTimeout(this._pollingTimer);
             this._pollingTimer = null;
         }
+        
+        if (this._visibilityHandler) {
+            document.removeEventListener('visibilitychange', this._visibilityHandler);
+            this._visibilityHandler = null;
+        }
+        
+        if (this._pushConnection) {
+            this._pushConnection.close();
+            this._pushConnection = null;
+        }
+    }
+
+    /**
+     * Get the transport currently delivering updates
+     * @returns {string|null} 'sse', 'websocket', 'polling' or null when stopped
+     */
+    getActiveTransport() {
+        return this._activeTransport;
     }
 
     /**
      * Get formatted player state for UI display
      * @param {string} playerId - Player ID
-     * @returns {Promise<Object>} Formatted state object for UI
+     * @returns {Promise<UIPlayerState>} Formatted state object for UI
      */
     async getUIPlayerState(playerId) {
-        const { player, surroundings } = await this.getPlayerState(playerId);
+        const [{ player, surroundings }, gameState] = await Promise.all([
+            this.getPlayerState(playerId),
+            this.getGameState()
+        ]);
         
-        return {
-            player: {
-                id: player.ID,
-                name: player.Name,
-                alive: player.Alive,
-                position: {
-                    x: player.CurrentTile.XPos,
-                    y: player.CurrentTile.YPos,
-                    terrain: player.CurrentTile.Terrain
-                },
-                direction: player.Direction,
-                cards: {
-                    hand: player.Cards.filter(card => card !== 'None'),
-                    handSize: player.Cards.filter(card => card !== 'None').length,
-                    maxSize: 5,
-                    play: player.Play,
-                    consume: player.Consume,
-                    discard: player.Discard
-                },
-                research: {
-                    positions: player.ResearchAcquisitionPos,
-                    count: player.Cards.filter(card => card === 'Research').length
-                }
-            },
-            surroundings: this._formatSurroundings(surroundings),
-            gameState: await this.getGameState(),
-            events: {
-                getRecent: (turns = 5) => this.getPlayerEvents(playerId, { turns }),
-                getByType: (eventType, turns = 5) => this.getPlayerEventsByType(playerId, eventType, { turns }),
-                getCombat: (turns = 5) => this.getPlayerCombatEvents(playerId, turns),
-                getMovement: (turns = 5) => this.getPlayerMovementEvents(playerId, turns),
-                getCardUsage: (turns = 5) => this.getPlayerCardEvents(playerId, turns),
-                subscribe: (options) => this.subscribeToPlayerEvents(playerId, options)
-            }
-        };
+        return this._buildUIPlayerState(playerId, player, surroundings, gameState);
     }
 
     /**
      * Get available actions for a player based on current state
      * @param {string} playerId - Player ID
-     * @returns {Promise<Object>} Available actions
+     * @returns {Promise<AvailableActions>} Available actions
      */
     async getAvailableActions(playerId) {
         const { player, surroundings } = await this.getPlayerState(playerId);
-        
-        if (!player.Alive) {
-            return { canMove: false, canPlay: false, availableCards: [], availableDirections: [] };
-        }
+        return this._computeAvailableActions(player, surroundings);
+    }
 
-        const availableCards = player.Cards.filter(card => card !== 'None');
-        const availableDirections = [];
+    /**
+     * Get everything needed to decide a turn in one round-trip: the formatted UI state
+     * plus the available actions derived from the same server data
+     * @param {string} playerId - Player ID
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.lastMealTurn] - Turn in which the player last ate or joined, so that
+     *     food is recommended by hunger (see StrategyEngine.evaluate)
+     * @returns {Promise<{state: UIPlayerState, actions: AvailableActions}>} UI state and available actions
+     */
+    async getTurnContext(playerId, options = {}) {
+        const [{ player, surroundings }, gameState] = await Promise.all([
+            this.getPlayerState(playerId),
+            this.getGameState()
+        ]);
         
-        // Check which directions are safe/available
-        const directions = [
-            { name: 'north', tile: surroundings.NN, constant: GommoConstants.DIRECTIONS.NORTH },
-            { name: 'east', tile: surroundings.EE, constant: GommoConstants.DIRECTIONS.EAST },
-            { name: 'south', tile: surroundings.SS, constant: GommoConstants.DIRECTIONS.SOUTH },
-            { name: 'west', tile: surroundings.WW, constant: GommoConstants.DIRECTIONS.WEST },
-            { name: 'stay', tile: surroundings.CE, constant: GommoConstants.DIRECTIONS.STAY }
-        ];
-
-        directions.forEach(dir => {
-            if (dir.tile.TileType !== 'Edge') {
-                availableDirections.push({
-                    direction: dir.constant,
-                    name: dir.name,
-                    safe: dir.tile.ZombieCount === 0,
-                    zombieCount: dir.tile.ZombieCount,
-                    terrain: dir.tile.TileType,
-                    playerCount: dir.tile.PlayerCount
-                });
-            }
-        });
-
         return {
-            canMove: true,
-            canPlay: availableCards.length > 0,
-            availableCards: availableCards.map(card => ({
-                type: card,
-                constant: GommoConstants.CARDS[card.toUpperCase()]
-            })),
-            availableDirections,
-            recommendations: this._getActionRecommendations(player, surroundings)
+            state: this._buildUIPlayerState(playerId, player, surroundings, gameState),
+            actions: this._computeAvailableActions(player, surroundings, gameState, options)
         };
     }
 
@@ -405,29 +775,24 @@ class GommoClient {
         try {
             const beforeState = await this.getUIPlayerState(playerId);
             
-            // Execute actions
-            await this.movePlayer(playerId, direction, false);
-            await this.consumeCard(playerId, cardType, false);
+            // Execute actions; a failed consume undoes the move
+            await this.submitTurn(playerId, { direction, consume: cardType }, { updateState: false });
             
             // Get updated state
             const afterState = await this.getUIPlayerState(playerId);
             
-            // Trigger state change callback
-            if (this.onStateChange) {
-                this.onStateChange({
-                    type: 'turn_complete',
-                    before: beforeState,
-                    after: afterState,
-                    actions: { direction, cardType }
-                });
-            }
-            
-            return {
+            // Listeners get the plain state like after any other update; the before/after
+            // pair goes out separately so stateChange keeps a single shape
+            const result = {
                 success: true,
                 before: beforeState,
                 after: afterState,
                 actions: { direction, cardType }
             };
+            this._applyStateUpdate(afterState);
+            this._emitEvent(GommoConstants.CLIENT_EVENTS.TURN_COMPLETE, result);
+            
+            return result;
             
         } catch (error) {
             if (this.onError) {
@@ -440,9 +805,9 @@ class GommoClient {
     /**
      * Get recent events for a player
      * @param {string} playerId - Player ID
-     * @param {Object} options - Optional parameters
-     * @param {number} options.turns - Number of recent turns to get events for (default: 5)
-     * @returns {Promise<Object>} Events data with events array and count
+     * @param {Object} [options] - Optional parameters
+     * @param {number} [options.turns] - Number of recent turns to get events for (default: 5)
+     * @returns {Promise<EventsResponse>} Events data with events array and count
      */
     async getPlayerEvents(playerId, options = {}) {
         const params = new URLSearchParams();
@@ -451,19 +816,20 @@ class GommoClient {
         }
         
         const queryString = params.toString();
-        const path = `/player/${playerId}/events${queryString ? '?' + queryString : ''}`;
+        const path = `/player/${encodeURIComponent(playerId)}/events${queryString ? '?' + queryString : ''}`;
         
         try {
             const result = await this._request('GET', path);
+            const data = this._validate(validateEventsResponse, result?.data);
             
             // Emit event for real-time updates
             this._emitEvent('eventsReceived', {
                 playerId,
-                events: result.data.events,
-                count: result.data.count
+                events: data.events,
+                count: data.count
             });
             
-            return result.data;
+            return data;
         } catch (error) {
             this._handleError('getPlayerEvents', error);
             throw error;
@@ -474,9 +840,9 @@ class GommoClient {
      * Get filtered events by type for a player
      * @param {string} playerId - Player ID
      * @param {string} eventType - Event type to filter by
-     * @param {Object} options - Optional parameters
-     * @param {number} options.turns - Number of recent turns to get events for (default: 5)
-     * @returns {Promise<Object>} Filtered events data
+     * @param {Object} [options] - Optional parameters
+     * @param {number} [options.turns] - Number of recent turns to get events for (default: 5)
+     * @returns {Promise<EventsResponse>} Filtered events data
      */
     async getPlayerEventsByType(playerId, eventType, options = {}) {
         const params = new URLSearchParams();
@@ -485,20 +851,21 @@ class GommoClient {
         }
         
         const queryString = params.toString();
-        const path = `/player/${playerId}/events/type/${eventType}${queryString ? '?' + queryString : ''}`;
+        const path = `/player/${encodeURIComponent(playerId)}/events/type/${encodeURIComponent(eventType)}${queryString ? '?' + queryString : ''}`;
         
         try {
             const result = await this._request('GET', path);
+            const data = this._validate(validateEventsResponse, result?.data);
             
             // Emit event for real-time updates
             this._emitEvent('filteredEventsReceived', {
                 playerId,
                 eventType,
-                events: result.data.events,
-                count: result.data.count
+                events: data.events,
+                count: data.count
             });
             
-            return result.data;
+            return data;
         } catch (error) {
             this._handleError('getPlayerEventsByType', error);
             throw error;
@@ -509,7 +876,7 @@ class GommoClient {
      * Get recent combat events for a player
      * @param {string} playerId - Player ID
      * @param {number} turns - Number of recent turns (default: 5)
-     * @returns {Promise<Object>} Combat events data
+     * @returns {Promise<EventsResponse>} Combat events data
      */
     async getPlayerCombatEvents(playerId, turns = 5) {
         return this.getPlayerEventsByType(playerId, 'combat_result', { turns });
@@ -519,7 +886,7 @@ class GommoClient {
      * Get recent movement events for a player
      * @param {string} playerId - Player ID
      * @param {number} turns - Number of recent turns (default: 5)
-     * @returns {Promise<Object>} Movement events data
+     * @returns {Promise<EventsResponse>} Movement events data
      */
     async getPlayerMovementEvents(playerId, turns = 5) {
         return this.getPlayerEventsByType(playerId, 'player_move', { turns });
@@ -529,19 +896,21 @@ class GommoClient {
      * Get recent card usage events for a player
      * @param {string} playerId - Player ID
      * @param {number} turns - Number of recent turns (default: 5)
-     * @returns {Promise<Object>} Card usage events data
+     * @returns {Promise<EventsResponse>} Card usage events data
      */
     async getPlayerCardEvents(playerId, turns = 5) {
         return this.getPlayerEventsByType(playerId, 'card_usage', { turns });
     }
 
     /**
-     * Subscribe to real-time events for a player
+     * Subscribe to real-time events for a player. Events are polled, except while a push stream
+     * for the same player is open: then the stream delivers them and `/events` is only read once
+     * to start from.
      * @param {string} playerId - Player ID
-     * @param {Object} options - Subscription options
-     * @param {number} options.interval - Polling interval in milliseconds (default: 2000)
-     * @param {number} options.turns - Number of recent turns to monitor (default: 1)
-     * @param {Function} options.onNewEvents - Callback for new events
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.interval] - Polling interval in milliseconds (default: 2000)
+     * @param {number} [options.turns] - Number of recent turns to monitor (default: 1)
+     * @param {Function} [options.onNewEvents] - Callback for new events
      * @returns {Function} Unsubscribe function
      */
     subscribeToPlayerEvents(playerId, options = {}) {
@@ -549,33 +918,59 @@ class GommoClient {
         const turns = options.turns || 1;
         const onNewEvents = options.onNewEvents || (() => {});
         
-        let lastEventCount = 0;
+        // Turn of each event in the last window by key; the window slides with the turns,
+        // so its count alone cannot tell which events are new
+        let seenEvents = new Map();
         let isActive = true;
+        let hasWindow = false;
+        let timer = null;
+        
+        const report = (newEvents, totalCount) => {
+            if (newEvents.length === 0) return;
+            onNewEvents(newEvents);
+            this._emitEvent('newPlayerEvents', { playerId, newEvents, totalCount });
+        };
+        
+        const subscription = {
+            playerId,
+            // Pushed events extend the window, and events older than `turns` turns leave it
+            receive: (events) => {
+                if (!isActive) return;
+                const newEvents = events.filter(event => !seenEvents.has(eventKey(event)));
+                newEvents.forEach(event => seenEvents.set(eventKey(event), event.Turn));
+                const latestTurn = Math.max(...seenEvents.values());
+                seenEvents.forEach((turn, key) => {
+                    if (turn <= latestTurn - turns) seenEvents.delete(key);
+                });
+                report(newEvents, seenEvents.size);
+            }
+        };
+        this._eventSubscriptions.add(subscription);
         
         const pollEvents = async () => {
+            timer = null;
             if (!isActive) return;
             
-            try {
-                const eventsData = await this.getPlayerEvents(playerId, { turns });
-                
-                // Check if there are new events
-                if (eventsData.count > lastEventCount) {
-                    const newEvents = eventsData.events.slice(lastEventCount);
-                    lastEventCount = eventsData.count;
+            if (!hasWindow || !this._isPushActiveFor(playerId)) {
+                try {
+                    const eventsData = await this.getPlayerEvents(playerId, { turns });
+                    
+                    // Check if there are new events
+                    const windowKeys = eventsData.events.map(event => eventKey(event));
+                    const newEvents = eventsData.events.filter((event, index) => !seenEvents.has(windowKeys[index]));
+                    seenEvents = new Map(eventsData.events.map((event, index) => [windowKeys[index], event.Turn]));
+                    hasWindow = true;
                     
-                    onNewEvents(newEvents);
-                    this._emitEvent('newPlayerEvents', {
-                        playerId,
-                        newEvents,
-                        totalCount: eventsData.count
-                    });
+                    if (isActive) {
+                        report(newEvents, eventsData.count);
+                    }
+                } catch (error) {
+                    console.warn('Error polling player events:', error);
                 }
-            } catch (error) {
-                console.warn('Error polling player events:', error);
             }
             
             if (isActive) {
-                setTimeout(pollEvents, interval);
+                timer = setTimeout(pollEvents, interval);
             }
         };
         
@@ -585,12 +980,14 @@ class GommoClient {
         // Return unsubscribe function
         return () => {
             isActive = false;
+            clearTimeout(timer);
+            this._eventSubscriptions.delete(subscription);
         };
     }
 
     /**
      * Add event listener for game events
-     * @param {string} event - Event type ('stateChange', 'playerDeath', 'gameWon', 'error', 'eventsReceived', 'filteredEventsReceived', 'newPlayerEvents')
+     * @param {string} event - Event type ('stateChange', 'playerDeath', 'gameWon', 'turnComplete', 'turnAdvanced', 'error', 'eventsReceived', 'filteredEventsReceived', 'newPlayerEvents', 'transportChange')
      * @param {Function} callback - Event handler
      */
     addEventListener(event, callback) {
@@ -616,19 +1013,132 @@ class GommoClient {
     }
 
     /**
-     * Clean up resources (stop polling, clear listeners)
+     * Player actions waiting to be replayed once the server is reachable again
+     * @returns {Array<{key: string, method: string, path: string, queuedAt: number}>} Queued actions, oldest first
      */
-    dispose() {
-        this.stopPolling();
-        this._eventListeners.clear();
-        this._requestQueue.clear();
-        
-        // Reset connection health
-        this._connectionHealth = {
-            consecutiveFailures: 0,
-            lastSuccessTime: null,
+    getQueuedActions() {
+        return [...this._requestQueue.values()].map(({ key, method, path, queuedAt }) => ({ key, method, path, queuedAt }));
+    }
+
+    /**
+     * Try to replay queued actions now instead of waiting for the next attempt
+     * @returns {Promise<{sent: string[], dropped: string[]}>} Keys of replayed and discarded actions
+     */
+    flushQueue() {
+        return this._flushQueue();
+    }
+
+    /**
+     * Discard every queued action without sending it and stop the replay timer
+     */
+    clearQueue() {
+        if (this._queueTimer) {
+            clearTimeout(this._queueTimer);
+            this._queueTimer = null;
+        }
+        this._requestQueue.clear();
+    }
+
+    /**
+     * Summarize connection health: 'offline' after repeated failures, 'degraded' while
+     * requests fail, actions are queued or the last few requests were slow, else 'healthy'
+     * @returns {string} 'healthy', 'degraded' or 'offline'
+     */
+    getConnectionStatus() {
+        if (!this._connectionHealth.isHealthy) {
+            return 'offline';
+        }
+        
+        const recent = this._requestLog.slice(-5);
+        const recentlySlow = recent.length > 0 && recent.filter(entry => entry.slow).length * 2 >= recent.length;
+        if (this._connectionHealth.consecutiveFailures > 0 || this._requestQueue.size > 0 || recentlySlow) {
+            return 'degraded';
+        }
+        return 'healthy';
+    }
+
+    /**
+     * The server's turn clock as of the last fresh /config
+     * @returns {{turn: (number|null), turnLength: number, endsAt: number, turnsSeen: number}|null} Turn number
+     *     (null when the server does not report it), when the turn is expected to end (epoch
+     *     milliseconds) and how many new turns were seen since; null before the first /config
+     */
+    getTurnClock() {
+        return this._turnClock ? { ...this._turnClock } : null;
+    }
+
+    /**
+     * Snapshot of connection health and recent request history for diagnostics displays
+     * @returns {Object} Status, health counters, transport, queued actions and request history (newest first)
+     */
+    getDiagnostics() {
+        const requests = this._requestLog.slice().reverse();
+        const successful = requests.filter(entry => entry.ok);
+        const averageResponseTime = successful.length > 0
+            ? Math.round(successful.reduce((sum, entry) => sum + entry.duration, 0) / successful.length)
+            : null;
+        
+        return {
+            status: this.getConnectionStatus(),
+            health: { ...this._connectionHealth },
+            transport: this._activeTransport,
+            queuedActions: this.getQueuedActions(),
+            averageResponseTime,
+            slowRequestThreshold: this.slowRequestThreshold,
+            endpoints: this.getRequestStats().endpoints,
+            requests,
+            slowRequests: requests.filter(entry => entry.slow),
+            errors: requests.filter(entry => !entry.ok)
+        };
+    }
+
+    /**
+     * Request counters per endpoint (ids and arguments replaced by placeholders, e.g.
+     * `GET /player/:id/surroundings`). `requests` went over the network, `deduped` calls joined
+     * a request already in flight and `cacheHits` were answered from the `/config` cache.
+     * @returns {{since: number, endpoints: Object<string, {requests: number, errors: number, notModified: number, deduped: number, cacheHits: number, averageDuration: (number|null), requestsPerSecond: number}>}} Counters since `since`
+     */
+    getRequestStats() {
+        const seconds = Math.max(1, (Date.now() - this._statsSince) / 1000);
+        const endpoints = {};
+        this._endpointStats.forEach(({ totalDuration, ...counters }, endpoint) => {
+            endpoints[endpoint] = {
+                ...counters,
+                averageDuration: counters.requests > 0 ? Math.round(totalDuration / counters.requests) : null,
+                requestsPerSecond: Math.round(counters.requests / seconds * 100) / 100
+            };
+        });
+        return { since: this._statsSince, endpoints };
+    }
+
+    /**
+     * Start the per-endpoint counters over
+     */
+    resetRequestStats() {
+        this._endpointStats.clear();
+        this._statsSince = Date.now();
+    }
+
+    /**
+     * Clean up resources (stop polling, clear listeners)
+     */
+    dispose() {
+        this.stopPolling();
+        this._eventListeners.clear();
+        this.clearQueue();
+        
+        // Reset connection health
+        this._connectionHealth = {
+            consecutiveFailures: 0,
+            lastSuccessTime: null,
             isHealthy: true
         };
+        this._connectionStatus = 'healthy';
+        this._requestLog = [];
+        this._inFlight.clear();
+        this._configCache = null;
+        this._turnClock = null;
+        this.resetRequestStats();
         
         console.log('GommoClient disposed successfully');
     }
@@ -649,35 +1159,7 @@ class GommoClient {
                 throw new GommoError('Invalid state data received from server', 500);
             }
             
-            // Check for significant changes for special event handling
-            const hasSignificantChanges = !this._lastPlayerState || 
-                this._lastPlayerState.player.position.x !== currentState.player.position.x ||
-                this._lastPlayerState.player.position.y !== currentState.player.position.y ||
-                this._lastPlayerState.player.alive !== currentState.player.alive ||
-                this._lastPlayerState.gameState.remainingTurns !== currentState.gameState.remainingTurns;
-            
-            // Always emit state change to ensure UI stays fresh
-            // This prevents stale tile data and ensures all changes are captured
-            this._emitEvent('stateChange', currentState);
-            
-            // Handle special events only when there are significant changes
-            if (hasSignificantChanges) {
-                if (this._lastPlayerState && this._lastPlayerState.player.alive && !currentState.player.alive) {
-                    this._emitEvent('playerDeath', currentState);
-                }
-                
-                if (currentState.gameState.havePlayersWon) {
-                    this._emitEvent('gameWon', currentState);
-                }
-            }
-            
-            // Always update cached state and call state change callback
-            this._lastPlayerState = currentState;
-            
-            // Always call global state change callback to ensure UI updates
-            if (this.onStateChange) {
-                this.onStateChange(currentState);
-            }
+            this._applyStateUpdate(currentState);
             
         } catch (error) {
             console.error('State update failed:', error.message);
@@ -690,6 +1172,406 @@ class GommoClient {
         }
     }
 
+    /**
+     * Emit state events for a freshly built UI state, independent of how it was fetched
+     * @private
+     * @param {Object} currentState - Output of _buildUIPlayerState
+     */
+    _applyStateUpdate(currentState) {
+        // Check for significant changes for special event handling
+        const hasSignificantChanges = !this._lastPlayerState || 
+            this._lastPlayerState.player.position.x !== currentState.player.position.x ||
+            this._lastPlayerState.player.position.y !== currentState.player.position.y ||
+            this._lastPlayerState.player.alive !== currentState.player.alive ||
+            this._lastPlayerState.gameState.remainingTurns !== currentState.gameState.remainingTurns;
+        
+        // Always emit state change to ensure UI stays fresh
+        // This prevents stale tile data and ensures all changes are captured
+        this._emitEvent('stateChange', currentState);
+        
+        // Handle special events only when there are significant changes
+        if (hasSignificantChanges) {
+            if (this._lastPlayerState && this._lastPlayerState.player.alive && !currentState.player.alive) {
+                this._emitEvent('playerDeath', currentState);
+            }
+            
+            if (currentState.gameState.havePlayersWon) {
+                this._emitEvent('gameWon', currentState);
+            }
+        }
+        
+        // Always update cached state and call state change callback
+        this._lastPlayerState = currentState;
+        
+        // Always call global state change callback to ensure UI updates
+        if (this.onStateChange) {
+            this.onStateChange(currentState);
+        }
+    }
+
+    /**
+     * Combine raw server payloads into the camelCase view handed to UIs
+     * @private
+     * @param {string} playerId - Player ID
+     * @param {Player} player - Player payload
+     * @param {Surroundings} surroundings - Surroundings payload
+     * @param {GameState} gameState - Config payload
+     * @returns {UIPlayerState}
+     */
+    _buildUIPlayerState(playerId, player, surroundings, gameState) {
+        return {
+            player: {
+                id: player.ID,
+                name: player.Name,
+                alive: player.Alive,
+                isBot: player.IsBot,
+                position: {
+                    x: player.CurrentTile.XPos,
+                    y: player.CurrentTile.YPos,
+                    terrain: player.CurrentTile.Terrain
+                },
+                direction: player.Direction,
+                cards: {
+                    hand: player.Cards.filter(card => card !== 'None'),
+                    handSize: player.Cards.filter(card => card !== 'None').length,
+                    maxSize: player.Cards.length,
+                    slots: [...player.Cards],
+                    play: player.Play,
+                    consume: player.Consume,
+                    discard: player.Discard
+                },
+                research: {
+                    positions: player.ResearchAcquisitionPos,
+                    count: player.Cards.filter(card => card === 'Research').length
+                }
+            },
+            surroundings: this._formatSurroundings(surroundings),
+            gameState,
+            events: {
+                getRecent: (turns = 5) => this.getPlayerEvents(playerId, { turns }),
+                getByType: (eventType, turns = 5) => this.getPlayerEventsByType(playerId, eventType, { turns }),
+                getCombat: (turns = 5) => this.getPlayerCombatEvents(playerId, turns),
+                getMovement: (turns = 5) => this.getPlayerMovementEvents(playerId, turns),
+                getCardUsage: (turns = 5) => this.getPlayerCardEvents(playerId, turns),
+                subscribe: (options) => this.subscribeToPlayerEvents(playerId, options)
+            }
+        };
+    }
+
+    _startPollingLoop(session) {
+        const { playerId } = session;
+        
+        this._setActiveTransport('polling');
+        const schedule = (delay) => {
+            this._pollingTimer = setTimeout(poll, delay);
+        };
+        // Polls run one after another, so a retrying update never piles up behind the next
+        const poll = async () => {
+            this._pollingTimer = null;
+            const turnsBefore = this._turnClock?.turnsSeen;
+            try {
+                await this._triggerStateUpdate(playerId);
+            } catch (error) {
+                if (this.onError) {
+                    this.onError(error);
+                }
+            }
+            if (this._updateSession === session) {
+                const turnAdvanced = turnsBefore !== undefined && this._turnClock?.turnsSeen !== turnsBefore;
+                schedule(this._nextPollDelay(session, turnAdvanced));
+            }
+        };
+        
+        // Catch up at once when the page is shown again
+        if (this.adaptivePolling && typeof document !== 'undefined') {
+            this._visibilityHandler = () => {
+                if (document.visibilityState === 'visible' && this._pollingTimer) {
+                    clearTimeout(this._pollingTimer);
+                    poll();
+                }
+            };
+            document.addEventListener('visibilitychange', this._visibilityHandler);
+        }
+        
+        schedule(this._nextPollDelay(session, false));
+    }
+
+    /**
+     * Delay before the next poll. Near the expected end of a turn, and right after a new turn
+     * was seen (the player state may predate the resolution), polls are quick; mid-turn they
+     * wait until the boundary window opens, up to maxPollingInterval.
+     * @private
+     * @param {Object} session - Update session ({playerId, interval})
+     * @param {boolean} turnAdvanced - Whether the last poll saw a new turn
+     * @returns {number} Delay in milliseconds
+     */
+    _nextPollDelay(session, turnAdvanced) {
+        const interval = session.interval || this.pollingInterval;
+        if (!this.adaptivePolling) {
+            return interval;
+        }
+        if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+            return Math.max(interval, this.hiddenPollingInterval);
+        }
+        if (turnAdvanced) {
+            return this.minPollingInterval;
+        }
+        
+        const clock = this._turnClock;
+        if (!clock || clock.turnLength <= 0) {
+            return interval;
+        }
+        
+        const untilWindow = clock.endsAt - Date.now() - this.turnBoundaryWindow;
+        if (untilWindow > 0) {
+            return Math.min(this.maxPollingInterval, Math.max(this.minPollingInterval, untilWindow));
+        }
+        // Inside the window; a turn overdue past it means the clock is off, so stop hurrying
+        return untilWindow > -2 * this.turnBoundaryWindow ? this.minPollingInterval : interval;
+    }
+
+    /**
+     * Track the server's turn clock and emit `turnAdvanced` when a new turn starts: by the turn
+     * number where the server reports one, else by the countdown starting over, which moves the
+     * expected end of the turn by about a turn length
+     * @private
+     * @param {GameState} gameState - Fresh /config payload
+     */
+    _observeTurnClock(gameState) {
+        const previous = this._turnClock;
+        const turn = gameState.Turn ?? null;
+        const endsAt = Date.now() + gameState.TurnTime * 1000;
+        
+        let advanced = false;
+        if (previous && turn !== null && previous.turn !== null) {
+            advanced = turn !== previous.turn;
+        } else if (previous && gameState.TurnLength > 0) {
+            // TurnTime is in whole seconds, so within a turn endsAt only wobbles by about one
+            advanced = endsAt - previous.endsAt > gameState.TurnLength * 500;
+        }
+        
+        this._turnClock = {
+            turn,
+            turnLength: gameState.TurnLength,
+            endsAt,
+            turnsSeen: (previous?.turnsSeen ?? 0) + (advanced ? 1 : 0)
+        };
+        
+        if (advanced) {
+            this._emitEvent(GommoConstants.CLIENT_EVENTS.TURN_ADVANCED, { turn, previousTurn: previous.turn, gameState });
+        }
+    }
+
+    /**
+     * A cached /config is reused for configCacheTtl, but not within turnBoundaryWindow of the
+     * end of the turn it describes, where the quick polls have to see the new turn
+     * @private
+     */
+    _configCacheExpiry(cache) {
+        const { TurnLength, TurnTime } = cache.data;
+        const untilWindow = TurnLength > 0 ? TurnTime * 1000 - this.turnBoundaryWindow : Infinity;
+        return Math.min(cache.validatedAt + this.configCacheTtl, cache.fetchedAt + untilWindow);
+    }
+
+    /**
+     * Pick a push transport the server advertises and this environment supports
+     * @private
+     * @returns {Promise<string|null>} 'sse', 'websocket' or null
+     */
+    async _detectPushTransport() {
+        const config = await this.getGameState();
+        const advertised = Array.isArray(config?.PushTransports) ? config.PushTransports : [];
+        const candidates = this.transport === 'auto' ? ['websocket', 'sse'] : [this.transport];
+        
+        return candidates.find(kind =>
+            advertised.includes(kind) &&
+            (kind === 'sse' ? !!this._EventSource : !!this._WebSocket)
+        ) || null;
+    }
+
+    /**
+     * Open a push stream; resolves true once connected, false if it could not be opened
+     * @private
+     */
+    async _startPushTransport(session) {
+        const kind = await this._detectPushTransport();
+        if (!kind || this._updateSession !== session) {
+            return false;
+        }
+        
+        const streamPath = `/player/${encodeURIComponent(session.playerId)}/${kind === 'sse' ? 'stream' : 'ws'}`;
+        
+        return new Promise(resolve => {
+            let opened = false;
+            
+            const onOpen = () => {
+                opened = true;
+                this._setActiveTransport(kind);
+                resolve(true);
+            };
+            
+            // Frames are decoded here so that a malformed one is reported like any other bad payload
+            const onMessage = (decode) => {
+                if (this._updateSession !== session) return;
+                let message = null;
+                try {
+                    message = decode();
+                    this._handlePushMessage(session.playerId, message.type, message.data);
+                } catch (error) {
+                    console.error(`Failed to handle ${message ? message.type : 'malformed'} push message:`, error);
+                    this._emitEvent('error', error instanceof GommoError
+                        ? error
+                        : new GommoError(`Invalid push message: ${error.message}`, 502, { malformedBody: true }));
+                }
+            };
+            
+            const onFailure = () => {
+                if (this._pushConnection === connection) {
+                    connection.close();
+                    this._pushConnection = null;
+                }
+                if (!opened) {
+                    resolve(false);
+                } else if (this._updateSession === session) {
+                    // Stream dropped after connecting - keep updates flowing via polling
+                    console.warn(`${kind} stream lost, falling back to polling`);
+                    this._startPollingLoop(session);
+                }
+            };
+            
+            const connection = kind === 'sse'
+                ? this._openEventSource(streamPath, onOpen, onMessage, onFailure)
+                : this._openWebSocket(streamPath, onOpen, onMessage, onFailure);
+            this._pushConnection = connection;
+        });
+    }
+
+    _openEventSource(path, onOpen, onMessage, onFailure) {
+        const source = new this._EventSource(`${this.baseUrl}${path}`);
+        source.onopen = onOpen;
+        source.onerror = onFailure;
+        ['state', 'events'].forEach(type => {
+            source.addEventListener(type, message => onMessage(() => ({ type, data: JSON.parse(message.data) })));
+        });
+        return { close: () => source.close() };
+    }
+
+    _openWebSocket(path, onOpen, onMessage, onFailure) {
+        const socket = new this._WebSocket(`${this.baseUrl.replace(/^http/, 'ws')}${path}`);
+        socket.onopen = onOpen;
+        socket.onerror = onFailure;
+        socket.onclose = onFailure;
+        socket.onmessage = message => onMessage(() => JSON.parse(message.data));
+        return {
+            close: () => {
+                socket.onclose = null;
+                socket.close();
+            }
+        };
+    }
+
+    /**
+     * Whether an open push stream delivers the player's updates and events
+     * @private
+     */
+    _isPushActiveFor(playerId) {
+        return this._updateSession?.playerId === playerId
+            && (this._activeTransport === 'sse' || this._activeTransport === 'websocket');
+    }
+
+    /**
+     * Apply a pushed message: a `state` snapshot ({player, surroundings, config}) emits the usual
+     * state events, `events` go to the event subscriptions for the player
+     * @private
+     */
+    _handlePushMessage(playerId, type, payload) {
+        if (type === 'events') {
+            const newEvents = Array.isArray(payload) ? payload : [];
+            newEvents.forEach((event, index) => this._validate(candidate => validateEvent(candidate, `events[${index}]`), event));
+            this._eventSubscriptions.forEach(subscription => {
+                if (subscription.playerId === playerId) {
+                    subscription.receive(newEvents);
+                }
+            });
+            return;
+        }
+        if (type !== 'state') return;
+        
+        // The three parts arrive together, so the UI never sees a new position with old surroundings
+        const player = this._validate(validatePlayer, payload.player);
+        const surroundings = this._validate(validateSurroundings, payload.surroundings);
+        const gameState = this._validate(validateGameState, payload.config);
+        this._observeTurnClock(gameState);
+        this._applyStateUpdate(this._buildUIPlayerState(playerId, player, surroundings, gameState));
+    }
+
+    /**
+     * Run a schema validator from gommo-schema.js unless validation is switched off
+     * @private
+     * @param {Function} validator - Validator that throws a GommoError on a malformed payload
+     * @param {*} data - Server payload
+     * @returns {*} The validated payload
+     */
+    _validate(validator, data) {
+        return this.validateResponses ? validator(data) : data;
+    }
+
+    _setActiveTransport(transport) {
+        if (this._activeTransport === transport) return;
+        this._activeTransport = transport;
+        this._emitEvent('transportChange', { transport });
+    }
+
+    /**
+     * @private
+     * @param {Player} player - Player payload
+     * @param {Surroundings} surroundings - Surroundings payload
+     * @param {GameState|null} gameState - Config payload, if loaded
+     * @param {Object} [options] - Passed on to StrategyEngine.evaluate
+     * @returns {AvailableActions}
+     */
+    _computeAvailableActions(player, surroundings, gameState = null, options = {}) {
+        if (!player.Alive) {
+            return { canMove: false, canPlay: false, availableCards: [], availableDirections: [] };
+        }
+
+        const availableCards = player.Cards.filter(card => card !== 'None');
+        const availableDirections = [];
+        
+        // Check which directions are safe/available
+        const directions = [
+            { name: 'north', tile: surroundings.NN, constant: GommoConstants.DIRECTIONS.NORTH },
+            { name: 'east', tile: surroundings.EE, constant: GommoConstants.DIRECTIONS.EAST },
+            { name: 'south', tile: surroundings.SS, constant: GommoConstants.DIRECTIONS.SOUTH },
+            { name: 'west', tile: surroundings.WW, constant: GommoConstants.DIRECTIONS.WEST },
+            { name: 'stay', tile: surroundings.CE, constant: GommoConstants.DIRECTIONS.STAY }
+        ];
+
+        directions.forEach(dir => {
+            if (dir.tile.TileType !== 'Edge') {
+                availableDirections.push({
+                    direction: dir.constant,
+                    name: dir.name,
+                    safe: dir.tile.ZombieCount === 0,
+                    zombieCount: dir.tile.ZombieCount,
+                    terrain: dir.tile.TileType,
+                    playerCount: dir.tile.PlayerCount
+                });
+            }
+        });
+
+        return {
+            canMove: true,
+            canPlay: availableCards.length > 0,
+            availableCards: availableCards.map(card => ({
+                type: card,
+                constant: GommoConstants.CARDS[card.toUpperCase()]
+            })),
+            availableDirections,
+            recommendations: this.strategyEngine.evaluate(player, surroundings, gameState, options)
+        };
+    }
+
     _formatSurroundings(surroundings) {
         const formatTile = (tile) => ({
             terrain: tile.TileType,
@@ -706,6 +1588,7 @@ class GommoClient {
         });
 
         return {
+            tiles: surroundings,
             grid: [
                 [formatTile(surroundings.NW), formatTile(surroundings.NN), formatTile(surroundings.NE)],
                 [formatTile(surroundings.WW), formatTile(surroundings.CE), formatTile(surroundings.EE)],
@@ -721,75 +1604,164 @@ class GommoClient {
         };
     }
 
-    _getActionRecommendations(player, surroundings) {
-        const recommendations = [];
-        
-        // Movement recommendations
-        const currentZombies = surroundings.CE.ZombieCount;
-        const directions = [
-            { name: 'north', tile: surroundings.NN },
-            { name: 'east', tile: surroundings.EE },
-            { name: 'south', tile: surroundings.SS },
-            { name: 'west', tile: surroundings.WW }
-        ];
+    _updateConnectionHealth(success) {
+        if (success) {
+            this._connectionHealth.consecutiveFailures = 0;
+            this._connectionHealth.lastSuccessTime = Date.now();
+            this._connectionHealth.isHealthy = true;
+            
+            // Back online: replay held actions without waiting for the flush timer
+            if (this._requestQueue.size > 0 && !this._queueFlush) {
+                this._flushQueue();
+            }
+        } else {
+            this._connectionHealth.consecutiveFailures++;
+            this._connectionHealth.isHealthy = this._connectionHealth.consecutiveFailures < 3;
+        }
         
-        const safestDirection = directions.reduce((safest, current) => {
-            if (current.tile.TileType === 'Edge') return safest;
-            return current.tile.ZombieCount < safest.tile.ZombieCount ? current : safest;
-        }, { tile: { ZombieCount: Infinity } });
-        
-        if (currentZombies > 0 && safestDirection.tile.ZombieCount < currentZombies) {
-            recommendations.push({
-                type: 'movement',
-                action: safestDirection.name,
-                reason: `Move ${safestDirection.name} to escape ${currentZombies} zombies`,
-                priority: 'high'
-            });
+        this._refreshConnectionStatus();
+    }
+
+    _refreshConnectionStatus() {
+        const status = this.getConnectionStatus();
+        if (status !== this._connectionStatus) {
+            const previous = this._connectionStatus;
+            this._connectionStatus = status;
+            this._emitEvent(GommoConstants.CLIENT_EVENTS.CONNECTION_CHANGE, { status, previous });
         }
+    }
+
+    _recordRequest(entry) {
+        const record = {
+            ...entry,
+            ok: entry.error === null,
+            slow: entry.duration > this.slowRequestThreshold,
+            timestamp: Date.now()
+        };
         
-        // Card recommendations
-        const availableCards = player.Cards.filter(card => card !== 'None');
+        this._requestLog.push(record);
+        if (this._requestLog.length > this.requestLogSize) {
+            this._requestLog.shift();
+        }
         
-        if (availableCards.includes('Food')) {
-            recommendations.push({
-                type: 'consume',
-                action: 'food',
-                reason: 'Consume food for safe survival',
-                priority: 'medium'
-            });
+        const stats = this._endpointStatsFor(entry.method, entry.path);
+        stats.requests++;
+        stats.totalDuration += entry.duration;
+        if (!record.ok) {
+            stats.errors++;
+        } else if (entry.status === 304) {
+            stats.notModified++;
         }
         
-        if (availableCards.includes('Weapon') && currentZombies > 0) {
-            recommendations.push({
-                type: 'play',
-                action: 'weapon',
-                reason: `Use weapon against ${currentZombies} zombies`,
-                priority: 'high'
-            });
+        this._emitEvent(GommoConstants.CLIENT_EVENTS.REQUEST, record);
+    }
+
+    _endpointStatsFor(method, path) {
+        const parts = path.split('?')[0].split('/').filter(Boolean);
+        if (parts[0] === 'player' && parts.length > 1) {
+            parts[1] = ':id';
+            // Directions, cards and event type filters would each get their own row
+            if (['direction', 'play', 'discard'].includes(parts[2]) && parts[3]) {
+                parts[3] = ':value';
+            }
+            if (parts[2] === 'events' && parts[4]) {
+                parts[4] = ':type';
+            }
         }
         
-        if (surroundings.CE.TileType === 'Laboratory') {
-            const researchCount = availableCards.filter(card => card === 'Research').length;
-            recommendations.push({
-                type: 'info',
-                action: 'stay',
-                reason: `At laboratory with ${researchCount} research cards`,
-                priority: researchCount >= 3 ? 'high' : 'low'
+        const endpoint = `${method} /${parts.join('/')}`;
+        if (!this._endpointStats.has(endpoint)) {
+            this._endpointStats.set(endpoint, { requests: 0, errors: 0, notModified: 0, deduped: 0, cacheHits: 0, totalDuration: 0 });
+        }
+        return this._endpointStats.get(endpoint);
+    }
+
+    _isRetryable(error) {
+        // Network failures, timeouts, throttling and server errors; other 4xx and bodies that
+        // cannot be parsed will fail again
+        return error instanceof GommoError
+            && !error.details?.malformedBody
+            && (error.statusCode === 0 || error.statusCode === 408 || error.statusCode === 429 || error.statusCode >= 500);
+    }
+
+    _isUnreachable(error) {
+        // Only these mean the server never answered; a 5xx is the server rejecting the action
+        return error instanceof GommoError && (error.statusCode === 0 || error.statusCode === 408);
+    }
+
+    _backoffDelay(policy, attempt) {
+        const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt));
+        // Jitter spreads out clients that lost the connection at the same moment
+        return Math.round(delay * (1 - policy.jitter * Math.random()));
+    }
+
+    _enqueueAction(method, path, options) {
+        const key = options.queueKey;
+        this._requestQueue.delete(key);
+        if (this._requestQueue.size >= this.maxQueueSize) {
+            const oldestKey = this._requestQueue.keys().next().value;
+            this._requestQueue.delete(oldestKey);
+        }
+        this._requestQueue.set(key, { key, method, path, options, queuedAt: Date.now() });
+
+        this._emitEvent(GommoConstants.CLIENT_EVENTS.ACTION_QUEUED, { key, method, path, size: this._requestQueue.size });
+        this._refreshConnectionStatus();
+        this._scheduleQueueFlush();
+        return QUEUED;
+    }
+
+    _scheduleQueueFlush() {
+        if (this._queueTimer || this._requestQueue.size === 0) return;
+        this._queueTimer = setTimeout(() => {
+            this._queueTimer = null;
+            this._flushQueue();
+        }, this.queueRetryInterval);
+    }
+
+    _flushQueue() {
+        // Callers arriving mid-replay wait for the same replay instead of starting another
+        if (!this._queueFlush) {
+            this._queueFlush = this._replayQueue().finally(() => {
+                this._queueFlush = null;
             });
         }
-        
-        return recommendations;
+        return this._queueFlush;
     }
 
-    _updateConnectionHealth(success) {
-        if (success) {
-            this._connectionHealth.consecutiveFailures = 0;
-            this._connectionHealth.lastSuccessTime = Date.now();
-            this._connectionHealth.isHealthy = true;
-        } else {
-            this._connectionHealth.consecutiveFailures++;
-            this._connectionHealth.isHealthy = this._connectionHealth.consecutiveFailures < 3;
+    async _replayQueue() {
+        const result = { sent: [], dropped: [] };
+        for (const [key, entry] of [...this._requestQueue]) {
+            if (Date.now() - entry.queuedAt > this.maxQueueAge) {
+                this._requestQueue.delete(key);
+                result.dropped.push(key);
+                continue;
+            }
+
+            try {
+                await this._send(entry.method, entry.path, entry.options);
+                this._requestQueue.delete(key);
+                result.sent.push(key);
+            } catch (error) {
+                // Still offline: keep this and everything behind it for the next attempt
+                if (this._isUnreachable(error)) break;
+
+                this._requestQueue.delete(key);
+                result.dropped.push(key);
+                this._handleError('Queued action', error);
+            }
         }
+
+        if (result.sent.length > 0 || result.dropped.length > 0) {
+            this._emitEvent(GommoConstants.CLIENT_EVENTS.QUEUE_FLUSHED, { ...result, remaining: this._requestQueue.size });
+            this._refreshConnectionStatus();
+        }
+        this._scheduleQueueFlush();
+        return result;
+    }
+
+    _handleError(operation, error) {
+        console.error(`${operation} failed:`, error.message);
+        this._emitEvent('error', error);
     }
 
     _emitEvent(eventType, data) {
@@ -838,6 +1810,19 @@ const GommoConstants = {
         NONE: 'none'
     },
     
+    // Offsets of each surroundings key from the player's tile; north decreases YPos
+    SURROUNDING_OFFSETS: {
+        NW: { x: -1, y: -1 },
+        NN: { x: 0, y: -1 },
+        NE: { x: 1, y: -1 },
+        WW: { x: -1, y: 0 },
+        CE: { x: 0, y: 0 },
+        EE: { x: 1, y: 0 },
+        SW: { x: -1, y: 1 },
+        SS: { x: 0, y: 1 },
+        SE: { x: 1, y: 1 }
+    },
+    
     TERRAINS: {
         FOREST: 'Forest',
         FARM: 'Farm',
@@ -869,15 +1854,42 @@ const GommoConstants = {
         STATE_CHANGE: 'stateChange',
         PLAYER_DEATH: 'playerDeath',
         GAME_WON: 'gameWon',
+        TURN_COMPLETE: 'turnComplete',
+        TURN_ADVANCED: 'turnAdvanced',
         ERROR: 'error',
         EVENTS_RECEIVED: 'eventsReceived',
         FILTERED_EVENTS_RECEIVED: 'filteredEventsReceived',
-        NEW_PLAYER_EVENTS: 'newPlayerEvents'
+        NEW_PLAYER_EVENTS: 'newPlayerEvents',
+        TRANSPORT_CHANGE: 'transportChange',
+        REQUEST: 'request',
+        REQUEST_RETRY: 'requestRetry',
+        CONNECTION_CHANGE: 'connectionChange',
+        ACTION_QUEUED: 'actionQueued',
+        QUEUE_FLUSHED: 'queueFlushed'
+    },
+    
+    // Backoff per request kind: delay = min(maxDelay, baseDelay * factor^attempt), reduced by up to `jitter`
+    RETRY_POLICIES: {
+        // Reads are safe to repeat
+        read: { retries: 3, baseDelay: 250, maxDelay: 4000, factor: 2, jitter: 0.5 },
+        // Direction/play/discard PUTs set absolute choices, so repeating one is harmless
+        action: { retries: 3, baseDelay: 250, maxDelay: 4000, factor: 2, jitter: 0.5 },
+        // Joining creates a player; retrying after an ambiguous failure could create two
+        write: { retries: 0, baseDelay: 0, maxDelay: 0, factor: 1, jitter: 0 },
+        // Probes measure reachability and latency, which retries would hide
+        probe: { retries: 0, baseDelay: 0, maxDelay: 0, factor: 1, jitter: 0 }
+    },
+    
+    TRANSPORTS: {
+        AUTO: 'auto',
+        SSE: 'sse',
+        WEBSOCKET: 'websocket',
+        POLLING: 'polling'
     }
 };
 
 // ES6 Module Export (works in both browser and Node.js with proper setup)
-export { GommoClient, GommoError, GommoConstants };
+export { GommoClient, GommoError, GommoConstants, eventKey };
 
 // Backward compatibility: also export to global window if available
 if (typeof window !== 'undefined') {
@@ -0,0 +1,390 @@
+/**
+ * Gommo server response schemas - JSDoc typedefs for every payload the API returns, plus
+ * runtime validators. GommoClient runs each response through its validator, so a malformed
+ * payload raises a GommoError naming the offending field instead of being defaulted later.
+ *
+ * Field names follow the server (PascalCase, except `havePlayersWon`); the client's own
+ * camelCase views are described by UIPlayerState and AvailableActions.
+ */
+
+import { GommoError, GommoConstants } from './gommo-client.js';
+
+// ===== SERVER PAYLOADS =====
+
+/**
+ * Card name as sent by the server; 'None' marks an empty hand slot or no choice
+ * @typedef {'Food'|'Wood'|'Weapon'|'Dice'|'Research'|'None'} CardName
+ */
+
+/**
+ * Terrain of a board tile; 'Edge' only appears in surroundings, for tiles off the board
+ * @typedef {'Forest'|'Farm'|'City'|'Laboratory'|'Edge'} TerrainName
+ */
+
+/**
+ * Movement choice as sent by the server
+ * @typedef {'North'|'East'|'South'|'West'|'Stay'} DirectionName
+ */
+
+/**
+ * Board coordinates; north decreases YPos
+ * @typedef {Object} TilePosition
+ * @property {number} XPos - Column
+ * @property {number} YPos - Row
+ */
+
+/**
+ * The tile a player stands on
+ * @typedef {Object} PlayerTile
+ * @property {number} XPos - Column
+ * @property {number} YPos - Row
+ * @property {TerrainName} [Terrain] - Terrain, when the server includes it
+ */
+
+/**
+ * GET /player/:id
+ * @typedef {Object} Player
+ * @property {string} ID - Player ID
+ * @property {string} Name - Display name
+ * @property {boolean} Alive - False once the player has become undead
+ * @property {boolean} IsBot - Whether a bot controls the player
+ * @property {PlayerTile} CurrentTile - Current position
+ * @property {DirectionName} Direction - Movement chosen for this turn
+ * @property {CardName[]} Cards - Hand slots, 'None' for empty ones
+ * @property {CardName} Play - Card played this turn
+ * @property {CardName} Consume - Card consumed this turn
+ * @property {CardName} Discard - Card discarded at the end of this turn
+ * @property {TilePosition[]|null} ResearchAcquisitionPos - Where each research card was found
+ */
+
+/**
+ * One tile of GET /player/:id/surroundings
+ * @typedef {Object} SurroundingTile
+ * @property {TerrainName} TileType - Terrain
+ * @property {number} ZombieCount - Zombies on the tile
+ * @property {number} PlayerCount - Living players on the tile
+ * @property {number} PlayersPlanMoveNorth - Players on the tile heading north this turn
+ * @property {number} PlayersPlanMoveEast - Players on the tile heading east this turn
+ * @property {number} PlayersPlanMoveSouth - Players on the tile heading south this turn
+ * @property {number} PlayersPlanMoveWest - Players on the tile heading west this turn
+ */
+
+/**
+ * GET /player/:id/surroundings - the 3x3 grid around the player, keyed by compass position
+ * (see GommoConstants.SURROUNDING_OFFSETS)
+ * @typedef {Object} Surroundings
+ * @property {SurroundingTile} NW
+ * @property {SurroundingTile} NN
+ * @property {SurroundingTile} NE
+ * @property {SurroundingTile} WW
+ * @property {SurroundingTile} CE
+ * @property {SurroundingTile} EE
+ * @property {SurroundingTile} SW
+ * @property {SurroundingTile} SS
+ * @property {SurroundingTile} SE
+ */
+
+/**
+ * How fights are decided, on servers that announce it: everyone on a tile with zombies rolls
+ * a die, cards add bonuses, and the total must reach ZombiesToDice per zombie
+ * @typedef {Object} CombatRules
+ * @property {number} [DieSides] - Sides of each player's die
+ * @property {number} [WeaponBonus] - Added by a played weapon
+ * @property {number} [WoodBonus] - Added by consumed wood
+ * @property {number} [ZombiesToDice] - Total needed per zombie on the tile
+ */
+
+/**
+ * GET /config
+ * @typedef {Object} GameState
+ * @property {number} TurnLength - Seconds per turn
+ * @property {number} TurnTime - Seconds left in the current turn
+ * @property {number} [Turn] - Current turn number, on servers that report it
+ * @property {boolean} havePlayersWon - Whether the survivors have won
+ * @property {number} [ResearchToWin] - Research cards needed at a laboratory to win
+ * @property {number} [StarvationTurns] - Turns without food that kill a player, on servers that announce it
+ * @property {CombatRules} [CombatRules] - Combat rules, on servers that announce them
+ * @property {string[]} [PushTransports] - Push transports offered ('sse', 'websocket')
+ */
+
+/**
+ * A player event; EventData depends on EventType (see GommoConstants.EVENT_TYPES)
+ * @typedef {Object} GameEvent
+ * @property {number} [ID] - Increasing event ID, on servers that report it
+ * @property {string} [PlayerID] - Player the event belongs to
+ * @property {number} Turn - Turn the event happened in
+ * @property {string} EventType - Event type, e.g. 'player_move'
+ * @property {Object<string, *>} EventData - Type-specific details
+ */
+
+/**
+ * GET /player/:id/events and /player/:id/events/type/:type (the `data` field of the envelope)
+ * @typedef {Object} EventsResponse
+ * @property {GameEvent[]} events - Events, oldest first
+ * @property {number} count - Number of events
+ */
+
+// ===== CLIENT VIEWS =====
+
+/**
+ * Surroundings tile in the client's camelCase view
+ * @typedef {Object} FormattedTile
+ * @property {TerrainName} terrain
+ * @property {number} zombies
+ * @property {number} players
+ * @property {{north: number, east: number, south: number, west: number}} plannedMoves
+ * @property {boolean} safe - No zombies
+ * @property {boolean} dangerous - More than two zombies
+ */
+
+/**
+ * Surroundings as formatted for UIs
+ * @typedef {Object} FormattedSurroundings
+ * @property {Surroundings} tiles - Raw server tiles
+ * @property {FormattedTile[][]} grid - Rows from north to south
+ * @property {FormattedTile} center
+ * @property {{north: FormattedTile, east: FormattedTile, south: FormattedTile, west: FormattedTile}} adjacent
+ */
+
+/**
+ * Player as formatted for UIs
+ * @typedef {Object} UIPlayer
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} alive
+ * @property {boolean} isBot
+ * @property {{x: number, y: number, terrain: (TerrainName|undefined)}} position
+ * @property {DirectionName} direction
+ * @property {{hand: CardName[], handSize: number, maxSize: number, slots: CardName[], play: CardName, consume: CardName, discard: CardName}} cards
+ * @property {{positions: (TilePosition[]|null), count: number}} research
+ */
+
+/**
+ * Payload of the `stateChange`, `playerDeath` and `gameWon` events
+ * @typedef {Object} UIPlayerState
+ * @property {UIPlayer} player
+ * @property {FormattedSurroundings} surroundings
+ * @property {GameState} gameState
+ * @property {Object<string, Function>} events - Event helpers bound to the player
+ */
+
+/**
+ * A scored suggestion from the StrategyEngine
+ * @typedef {Object} Recommendation
+ * @property {string} type - 'movement', 'play', 'consume', 'discard' or 'info'
+ * @property {string} action - Direction or lowercase card name
+ * @property {number} score - Weighted sum of the evaluators' scores
+ * @property {string} priority - 'high', 'medium', 'low' or 'avoid'
+ * @property {string} reason - Explanation of the strongest contribution
+ * @property {Array<{evaluator: string, score: number, reason: string}>} explanations - Every contribution
+ */
+
+/**
+ * A direction the player can take this turn
+ * @typedef {Object} AvailableDirection
+ * @property {string} direction - GommoConstants.DIRECTIONS value
+ * @property {string} name - Direction name ('north', ..., 'stay')
+ * @property {boolean} safe - No zombies on the target tile
+ * @property {number} zombieCount
+ * @property {TerrainName} terrain
+ * @property {number} playerCount
+ */
+
+/**
+ * Result of getAvailableActions
+ * @typedef {Object} AvailableActions
+ * @property {boolean} canMove
+ * @property {boolean} canPlay
+ * @property {Array<{type: CardName, constant: string}>} availableCards
+ * @property {AvailableDirection[]} availableDirections
+ * @property {Recommendation[]} [recommendations] - Missing for undead players
+ */
+
+/**
+ * Result of a player action (setPlayerDirection, playCard, discardCard, ...)
+ * @typedef {Object} ActionResult
+ * @property {boolean} queued - True when the server was unreachable and the action waits in the offline queue
+ * @property {string} key - Queue slot of the action, e.g. 'direction:<playerId>'
+ */
+
+// ===== VALIDATORS =====
+
+// gommo-client.js imports this module, so its constants are only read once validation runs
+const surroundingKeys = () => Object.keys(GommoConstants.SURROUNDING_OFFSETS);
+const cardNames = () => Object.values(GommoConstants.CARDS);
+const directionNames = () => Object.values(GommoConstants.DIRECTIONS);
+const terrainNames = () => Object.values(GommoConstants.TERRAINS);
+
+const isString = value => typeof value === 'string';
+const isBoolean = value => typeof value === 'boolean';
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isInteger = value => Number.isInteger(value);
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCard = value => isString(value) && cardNames().includes(value.toLowerCase());
+const isDirection = value => isString(value) && directionNames().includes(value.toLowerCase());
+const isTerrain = value => terrainNames().includes(value);
+
+/**
+ * Throws the error raised for every schema violation
+ * @param {string} schema - Name of the payload type
+ * @param {string} path - Offending field, e.g. 'Cards[2]'
+ * @param {string} expected - What the field should have been
+ * @param {*} value - What was received
+ */
+function fail(schema, path, expected, value) {
+    throw new GommoError(
+        `Malformed ${schema} from server: ${path || 'response'} should be ${expected}`,
+        502,
+        { schema, path, value }
+    );
+}
+
+function expectField(schema, data, path, field, expected, test) {
+    const value = data[field];
+    if (!test(value)) {
+        fail(schema, path ? `${path}.${field}` : field, expected, value);
+    }
+}
+
+function expectObject(schema, value, path) {
+    if (!isObject(value)) {
+        fail(schema, path, 'an object', value);
+    }
+}
+
+/**
+ * Validates a GET /player/:id response
+ * @param {*} data - Parsed response body
+ * @returns {Player} The same object
+ */
+export function validatePlayer(data) {
+    const schema = 'Player';
+    expectObject(schema, data, '');
+    expectField(schema, data, '', 'ID', 'a string', isString);
+    expectField(schema, data, '', 'Name', 'a string', isString);
+    expectField(schema, data, '', 'Alive', 'a boolean', isBoolean);
+    expectField(schema, data, '', 'IsBot', 'a boolean', isBoolean);
+    expectField(schema, data, '', 'Direction', `one of ${directionNames().join(', ')}`, isDirection);
+    ['Play', 'Consume', 'Discard'].forEach(field => {
+        expectField(schema, data, '', field, 'a card name', isCard);
+    });
+
+    expectObject(schema, data.CurrentTile, 'CurrentTile');
+    expectField(schema, data.CurrentTile, 'CurrentTile', 'XPos', 'an integer', isInteger);
+    expectField(schema, data.CurrentTile, 'CurrentTile', 'YPos', 'an integer', isInteger);
+    expectField(schema, data.CurrentTile, 'CurrentTile', 'Terrain', 'a terrain name', value => value === undefined || isTerrain(value));
+
+    if (!Array.isArray(data.Cards)) {
+        fail(schema, 'Cards', 'an array', data.Cards);
+    }
+    data.Cards.forEach((card, index) => {
+        if (!isCard(card)) {
+            fail(schema, `Cards[${index}]`, 'a card name', card);
+        }
+    });
+
+    // Servers written in Go send null for an empty list
+    const positions = data.ResearchAcquisitionPos;
+    if (positions !== null && !Array.isArray(positions)) {
+        fail(schema, 'ResearchAcquisitionPos', 'an array or null', positions);
+    }
+    (positions || []).forEach((position, index) => {
+        const path = `ResearchAcquisitionPos[${index}]`;
+        expectObject(schema, position, path);
+        expectField(schema, position, path, 'XPos', 'an integer', isInteger);
+        expectField(schema, position, path, 'YPos', 'an integer', isInteger);
+    });
+
+    return data;
+}
+
+/**
+ * Validates a GET /player/:id/surroundings response
+ * @param {*} data - Parsed response body
+ * @returns {Surroundings} The same object
+ */
+export function validateSurroundings(data) {
+    const schema = 'Surroundings';
+    expectObject(schema, data, '');
+
+    surroundingKeys().forEach(key => {
+        const tile = data[key];
+        expectObject(schema, tile, key);
+        expectField(schema, tile, key, 'TileType', `one of ${terrainNames().join(', ')}`, isTerrain);
+        ['ZombieCount', 'PlayerCount', 'PlayersPlanMoveNorth', 'PlayersPlanMoveEast', 'PlayersPlanMoveSouth', 'PlayersPlanMoveWest']
+            .forEach(field => expectField(schema, tile, key, field, 'a non-negative integer', isCount));
+    });
+
+    return data;
+}
+
+/**
+ * Validates a GET /config response
+ * @param {*} data - Parsed response body
+ * @returns {GameState} The same object
+ */
+export function validateGameState(data) {
+    const schema = 'GameState';
+    const optional = test => value => value === undefined || test(value);
+    expectObject(schema, data, '');
+    expectField(schema, data, '', 'TurnLength', 'a non-negative number', value => typeof value === 'number' && value >= 0);
+    expectField(schema, data, '', 'TurnTime', 'a number', value => typeof value === 'number');
+    expectField(schema, data, '', 'havePlayersWon', 'a boolean', isBoolean);
+    expectField(schema, data, '', 'Turn', 'a non-negative integer', optional(isCount));
+    expectField(schema, data, '', 'ResearchToWin', 'a positive integer', optional(value => isCount(value) && value > 0));
+    expectField(schema, data, '', 'StarvationTurns', 'a positive integer', optional(value => isCount(value) && value > 0));
+    expectField(schema, data, '', 'PushTransports', 'an array of strings', optional(value => Array.isArray(value) && value.every(isString)));
+    expectField(schema, data, '', 'CombatRules', 'an object', optional(isObject));
+    if (data.CombatRules !== undefined) {
+        ['DieSides', 'ZombiesToDice'].forEach(field => expectField(schema, data.CombatRules, 'CombatRules', field, 'a positive integer', optional(value => isCount(value) && value > 0)));
+        ['WeaponBonus', 'WoodBonus'].forEach(field => expectField(schema, data.CombatRules, 'CombatRules', field, 'a non-negative integer', optional(isCount)));
+    }
+    return data;
+}
+
+/**
+ * Validates a single event
+ * @param {*} event - Event object
+ * @param {string} path - Where the event sits in the response, for error messages
+ * @returns {GameEvent} The same object
+ */
+export function validateEvent(event, path = '') {
+    const schema = 'GameEvent';
+    expectObject(schema, event, path);
+    expectField(schema, event, path, 'Turn', 'an integer', isInteger);
+    expectField(schema, event, path, 'EventType', 'a string', isString);
+    expectField(schema, event, path, 'EventData', 'an object or null', value => value === null || isObject(value));
+    expectField(schema, event, path, 'ID', 'an integer', value => value === undefined || isInteger(value));
+    return event;
+}
+
+/**
+ * Validates the `data` of an events response
+ * @param {*} data - `data` field of the response envelope
+ * @returns {EventsResponse} The same object, with a null event list replaced by an empty one
+ */
+export function validateEventsResponse(data) {
+    const schema = 'EventsResponse';
+    expectObject(schema, data, '');
+    if (data.events === null) {
+        data.events = [];
+    }
+    if (!Array.isArray(data.events)) {
+        fail(schema, 'events', 'an array', data.events);
+    }
+    data.events.forEach((event, index) => validateEvent(event, `events[${index}]`));
+    expectField(schema, data, '', 'count', 'a non-negative integer', isCount);
+    return data;
+}
+
+/**
+ * Validates the POST /player/:name response
+ * @param {*} data - Parsed response body
+ * @returns {string} The new player's ID
+ */
+export function validatePlayerId(data) {
+    if (!isString(data) || data.length === 0) {
+        fail('PlayerID', '', 'a non-empty string', data);
+    }
+    return data;
+}
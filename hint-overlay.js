@@ -0,0 +1,148 @@
+import { StrategyEngine } from "./strategy-engine.js";
+
+const STORAGE_PREFIX = "gommo.hints.";
+
+// Tiles a player can move to, by API direction
+const DIRECTION_TILES = {
+  north: "NN",
+  east: "EE",
+  south: "SS",
+  west: "WW",
+  stay: "CE"
+};
+
+const CARD_BADGES = {
+  play: "Play",
+  consume: "Use",
+  discard: "Drop"
+};
+
+// Card advice below this score is not worth a badge
+const MIN_CARD_SCORE = 0.3;
+
+/**
+ * Optional advice layer over the 3x3 grid and the hand, fed by GommoClient.getAvailableActions.
+ * Whether it is shown is remembered per player.
+ */
+export class HintOverlay {
+  /**
+   * @param {HTMLElement} toggleButton - Button that shows and hides the hints
+   * @param {Object} instances - Live tile and card instances ({tiles, cards}); slots may be rebuilt
+   */
+  constructor(toggleButton, instances) {
+    this.toggleButton = toggleButton;
+    this.instances = instances;
+    this.playerId = null;
+    this.enabled = false;
+    this.lastActions = null;
+    this.onToggle = null;
+
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', () => this.setEnabled(!this.enabled));
+    }
+    this.renderToggle();
+  }
+
+  /**
+   * Switches to a player's stored preference; null hides the toggle
+   * @param {string|null} playerId - Current player ID
+   */
+  setPlayer(playerId) {
+    this.playerId = playerId;
+    this.enabled = false;
+    if (playerId) {
+      try {
+        this.enabled = localStorage.getItem(STORAGE_PREFIX + playerId) === "on";
+      } catch (error) {
+        console.warn('Could not read hint preference:', error);
+      }
+    }
+    this.clear();
+    this.renderToggle();
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (this.playerId) {
+      try {
+        localStorage.setItem(STORAGE_PREFIX + this.playerId, enabled ? "on" : "off");
+      } catch (error) {
+        console.warn('Could not store hint preference:', error);
+      }
+    }
+
+    if (!enabled) {
+      this.clear();
+    } else if (this.lastActions) {
+      this.apply(this.lastActions);
+    }
+    this.renderToggle();
+
+    if (this.onToggle) {
+      this.onToggle(enabled);
+    }
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Marks reachable tiles safe or dangerous and badges the top move and card advice
+   * @param {Object} actions - Result of GommoClient.getAvailableActions
+   */
+  apply(actions) {
+    this.lastActions = actions;
+    if (!this.enabled) return;
+
+    this.clear();
+    const recommendations = actions.recommendations || [];
+
+    const bestMove = StrategyEngine.best(recommendations, 'movement');
+    (actions.availableDirections || []).forEach(direction => {
+      const tile = this.instances.tiles[DIRECTION_TILES[direction.name]];
+      if (!tile) return;
+
+      const advice = recommendations.find(rec => rec.type === 'movement' && rec.action === direction.name);
+      const dangerous = !direction.safe || advice?.priority === 'avoid';
+      tile.setHint({
+        level: dangerous ? 'danger' : 'safe',
+        badge: bestMove && bestMove.action === direction.name ? '★' : null,
+        reason: this.describe(advice) || (direction.safe ? 'No zombies' : `${direction.zombieCount} zombies`)
+      });
+    });
+
+    Object.keys(CARD_BADGES).forEach(type => {
+      const advice = StrategyEngine.best(recommendations, type);
+      if (!advice || advice.score < MIN_CARD_SCORE) return;
+
+      const card = Object.values(this.instances.cards).find(candidate => candidate.getType().toLowerCase() === advice.action);
+      if (card) {
+        card.setHint({ badge: CARD_BADGES[type], reason: this.describe(advice) });
+      }
+    });
+  }
+
+  /**
+   * Hover text: the leading reason plus the other evaluators' notes
+   */
+  describe(advice) {
+    if (!advice) return null;
+    const notes = (advice.explanations || [])
+      .filter(explanation => explanation.reason !== advice.reason)
+      .map(explanation => explanation.reason);
+    return [advice.reason, ...notes].join('\n');
+  }
+
+  clear() {
+    Object.values(this.instances.tiles).forEach(tile => tile.setHint(null));
+    Object.values(this.instances.cards).forEach(card => card.setHint(null));
+  }
+
+  renderToggle() {
+    if (!this.toggleButton) return;
+    this.toggleButton.hidden = !this.playerId;
+    this.toggleButton.textContent = this.enabled ? 'Hide hints' : 'Show hints';
+    this.toggleButton.setAttribute('aria-pressed', String(this.enabled));
+  }
+}
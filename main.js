@@ -2,52 +2,104 @@
 import { Tile } from "./tile.js";
 import { Card, findIdOfCardForType } from "./card.js";
 import { GommoClient } from "./gommo-client.js";
+import { TurnTimer } from "./turn-timer.js";
+import { WorldMap } from "./world-map.js";
+import { EventLog } from "./event-log.js";
+import { loadSession, saveSession, clearSession } from "./session.js";
+import { ServerPicker, loadServerList } from "./server-picker.js";
+import { HintOverlay } from "./hint-overlay.js";
+import { TurnDraft } from "./turn-draft.js";
+import { ConnectionStatus } from "./connection-status.js";
+import { ToastManager } from "./toast.js";
+import { EndScreen } from "./end-screen.js";
+import { SpectatorBar } from "./spectator-bar.js";
+import { GameStore, selectors } from "./store.js";
+import { ResearchPanel, describeProgress } from "./research-panel.js";
+import { previewCombat, describeOdds, formatChance, resolveCombatRules, summarizeCombat, describeCombat } from "./combat.js";
 
 // ===== CONFIGURATION =====
 const CONFIG = {
+  // Fallback when neither ?server=, config.json nor the picker provide a server
   SERVER_URL: "http://localhost:8080",
   POLLING_INTERVALS: {
     PLAYER: 1000,
     SURROUNDINGS: 2000, // Reduced for better responsiveness
     CONFIG: 3000
   },
-  DEFAULT_CARDS: ["None", "None", "None", "None", "None"],
-  MAX_RETRY_ATTEMPTS: 3,
-  RETRY_DELAY: 1000,
+  // 'auto' streams updates over SSE/WebSocket when the server offers it, else polls
+  TRANSPORT: "auto",
   // New configuration options
-  DEBOUNCE_DELAY: 100,
+  TURN_WARNING_SECONDS: 5,
+  EVENT_LOG: {
+    TURNS: 10,
+    INTERVAL: 2000
+  },
+  // Hints cost an extra round-trip, so state bursts are coalesced
+  HINT_REFRESH_DELAY: 500,
   CONNECTION_TIMEOUT: 5000,
-  MAX_CONSECUTIVE_ERRORS: 5
+  MAX_CONSECUTIVE_ERRORS: 5,
+  MAX_VISIBLE_TOASTS: 5,
+  // How long a touch on a card must be held to mark it as the discard
+  LONG_PRESS_MS: 500,
+  // Win chances from which combat odds are shown as likely or merely risky
+  COMBAT_ODDS: {
+    LIKELY: 0.8,
+    RISKY: 0.4
+  }
 };
 
 // ===== DOM ELEMENTS =====
 const DOM = {
   tiles: document.querySelectorAll(".tile"),
-  cards: document.querySelectorAll(".card"),
+  cardArea: document.getElementById("cardArea"),
+  handSize: document.getElementById("handSize"),
   overlay: document.getElementById("gameStartOverlay"),
   startButton: document.getElementById("startGameButton"),
+  resumeButton: document.getElementById("resumeGameButton"),
+  leaveButton: document.getElementById("leaveGameButton"),
+  connectionStatus: document.getElementById("connectionStatus"),
+  hintToggle: document.getElementById("hintToggle"),
   nameInput: document.getElementById("nameInput"),
-  label: document.getElementById("label")
+  spectateInput: document.getElementById("spectateInput"),
+  spectateButton: document.getElementById("spectateButton"),
+  spectatorBar: document.getElementById("spectatorBar"),
+  serverPicker: document.getElementById("serverPicker"),
+  label: document.getElementById("label"),
+  turnTimer: document.getElementById("turnTimer"),
+  turnDraft: document.getElementById("turnDraft"),
+  worldMap: document.getElementById("worldMap"),
+  researchPanel: document.getElementById("researchPanel"),
+  eventLog: document.getElementById("eventLog"),
+  toasts: document.getElementById("toasts"),
+  endScreen: document.getElementById("endScreen")
 };
 
 // ===== GAME STATE =====
 let gameClient = null;
+// Polls a watched player so that gameClient keeps polling the own character meanwhile
+let spectatorClient = null;
 let currentPlayerId = null;
+// Player whose board is shown; differs from currentPlayerId while spectating
+let viewedPlayerId = null;
+let turnTimer = null;
+let turnDraft = null;
+let worldMap = null;
+let researchPanel = null;
+let eventLog = null;
+let serverPicker = null;
+let hintOverlay = null;
+let connectionStatus = null;
+let toastManager = null;
+let endScreen = null;
+let spectatorBar = null;
+let unsubscribeEvents = null;
 const instances = {
   tiles: {},
   cards: {}
 };
 
-// Enhanced state tracking
-const connectionState = {
-  isConnected: false,
-  consecutiveErrors: 0,
-  lastSuccessfulUpdate: null,
-  reconnectAttempts: 0
-};
-
 // Debounce tracking
-let updateDebounceTimer = null;
+let hintDebounceTimer = null;
 
 // ===== CONSTANTS =====
 const DIRECTIONS = ["NW", "NN", "NE", "WW", "CE", "EE", "SW", "SS", "SE"];
@@ -63,7 +115,7 @@ const ASSETS = {
   CARDS: {
     Food: "img/food.jpg",
     Wood: "img/wood.jpg",
-    Weapon: "img/gun.jpg",
+    Weapon: "img/weapon.jpg",
     Research: "img/dna.jpg",
     None: "img/none.jpg"
   }
@@ -91,48 +143,60 @@ const CARD_TYPES = {
 };
 
 // ===== STATE MANAGEMENT =====
-const state = {
-  player: {
-    name: null,
-    position: { x: 0, y: 0 },
-    direction: "Stay",
-    actions: {
-      play: "None",
-      consume: "None",
-      discard: "None"
-    },
-    cards: [...CONFIG.DEFAULT_CARDS],
-    alive: false,
-    isBot: false
-  },
-  game: {
-    turnLength: 15,
-    turnTime: 15,
-    hasWon: false
-  },
-  ui: {
-    initialized: false,
-    connected: false
-  }
-};
+// Single source of what the board shows; views re-render from its change diffs
+const store = new GameStore();
 
 /**
- * Safely updates the UI based on current player state
- * Includes proper error handling and validation
+ * Re-renders the parts of the board that a store change touched
+ * @param {Object} diff - Changed fields, hand slots and tiles (see diffStates)
+ * @param {Object} current - State after the change
+ * @param {Object} previous - State before the change
  */
-function updateUIFromPlayerState() {
+function renderChanges(diff, current, previous) {
   try {
-    // Update card displays
-    updateCardDisplays();
+    const playerChanged = (...fields) => fields.some(field => diff.player.includes(field));
+    const handChanged = diff.cards.length > 0 || diff.ui.includes('cardOrder');
     
-    // Update tile states
-    updateTileStates();
+    if (handChanged) {
+      // A new order moves every card, otherwise only the changed slots are redrawn
+      updateCardDisplays(diff.ui.includes('cardOrder') ? null : diff.cards);
+    }
+    
+    if (handChanged || playerChanged('direction', 'actions')) {
+      updateTileStates();
+      updateActionIndicators();
+    }
+    
+    diff.tiles
+      .filter(tileId => current.tiles[tileId])
+      .forEach(tileId => updateTileDisplay(tileId, current.tiles[tileId]));
+    
+    if (handChanged || diff.tiles.length > 0 || playerChanged('direction', 'actions') || diff.game.includes('combatRules')) {
+      updateCombatOdds();
+    }
+    
+    // New tiles can reveal a laboratory
+    if (diff.tiles.length > 0 || playerChanged('id', 'alive', 'position', 'research') ||
+        diff.game.includes('researchToWin') || diff.game.includes('hasWon')) {
+      updateResearchPanel();
+    }
+    
+    if (current.player.id && (playerChanged('id', 'alive', 'position') || diff.game.includes('turn'))) {
+      updateStatusLabel();
+    }
+    
+    if (diff.game.length > 0 || diff.turnChoices.length > 0 || playerChanged('alive', 'actions')) {
+      updateTurnTimer();
+    }
     
-    // Update action indicators
-    updateActionIndicators();
+    if (turnDraft && playerChanged('id', 'direction', 'actions') && !isSpectating()) {
+      // A spectated player's choices are no baseline for the own draft
+      turnDraft.setBaseline(getServerChoices());
+    }
     
-    // Update status label
-    updateStatusLabel();
+    if (current.game.hasWon && !previous.game.hasWon) {
+      showUserMessage('Game has been won!', 'success', { sticky: true, key: 'game-won' });
+    }
     
   } catch (error) {
     console.error('Failed to update UI from player state:', error);
@@ -141,20 +205,62 @@ function updateUIFromPlayerState() {
 }
 
 /**
- * Updates card displays with proper validation
+ * Updates card displays
+ * @param {number[]|null} changedSlots - Hand slots to redraw, null for all
  */
-function updateCardDisplays() {
-  const cards = state.player.cards;
-  if (!Array.isArray(cards)) {
-    console.warn('Invalid cards array:', cards);
-    return;
-  }
+function updateCardDisplays(changedSlots = null) {
+  const cards = store.select(selectors.cards);
+  const cardOrder = store.select(selectors.cardOrder);
+  const rebuilt = renderCardSlots(cardOrder.length);
   
-  Object.keys(instances.cards).forEach((cardId, index) => {
-    if (index < cards.length && instances.cards[cardId]) {
-      instances.cards[cardId].updateType(cards[index]);
+  cardOrder.forEach((slot, position) => {
+    const card = instances.cards[`bp${position}`];
+    if (card && (rebuilt || !changedSlots || changedSlots.includes(slot))) {
+      card.updateType(cards[slot] ?? "None");
     }
   });
+  
+  updateHandSizeIndicator();
+}
+
+/**
+ * Rebuilds the card area whenever the hand size reported by the server changes
+ * @param {number} slotCount - Number of card slots in the hand
+ * @returns {boolean} Whether the slots were rebuilt
+ */
+function renderCardSlots(slotCount) {
+  if (!DOM.cardArea || Object.keys(instances.cards).length === slotCount) {
+    return false;
+  }
+  
+  DOM.cardArea.replaceChildren();
+  instances.cards = {};
+  DOM.cardArea.style.setProperty('--hand-columns', Math.max(1, Math.ceil(Math.sqrt(slotCount))));
+  
+  for (let position = 0; position < slotCount; position++) {
+    const cardDiv = document.createElement('div');
+    cardDiv.id = `bp${position}`;
+    cardDiv.className = 'card field inactive';
+    cardDiv.draggable = true;
+    cardDiv.dataset.position = position;
+    DOM.cardArea.appendChild(cardDiv);
+    
+    instances.cards[cardDiv.id] = new Card(cardDiv, ASSETS.CARDS);
+    setupCardListeners(cardDiv);
+  }
+  return true;
+}
+
+/**
+ * Shows how many of the hand's slots are filled
+ */
+function updateHandSizeIndicator() {
+  if (!DOM.handSize) return;
+  
+  const cards = store.select(selectors.cards);
+  const held = store.select(selectors.heldCards).length;
+  DOM.handSize.textContent = `Hand ${held}/${cards.length}`;
+  DOM.handSize.classList.toggle('full', store.select(selectors.isHandFull));
 }
 
 /**
@@ -165,7 +271,7 @@ function updateTileStates() {
   deactivateAllInstances(instances.tiles);
   
   // Activate current direction tile
-  const direction = state.player.direction.toLowerCase();
+  const { direction } = getDisplayedChoices();
   const tileId = DIRECTION_MAP[direction];
   
   if (tileId && instances.tiles[tileId]) {
@@ -174,14 +280,25 @@ function updateTileStates() {
 }
 
 /**
- * Updates action indicators (consume/play cards)
+ * Updates action indicators (consume/play/discard cards)
  */
 function updateActionIndicators() {
   // Deactivate all cards first
   deactivateAllInstances(instances.cards);
+  Object.values(instances.cards).forEach(card => card.setDiscard(false));
+  const choices = getDisplayedChoices();
+  
+  // Mark discard card if any
+  const discardCard = choices.discard;
+  if (discardCard && discardCard !== "None") {
+    const discardCardId = findCardIdByType(discardCard);
+    if (discardCardId && instances.cards[discardCardId]) {
+      instances.cards[discardCardId].setDiscard(true);
+    }
+  }
   
   // Activate consume card if any
-  const consumeCard = state.player.actions.consume;
+  const consumeCard = choices.consume;
   if (consumeCard && consumeCard !== "None") {
     const consumeCardId = findCardIdByType(consumeCard);
     if (consumeCardId && instances.cards[consumeCardId]) {
@@ -190,7 +307,7 @@ function updateActionIndicators() {
   }
   
   // Activate play card if any
-  const playCard = state.player.actions.play;
+  const playCard = choices.play;
   if (playCard && playCard !== "None") {
     const playCardId = findCardIdByType(playCard);
     if (playCardId && instances.cards[playCardId]) {
@@ -199,6 +316,90 @@ function updateActionIndicators() {
   }
 }
 
+/**
+ * Puts the odds of the fight awaiting the player on each tile they can end the turn on,
+ * counting the card choices shown (the draft's while planning)
+ */
+function updateCombatOdds() {
+  const { tiles, game } = store.getState();
+  const player = store.select(selectors.player);
+  const { play, consume, discard } = getDisplayedChoices();
+  const rules = resolveCombatRules(game.combatRules);
+  
+  ["NN", "EE", "SS", "WW", "CE"].forEach(tileId => {
+    const tile = instances.tiles[tileId];
+    if (!tile) return;
+    
+    const preview = player.alive
+      ? previewCombat(tiles, tileId, { direction: player.direction, play, consume, discard, cards: player.cards }, rules)
+      : null;
+    tile.setCombatOdds(preview && {
+      label: `${formatChance(preview.winChance)} win`,
+      detail: describeOdds(preview),
+      level: preview.winChance >= CONFIG.COMBAT_ODDS.LIKELY ? 'likely'
+        : preview.winChance >= CONFIG.COMBAT_ODDS.RISKY ? 'risky' : 'deadly'
+    });
+  });
+}
+
+/**
+ * Shows research progress and points the board toward the nearest laboratory on the world map
+ */
+function updateResearchPanel() {
+  if (!researchPanel) return;
+  
+  const state = store.getState();
+  const { player, game } = state;
+  const guide = researchPanel.render({
+    research: player.research,
+    position: player.id ? player.position : null,
+    terrain: state.tiles.CE?.terrain ?? player.position.terrain,
+    researchToWin: game.researchToWin,
+    hasWon: game.hasWon,
+    alive: player.alive,
+    laboratories: worldMap ? worldMap.getLaboratories() : []
+  });
+  
+  const guideTileId = guide ? DIRECTION_MAP[guide.direction] : null;
+  Object.entries(instances.tiles).forEach(([tileId, tile]) => tile.setLabGuide(tileId === guideTileId));
+}
+
+/**
+ * Answers a click on a research card with what is still missing for the cure
+ */
+function showResearchProgress() {
+  const state = store.getState();
+  const progress = describeProgress({
+    count: state.player.research.count,
+    researchToWin: state.game.researchToWin,
+    onLaboratory: state.tiles.CE?.terrain === "Laboratory",
+    hasWon: state.game.hasWon
+  });
+  showUserMessage(progress.text, 'info');
+  if (researchPanel) {
+    researchPanel.highlight();
+  }
+}
+
+/**
+ * The player's choices as the server has them, in the draft's format
+ * @returns {Object} Choices ({direction, play, consume, discard})
+ */
+function getServerChoices() {
+  return store.select(selectors.serverChoices);
+}
+
+/**
+ * Choices to highlight: the draft while planning a turn, else what the server has
+ * @returns {Object} Choices ({direction, play, consume, discard})
+ */
+function getDisplayedChoices() {
+  if (turnDraft && turnDraft.isEnabled()) {
+    return turnDraft.getChoices();
+  }
+  return getServerChoices();
+}
+
 /**
  * Safely finds card ID by type with error handling
  */
@@ -214,60 +415,46 @@ function findCardIdByType(cardType) {
 // ===== UTILITY FUNCTIONS =====
 
 /**
- * Debounced version of updateSurroundingsData to prevent excessive API calls
+ * Debounced refresh of the recommendation hints; does nothing while hints are hidden
  */
-function debouncedUpdateSurroundings() {
-  if (updateDebounceTimer) {
-    clearTimeout(updateDebounceTimer);
+function scheduleHintRefresh() {
+  if (!hintOverlay || !hintOverlay.isEnabled()) return;
+  
+  if (hintDebounceTimer) {
+    clearTimeout(hintDebounceTimer);
   }
   
-  updateDebounceTimer = setTimeout(() => {
-    updateSurroundingsData();
-    updateDebounceTimer = null;
-  }, CONFIG.DEBOUNCE_DELAY);
+  hintDebounceTimer = setTimeout(() => {
+    hintDebounceTimer = null;
+    refreshHints();
+  }, CONFIG.HINT_REFRESH_DELAY);
 }
 
 /**
- * Handles connection errors and implements recovery strategies
+ * Fetches the available actions and hands them to the hint overlay
  */
-function handleConnectionError() {
-  console.warn('Connection error detected, attempting recovery...');
-  
-  connectionState.isConnected = false;
-  connectionState.reconnectAttempts++;
-  
-  // Show user feedback
-  showUserMessage('Connection issues detected - attempting to reconnect', 'error');
-  
-  // Attempt to restart polling if client exists
-  if (gameClient && currentPlayerId && connectionState.reconnectAttempts < CONFIG.MAX_RETRY_ATTEMPTS) {
-    setTimeout(() => {
-      try {
-        gameClient.stopPolling();
-        gameClient.startPolling(currentPlayerId);
-        console.log('Polling restarted after connection error');
-      } catch (error) {
-        console.error('Failed to restart polling:', error);
-      }
-    }, CONFIG.RETRY_DELAY * connectionState.reconnectAttempts);
+async function refreshHints() {
+  if (!hintOverlay || !hintOverlay.isEnabled() || !gameClient || !currentPlayerId || isSpectating()) return;
+  
+  try {
+    const actions = await gameClient.getAvailableActions(currentPlayerId);
+    hintOverlay.apply(actions);
+  } catch (error) {
+    // Hints are optional; the next state change tries again
+    console.warn('Failed to refresh hints:', error.message);
   }
 }
 
 /**
- * Enhanced validation for tile data
- * @param {Object} tileData - Tile data to validate
- * @returns {boolean} Whether the tile data is valid
+ * Handles connection errors and implements recovery strategies
  */
-function validateTileData(tileData) {
-  if (!tileData || typeof tileData !== 'object') {
-    return false;
-  }
+function handleConnectionError() {
+  console.warn('Connection error detected');
+  
+  store.update({ connection: { isConnected: false } });
   
-  const requiredFields = ['TileType', 'ZombieCount', 'PlayerCount'];
-  return requiredFields.every(field => 
-    tileData.hasOwnProperty(field) && 
-    typeof tileData[field] !== 'undefined'
-  );
+  // The client keeps retrying and holds actions until the server answers again
+  showUserMessage('Connection issues detected - actions will be sent once the server is back', 'error');
 }
 
 /**
@@ -281,19 +468,22 @@ function toggleGameOverlay(show = false) {
 }
 
 /**
- * Displays a user message with enhanced logging and potential UI feedback
+ * Logs a user message and shows it as a toast notification
  * @param {string} message - The message to display
  * @param {string} type - Message type ('info', 'error', 'success', 'warning')
+ * @param {Object} options - Toast options ({sticky, key, duration}), see ToastManager.show
  */
-function showUserMessage(message, type = 'info') {
+function showUserMessage(message, type = 'info', options = {}) {
   const timestamp = new Date().toISOString();
   const logLevel = type === 'error' ? 'error' : type === 'warning' ? 'warn' : 'log';
   
   console[logLevel](`[${timestamp}] [${type.toUpperCase()}] ${message}`);
   
-  // Enhanced: Could integrate with toast notification system
-  // or update a status indicator in the UI
-  if (type === 'error' && connectionState.consecutiveErrors > 2) {
+  if (toastManager) {
+    toastManager.show(message, { ...options, type });
+  }
+  
+  if (type === 'error' && store.getState().connection.consecutiveErrors > 2) {
     console.warn('Multiple consecutive errors detected - connection may be unstable');
   }
 }
@@ -304,7 +494,7 @@ function showUserMessage(message, type = 'info') {
 function updateStatusLabel() {
   if (!DOM.label) return;
   
-  const { alive, position } = state.player;
+  const { alive, position } = store.select(selectors.player);
   const location = `${position.x}|${position.y}`;
   
   console.log('updateStatusLabel called - alive:', alive, 'location:', location);
@@ -317,11 +507,11 @@ function updateStatusLabel() {
     console.log('Player is undead, fetching last turn info...');
     
     // Fetch and display last turn information
-    if (gameClient && currentPlayerId) {
-      console.log('gameClient and currentPlayerId available, calling fetchLastTurnInfo');
-      fetchLastTurnInfo(currentPlayerId, location);
+    if (gameClient && viewedPlayerId) {
+      console.log('gameClient and viewedPlayerId available, calling fetchLastTurnInfo');
+      fetchLastTurnInfo(viewedPlayerId, location);
     } else {
-      console.warn('gameClient or currentPlayerId not available:', { gameClient: !!gameClient, currentPlayerId });
+      console.warn('gameClient or viewedPlayerId not available:', { gameClient: !!gameClient, viewedPlayerId });
     }
   }
 }
@@ -358,14 +548,10 @@ function fetchLastTurnInfo(playerId, location) {
       const descriptions = [];
       
       // Check for combat events first (most important)
-      const combatEvents = lastTurnEvents.filter(event => event.EventType === 'combat_result');
-      if (combatEvents.length > 0) {
-        const combatResult = combatEvents.find(event => event.EventData && event.EventData.result);
-        if (combatResult) {
-          descriptions.push(combatResult.EventData.result === 'victory' ? 'won combat' : 'lost combat');
-        } else {
-          descriptions.push('fought');
-        }
+      const combat = summarizeCombat(lastTurnEvents, lastTurn);
+      if (combat) {
+        const score = combat.total !== null ? ` (${combat.total}/${combat.needed})` : '';
+        descriptions.push(`${combat.victory ? 'won' : 'lost'} combat against ${combat.zombies ?? '?'} zombies${score}`);
       }
       
       // Check for movement
@@ -446,263 +632,861 @@ async function startGame() {
       throw new Error('Please enter a valid player name');
     }
 
-    toggleGameOverlay(false);
-    showUserMessage('Connecting to game server...', 'info');
-
-    // Initialize GommoClient with robust configuration
-    gameClient = new GommoClient(CONFIG.SERVER_URL, {
-      enablePolling: true,
-      pollingInterval: CONFIG.POLLING_INTERVALS.PLAYER,
-      onStateChange: handleStateChange,
-      onError: handleClientError
-    });
+    const serverUrl = serverPicker?.getSelectedUrl() || CONFIG.SERVER_URL;
 
-    // Verify server connection
-    const isOnline = await gameClient.ping();
-    if (!isOnline) {
-      throw new Error('Game server is not reachable. Please check if the server is running.');
-    }
+    toggleGameOverlay(false);
+    await connectToServer(serverUrl);
 
     // Register player
-    state.player.name = playerName;
+    store.update({ player: { name: playerName } });
+    if (worldMap) {
+      worldMap.clear();
+    }
     currentPlayerId = await gameClient.addPlayer(playerName);
+    saveSession({ playerId: currentPlayerId, serverUrl, playerName });
     
     showUserMessage(`Player "${playerName}" registered successfully`, 'success');
     
-    // Initialize game state
-    await initializeGameState();
-    
-    // Start real-time updates
-    gameClient.startPolling(currentPlayerId);
-    
-    state.ui.connected = true;
-    showUserMessage('Game started successfully!', 'success');
+    await enterGame();
     
   } catch (error) {
     console.error('Failed to start game:', error);
     showUserMessage(`Failed to start game: ${error.message}`, 'error');
+    abortGameStart();
+  }
+}
+
+/**
+ * Resumes a stored session, validating the player ID with the server before
+ * skipping the name overlay
+ * @param {Object} session - Stored session ({playerId, serverUrl, playerName})
+ * @returns {Promise<boolean>} Whether the session was resumed
+ */
+async function resumeSession(session) {
+  try {
+    await connectToServer(session.serverUrl);
     
-    // Show overlay again on failure
-    toggleGameOverlay(true);
+    const playerState = await gameClient.getUIPlayerState(session.playerId);
+    // Only now is the player known to exist, so a stale session keeps the name overlay up
+    toggleGameOverlay(false);
+    currentPlayerId = session.playerId;
+    viewedPlayerId = currentPlayerId;
+    applyPlayerState(playerState);
     
-    // Clean up on failure
-    if (gameClient) {
-      gameClient.dispose();
-      gameClient = null;
+    showUserMessage(`Resumed session as "${playerState.player.name}"`, 'success');
+    
+    await enterGame();
+    return true;
+    
+  } catch (error) {
+    console.error('Failed to resume session:', error);
+    
+    // The server no longer knows this player; keep the session for other failures
+    if (error.statusCode === 404 || error.statusCode === 400) {
+      clearSession();
+    }
+    
+    showUserMessage(`Could not resume session: ${error.message}`, 'warning');
+    abortGameStart();
+    return false;
+  }
+}
+
+/**
+ * Creates the client and verifies the server is reachable
+ * @param {string} serverUrl - Game server base URL
+ */
+async function connectToServer(serverUrl) {
+  showUserMessage('Connecting to game server...', 'info');
+
+  // Initialize GommoClient with robust configuration
+  gameClient = new GommoClient(serverUrl, {
+    enablePolling: true,
+    pollingInterval: CONFIG.POLLING_INTERVALS.PLAYER,
+    transport: CONFIG.TRANSPORT,
+    onStateChange: handleStateChange,
+    onError: handleClientError
+  });
+
+  // Keep the connection badge and diagnostics panel current
+  const refreshConnectionStatus = () => {
+    if (connectionStatus && gameClient) {
+      connectionStatus.update(gameClient.getDiagnostics());
+    }
+  };
+  ['request', 'connectionChange', 'transportChange', 'actionQueued', 'queueFlushed'].forEach(eventName => {
+    gameClient.addEventListener(eventName, refreshConnectionStatus);
+  });
+  gameClient.addEventListener('connectionChange', ({ status }) => {
+    store.update({ connection: { isConnected: status !== 'offline' } });
+  });
+
+  // Tell the player when actions are held back and when they went through
+  gameClient.addEventListener('actionQueued', () => {
+    showUserMessage('Server unreachable - your choice will be sent when it is back', 'warning', { key: 'action-queued' });
+  });
+  gameClient.addEventListener('queueFlushed', ({ sent, dropped }) => {
+    if (sent.length > 0) {
+      showUserMessage(`Reconnected - sent ${sent.length} held action${sent.length === 1 ? '' : 's'}`, 'success');
+    }
+    if (dropped.length > 0) {
+      showUserMessage(`${dropped.length} held action${dropped.length === 1 ? ' was' : 's were'} too old or rejected`, 'warning');
+    }
+  });
+
+  // Death stays on screen until dismissed, also while watching someone else; the game can be left from there
+  gameClient.addEventListener('playerDeath', () => {
+    showUserMessage('You have died', 'error', { sticky: true, key: 'player-death' });
+    showEndScreen('death');
+  });
+  gameClient.addEventListener('gameWon', () => showEndScreen('victory'));
+  // Fires before the new turn's state arrives, which then moves the draft's baseline
+  gameClient.addEventListener('turnAdvanced', () => {
+    store.startTurn();
+    if (turnDraft) {
+      // Unsent drafts belong to the old turn
+      turnDraft.reset(getServerChoices());
     }
+  });
+
+  // Verify server connection
+  const isOnline = await gameClient.ping();
+  if (!isOnline) {
+    throw new Error('Game server is not reachable. Please check if the server is running.');
   }
 }
 
 /**
- * Initializes the game state by fetching initial data
+ * Loads the initial state for the current player and starts real-time updates
  */
-async function initializeGameState() {
-  const initPromises = [
-    updatePlayerData(),
-    updateSurroundingsData(),
-    updateGameConfig()
-  ];
+async function enterGame() {
+  viewedPlayerId = currentPlayerId;
+  
+  // Initialize game state
+  await updatePlayerData();
   
-  await Promise.allSettled(initPromises);
+  // Start real-time updates
+  gameClient.startPolling(viewedPlayerId);
+  startEventLog();
+  
+  store.update({ ui: { connected: true } });
+  updateSessionControls();
+  updateSpectatorControls();
+  if (hintOverlay) {
+    hintOverlay.setPlayer(currentPlayerId);
+    refreshHints();
+  }
+  showUserMessage('Game started successfully!', 'success');
+  
+  // A resumed character may already be dead or the game already won
+  const { player, game } = store.getState();
+  if (!player.alive) {
+    showEndScreen('death');
+  } else if (game.hasWon) {
+    showEndScreen('victory');
+  }
 }
 
 /**
- * Handles state changes from the GommoClient with debouncing and validation
- * @param {Object} newState - Updated state from the client
+ * Shows the death or victory screen once per outcome, then fills in the whole run's history
+ * @param {string} outcome - 'death' or 'victory'
  */
-function handleStateChange(newState) {
+async function showEndScreen(outcome) {
+  if (!endScreen || !gameClient || !currentPlayerId || endScreen.outcome === outcome) return;
+  
+  endScreen.show(outcome, eventLog ? eventLog.getSortedEvents() : []);
+  
   try {
-    // Validate input
-    if (!newState || typeof newState !== 'object') {
-      console.warn('Invalid state change data received');
-      return;
-    }
-    
-    // Update player state if provided
-    if (newState.player) {
-      updatePlayerState(newState.player);
-      updateUIFromPlayerState();
-    }
-    
-    // Update game state if provided
-    if (newState.gameState) {
-      updateGameState(newState.gameState);
+    // The history panel only loads recent turns; the summary covers the whole run
+    const history = await gameClient.getPlayerEvents(currentPlayerId, { turns: (store.select(selectors.game).turn ?? 0) + 1 });
+    if (eventLog) {
+      eventLog.addEvents(history.events);
+      endScreen.update(eventLog.getSortedEvents());
+    } else {
+      endScreen.update(history.events);
     }
-    
-    // Debounced surroundings update to prevent excessive API calls
-    debouncedUpdateSurroundings();
-    
-    // Update connection state
-    connectionState.isConnected = true;
-    connectionState.consecutiveErrors = 0;
-    
   } catch (error) {
-    console.error('Error handling state change:', error);
-    connectionState.consecutiveErrors++;
-    showUserMessage('State update failed', 'error');
+    console.warn('Could not load the full run history:', error.message);
   }
 }
 
 /**
- * Handles client errors
- * @param {Error} error - Error from the GommoClient
+ * Tears down a failed start or resume and shows the overlay again
  */
-function handleClientError(error) {
-  console.error('GommoClient error:', error.message);
-  showUserMessage(`Connection error: ${error.message}`, 'error');
+function abortGameStart() {
+  // Clean up on failure
+  stopEventLog();
+  stopWatching();
+  if (gameClient) {
+    gameClient.dispose();
+    gameClient = null;
+  }
+  if (connectionStatus) {
+    connectionStatus.update(null);
+  }
+  currentPlayerId = null;
+  viewedPlayerId = null;
+  updateSpectatorControls();
   
-  // Update connection status
-  state.ui.connected = false;
+  // Show overlay again on failure
+  toggleGameOverlay(true);
+  updateSessionControls();
 }
 
+// ===== SPECTATING =====
+
 /**
- * Updates the player state from server data
- * @param {Object} playerData - Player data from server
+ * Whether the board shows another player than the own character
+ * @returns {boolean}
  */
-function updatePlayerState(playerData) {
-  Object.assign(state.player, {
-    name: playerData.name || playerData.Name,
-    position: {
-      x: playerData.position?.x || playerData.CurrentTile?.XPos || 0,
-      y: playerData.position?.y || playerData.CurrentTile?.YPos || 0
-    },
-    direction: playerData.direction || playerData.Direction || "Stay",
-    cards: playerData.cards?.hand || playerData.cards || playerData.Cards || CONFIG.DEFAULT_CARDS,
-    alive: playerData.alive ?? playerData.Alive ?? false,
-    isBot: playerData.isBot ?? playerData.IsBot ?? false
-  });
+function isSpectating() {
+  return !!viewedPlayerId && viewedPlayerId !== currentPlayerId;
 }
 
 /**
- * Updates the game state from server data
- * @param {Object} gameData - Game data from server
+ * Guards turn actions: spectated boards are read-only
+ * @returns {boolean} Whether the action has to be dropped
  */
-function updateGameState(gameData) {
-  Object.assign(state.game, {
-    turnLength: gameData.turnLength || gameData.TurnLength || 15,
-    turnTime: gameData.turnTimer || gameData.TurnTime || 15,
-    hasWon: gameData.havePlayersWon ?? gameData.HaveWon ?? false
-  });
+function blockWhileSpectating() {
+  if (!isSpectating()) return false;
+  showUserMessage('You are watching another player - switch back to your own to act', 'warning', { key: 'spectating' });
+  return true;
 }
 
-
-
-// ===== EVENT HANDLERS =====
-
 /**
- * Handles tile click events for movement
- * @param {Event} event - Click event
+ * Watches a game from the start overlay without joining it
  */
-async function handleTileClick(event) {
-  // Use currentTarget to get the tile element, not the clicked child element
-  const tileElement = event.currentTarget;
-  const tileId = tileElement.id;
-  const direction = DIRECTION_MAP[tileId];
-  
-  if (!direction || !gameClient || !currentPlayerId) {
-    console.warn('Invalid tile click or game not ready:', { tileId, direction, hasClient: !!gameClient, hasPlayerId: !!currentPlayerId });
-    return;
-  }
-  
-  if (!state.ui.connected) {
-    showUserMessage('Not connected to server', 'error');
-    return;
-  }
-  
+async function startSpectating() {
   try {
-    // Update UI immediately for responsiveness
-    deactivateAllInstances(instances.tiles);
-    if (instances.tiles[tileId]) {
-      instances.tiles[tileId].setActive(true);
+    const playerId = DOM.spectateInput?.value?.trim();
+    if (!playerId) {
+      throw new Error('Please enter the ID of a player to watch');
     }
     
-    // Send direction to server
-    await gameClient.setPlayerDirection(currentPlayerId, direction);
+    const serverUrl = serverPicker?.getSelectedUrl() || CONFIG.SERVER_URL;
     
-    // Update local state
-    state.player.direction = direction;
+    toggleGameOverlay(false);
+    await connectToServer(serverUrl);
+    if (worldMap) {
+      worldMap.clear();
+    }
     
-    showUserMessage(`Moving ${direction}`, 'info');
+    await viewPlayer(playerId);
+    store.update({ ui: { connected: true } });
     
   } catch (error) {
-    console.error('Failed to set player direction:', error);
-    showUserMessage(`Failed to move ${direction}: ${error.message}`, 'error');
-    
-    // Revert UI on error
-    updateTileStates();
+    console.error('Failed to start spectating:', error);
+    showUserMessage(`Could not watch player: ${error.message}`, 'error');
+    abortGameStart();
   }
 }
 
 /**
- * Handles card click events for actions
- * @param {Event} event - Click event
+ * Switches the board to another player, read-only unless it is the own character.
+ * The minimap is kept so that following several players fills in more of the board.
+ * @param {string} playerId - Player ID to follow
  */
-async function handleCardClick(event) {
-  // Use currentTarget to get the card element, not the clicked child element
-  const cardElement = event.currentTarget;
-  const cardId = cardElement.id;
-  const card = instances.cards[cardId];
+async function viewPlayer(playerId) {
+  if (!gameClient) return;
   
-  if (!card || !gameClient || !currentPlayerId) {
-    console.warn('Invalid card click or game not ready:', { cardId, hasCard: !!card, hasClient: !!gameClient, hasPlayerId: !!currentPlayerId });
-    return;
-  }
+  // Fails for unknown IDs before anything is switched
+  const playerState = await gameClient.getUIPlayerState(playerId);
   
-  if (!state.ui.connected) {
-    showUserMessage('Not connected to server', 'error');
-    return;
+  viewedPlayerId = playerId;
+  applyPlayerState(playerState);
+  
+  if (isSpectating()) {
+    watchPlayer(playerId);
+  } else {
+    stopWatching();
   }
+  startEventLog();
   
-  try {
-    const cardType = card.getType();
-    
-    if (CARD_TYPES.CONSUMABLE.includes(cardType)) {
-      await handleConsumableCard(card, cardType);
-    } else if (CARD_TYPES.PLAYABLE.includes(cardType)) {
-      await handlePlayableCard(card, cardType);
-    } else if (CARD_TYPES.INTERACTIVE.includes(cardType)) {
-      await handleInteractiveCard(card, cardType);
-    } else {
-      console.warn('Unknown card type:', cardType);
-    }
-    
-  } catch (error) {
-    console.error('Failed to handle card action:', error);
-    showUserMessage(`Card action failed: ${error.message}`, 'error');
+  if (spectatorBar && playerId !== currentPlayerId) {
+    spectatorBar.track(playerId, { name: playerState.player.name, alive: playerState.player.alive });
   }
+  if (hintOverlay) {
+    hintOverlay.setPlayer(isSpectating() ? null : currentPlayerId);
+    refreshHints();
+  }
+  updateSpectatorControls();
 }
 
 /**
- * Handles consumable cards (Food, Wood)
- * @param {Object} card - Card instance
- * @param {string} cardType - Type of card
+ * Polls a watched player on a client of its own, leaving the own character's polling, death
+ * detection and turn clock running
+ * @param {string} playerId - Player ID to follow
  */
-async function handleConsumableCard(card, cardType) {
-  await gameClient.consumeCard(currentPlayerId, cardType.toLowerCase());
-  card.toggle();
-  state.player.actions.consume = cardType;
-  showUserMessage(`Consumed ${cardType}`, 'info');
+function watchPlayer(playerId) {
+  if (!spectatorClient) {
+    spectatorClient = new GommoClient(gameClient.baseUrl, {
+      enablePolling: true,
+      pollingInterval: CONFIG.POLLING_INTERVALS.PLAYER,
+      transport: CONFIG.TRANSPORT,
+      onStateChange: handleStateChange,
+      onError: handleClientError
+    });
+    spectatorClient.addEventListener('playerDeath', (deathState) => {
+      showUserMessage(`${deathState.player.name || deathState.player.id} has died`, 'warning');
+      if (spectatorBar) {
+        spectatorBar.track(deathState.player.id, { alive: false });
+      }
+    });
+  }
+  spectatorClient.startPolling(playerId);
 }
 
 /**
- * Handles playable cards (Weapon)
- * @param {Object} card - Card instance
- * @param {string} cardType - Type of card
+ * Stops polling the watched player
  */
-async function handlePlayableCard(card, cardType) {
-  if (card.isActive) {
-    // Deactivate weapon (play dice instead)
-    card.toggle();
-    await gameClient.playCard(currentPlayerId, "dice");
-    state.player.actions.play = "Dice";
-    showUserMessage('Played dice', 'info');
-  } else {
-    // Activate weapon
-    card.toggle();
-    await gameClient.playCard(currentPlayerId, cardType.toLowerCase());
-    state.player.actions.play = cardType;
-    showUserMessage(`Played ${cardType}`, 'info');
+function stopWatching() {
+  if (spectatorClient) {
+    spectatorClient.dispose();
+    spectatorClient = null;
+  }
+}
+
+/**
+ * Handles a pick in the spectator switcher
+ * @param {string} playerId - Player ID to follow
+ */
+async function selectViewedPlayer(playerId) {
+  if (playerId === viewedPlayerId) return;
+  
+  try {
+    await viewPlayer(playerId);
+    showUserMessage(isSpectating() ? `Watching ${store.select(selectors.player).name || playerId}` : 'Back to your player', 'info');
+  } catch (error) {
+    console.error('Failed to follow player:', error);
+    showUserMessage(`Could not follow ${playerId}: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * "Keep watching" on the end screen: follows the first tracked player still alive, or asks
+ * for someone to follow when none is known or reachable
+ * @param {string} outcome - 'death' or 'victory'
+ */
+async function keepWatching(outcome) {
+  const candidates = (spectatorBar ? spectatorBar.getTracked() : [])
+    .filter(entry => entry.alive !== false && entry.id !== currentPlayerId);
+  
+  for (const candidate of candidates) {
+    try {
+      await viewPlayer(candidate.id);
+      showUserMessage(`Watching ${store.select(selectors.player).name || candidate.id}`, 'info');
+      return;
+    } catch (error) {
+      // Tracked players can be left over from an earlier game
+      console.warn(`Could not follow ${candidate.id}:`, error.message);
+    }
+  }
+  
+  if (spectatorBar) {
+    spectatorBar.focus();
+  }
+  const role = outcome === 'death' ? ' as one of the undead' : '';
+  showUserMessage(`Following the game${role} - enter a player's ID above the board to watch them`, 'info');
+}
+
+/**
+ * Returns to the own board, or back to the start overlay for pure spectators
+ */
+function leaveSpectating() {
+  if (currentPlayerId) {
+    selectViewedPlayer(currentPlayerId);
+    return;
+  }
+  
+  cleanup();
+  // The watched player's board must not linger behind the start overlay
+  store.reset();
+  if (worldMap) {
+    worldMap.clear();
+  }
+  if (eventLog) {
+    eventLog.clear();
+  }
+  toggleGameOverlay(true);
+  updateSessionControls();
+}
+
+/**
+ * Syncs the switcher and the read-only styling with the viewed player
+ */
+function updateSpectatorControls() {
+  document.body.classList.toggle('spectating', isSpectating());
+  if (!spectatorBar) return;
+  
+  spectatorBar.setOwnPlayer(currentPlayerId);
+  spectatorBar.setViewed(viewedPlayerId);
+  spectatorBar.setActive(!!viewedPlayerId);
+}
+
+/**
+ * Leaves the game for good: forgets the stored session and returns to the name overlay.
+ * Closing the tab only disposes the client and keeps the session for resuming.
+ */
+function leaveGame() {
+  if (!window.confirm('Leave the game? You will not be able to resume this character.')) {
+    return;
+  }
+  
+  exitGame();
+  showUserMessage('Left the game', 'info');
+}
+
+/**
+ * Starts over from the end screen: drops the finished character and offers the name
+ * overlay again with the previous name filled in
+ */
+function rejoinGame() {
+  // The board may be showing someone else's character by now
+  const playerName = loadSession()?.playerName || store.select(selectors.player).name;
+  exitGame();
+  
+  if (DOM.nameInput) {
+    DOM.nameInput.value = playerName || '';
+    DOM.nameInput.focus();
+  }
+}
+
+/**
+ * Forgets the stored session and returns to the name overlay
+ */
+function exitGame() {
+  clearSession();
+  cleanup();
+  
+  // Death and victory notices belong to the character that was left
+  if (toastManager) {
+    toastManager.clear({ includeSticky: true });
+  }
+  store.reset();
+  
+  if (worldMap) {
+    worldMap.clear();
+  }
+  if (eventLog) {
+    eventLog.clear();
+  }
+  
+  toggleGameOverlay(true);
+  updateSessionControls();
+}
+
+/**
+ * Shows the resume button when a stored session exists and the leave button while playing
+ */
+function updateSessionControls() {
+  const session = loadSession();
+  
+  if (DOM.resumeButton) {
+    DOM.resumeButton.hidden = !session || !!currentPlayerId;
+    DOM.resumeButton.textContent = session ? `Resume as ${session.playerName || 'previous player'}` : 'Resume';
+  }
+  
+  if (DOM.leaveButton) {
+    DOM.leaveButton.hidden = !currentPlayerId;
+  }
+}
+
+/**
+ * Feeds the history panel from the player's event subscription
+ */
+function startEventLog() {
+  stopEventLog();
+  if (!eventLog || !gameClient || !viewedPlayerId) return;
+  
+  eventLog.clear();
+  unsubscribeEvents = gameClient.subscribeToPlayerEvents(viewedPlayerId, {
+    turns: CONFIG.EVENT_LOG.TURNS,
+    interval: CONFIG.EVENT_LOG.INTERVAL,
+    onNewEvents: (events) => {
+      eventLog.addEvents(events);
+      reportCombat(events);
+      // The death event can arrive after the state that showed the end screen
+      if (endScreen && !isSpectating()) {
+        endScreen.update(eventLog.getSortedEvents());
+      }
+    }
+  });
+}
+
+/**
+ * Tells the player how a fight they were just in went
+ * @param {Array} events - Newly arrived events of the viewed player
+ */
+function reportCombat(events) {
+  const combat = summarizeCombat(events);
+  const { turn } = store.select(selectors.game);
+  // The first batch reaches back several turns; old fights are in the history panel
+  if (!combat || turn === null || combat.turn < turn - 1) return;
+  
+  const subject = isSpectating() ? 'Combat (spectated)' : 'Combat';
+  showUserMessage(`${subject}: ${describeCombat(combat)}`, combat.victory ? 'success' : 'error');
+}
+
+/**
+ * Stops the history panel's event subscription
+ */
+function stopEventLog() {
+  if (unsubscribeEvents) {
+    unsubscribeEvents();
+    unsubscribeEvents = null;
+  }
+}
+
+/**
+ * Handles state changes from the GommoClient
+ * @param {import('./gommo-schema.js').UIPlayerState} newState - Updated state from the client
+ */
+function handleStateChange(newState) {
+  try {
+    // A response for the previously viewed player can land after a switch
+    if (viewedPlayerId && newState.player.id !== viewedPlayerId) {
+      return;
+    }
+    
+    applyPlayerState(newState);
+    scheduleHintRefresh();
+    
+  } catch (error) {
+    console.error('Error handling state change:', error);
+    store.update({ connection: { consecutiveErrors: store.getState().connection.consecutiveErrors + 1 } });
+    showUserMessage('State update failed', 'error');
+  }
+}
+
+/**
+ * Records a client state on the minimap and puts it into the store
+ * @param {import('./gommo-schema.js').UIPlayerState} playerState - State from the client
+ */
+function applyPlayerState(playerState) {
+  if (worldMap) {
+    worldMap.recordSurroundings(playerState.player.position, playerState.surroundings.tiles, playerState.gameState.Turn ?? null);
+  }
+  
+  store.applyClientState(playerState);
+  store.update({
+    connection: { isConnected: true, consecutiveErrors: 0, lastSuccessfulUpdate: Date.now() }
+  });
+}
+
+/**
+ * Handles client errors
+ * @param {Error} error - Error from the GommoClient
+ */
+function handleClientError(error) {
+  console.error('GommoClient error:', error.message);
+  showUserMessage(`Connection error: ${error.message}`, 'error');
+  
+  // Update connection status
+  store.update({ ui: { connected: false } });
+}
+
+/**
+ * Stores choices the server has accepted and marks which of the turn's choices are made
+ * @param {Object} changes - Accepted choices ({direction, play, consume, discard})
+ */
+function recordChoices(changes) {
+  const { player, turnChoices } = store.getState();
+  const { direction, ...actions } = changes;
+  
+  store.update({
+    player: {
+      direction: direction ?? player.direction,
+      actions: { ...player.actions, ...actions }
+    },
+    turnChoices: {
+      direction: turnChoices.direction || !!direction,
+      card: turnChoices.card || !!(actions.play || actions.consume)
+    }
+  });
+}
+
+/**
+ * Tells the player a choice waits in the offline queue; it is not recorded until the server has it
+ * @param {string} choice - What was chosen, e.g. "Moving north"
+ */
+function showPendingChoice(choice) {
+  showUserMessage(`${choice} held until the server is back`, 'warning', { key: 'action-queued' });
+}
+
+/**
+ * Syncs the turn countdown with the game state and the player's pending choices
+ */
+function updateTurnTimer() {
+  if (!turnTimer) return;
+  
+  turnTimer.sync(store.select(selectors.game));
+  if (turnDraft) {
+    turnDraft.setLocked(turnTimer.isResolving());
   }
+  turnTimer.setChoices(store.select(selectors.madeChoices));
+}
+
+
+
+// ===== EVENT HANDLERS =====
+
+/**
+ * Handles tile click events for movement
+ * @param {Event} event - Click event
+ */
+async function handleTileClick(event) {
+  // Use currentTarget to get the tile element, not the clicked child element
+  const tileElement = event.currentTarget;
+  const tileId = tileElement.id;
+  const direction = DIRECTION_MAP[tileId];
+  
+  if (!direction || !gameClient || !currentPlayerId) {
+    console.warn('Invalid tile click or game not ready:', { tileId, direction, hasClient: !!gameClient, hasPlayerId: !!currentPlayerId });
+    return;
+  }
+  
+  if (blockWhileSpectating()) {
+    return;
+  }
+  
+  if (!store.select(selectors.isConnected)) {
+    showUserMessage('Not connected to server', 'error');
+    return;
+  }
+  
+  if (turnDraft && turnDraft.isEnabled()) {
+    turnDraft.set('direction', direction);
+    return;
+  }
+  
+  try {
+    // Update UI immediately for responsiveness
+    deactivateAllInstances(instances.tiles);
+    if (instances.tiles[tileId]) {
+      instances.tiles[tileId].setActive(true);
+    }
+    
+    // Send direction to server
+    const { queued } = await gameClient.setPlayerDirection(currentPlayerId, direction);
+    if (queued) {
+      // The server still has the old direction; show that until the move goes through
+      updateTileStates();
+      showPendingChoice(`Moving ${direction}`);
+      return;
+    }
+    recordChoices({ direction });
+    
+    showUserMessage(`Moving ${direction}`, 'info');
+    
+  } catch (error) {
+    console.error('Failed to set player direction:', error);
+    showUserMessage(`Failed to move ${direction}: ${error.message}`, 'error');
+    
+    // Revert UI on error
+    updateTileStates();
+  }
+}
+
+/**
+ * Handles card click events for actions
+ * @param {Event} event - Click event
+ */
+async function handleCardClick(event) {
+  // Use currentTarget to get the card element, not the clicked child element
+  const cardElement = event.currentTarget;
+  const cardId = cardElement.id;
+  const card = instances.cards[cardId];
+  
+  if (!card || !gameClient || !currentPlayerId) {
+    console.warn('Invalid card click or game not ready:', { cardId, hasCard: !!card, hasClient: !!gameClient, hasPlayerId: !!currentPlayerId });
+    return;
+  }
+  
+  if (blockWhileSpectating()) {
+    return;
+  }
+  
+  if (!store.select(selectors.isConnected)) {
+    showUserMessage('Not connected to server', 'error');
+    return;
+  }
+  
+  if (turnDraft && turnDraft.isEnabled()) {
+    draftCardChoice(card.getType());
+    return;
+  }
+  
+  try {
+    const cardType = card.getType();
+    
+    if (CARD_TYPES.CONSUMABLE.includes(cardType)) {
+      await handleConsumableCard(card, cardType);
+    } else if (CARD_TYPES.PLAYABLE.includes(cardType)) {
+      await handlePlayableCard(card, cardType);
+    } else if (CARD_TYPES.INTERACTIVE.includes(cardType)) {
+      await handleInteractiveCard(card, cardType);
+    } else {
+      console.warn('Unknown card type:', cardType);
+    }
+    
+  } catch (error) {
+    console.error('Failed to handle card action:', error);
+    showUserMessage(`Card action failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Toggles a card as this turn's discard, on right-click or a long press
+ * @param {HTMLElement} cardElement - Card slot element
+ */
+async function toggleCardDiscard(cardElement) {
+  const card = instances.cards[cardElement.id];
+  
+  if (!card || !gameClient || !currentPlayerId) {
+    console.warn('Invalid card discard or game not ready:', { cardId: cardElement.id, hasCard: !!card, hasClient: !!gameClient, hasPlayerId: !!currentPlayerId });
+    return;
+  }
+  
+  if (blockWhileSpectating()) {
+    return;
+  }
+  
+  if (!store.select(selectors.isConnected)) {
+    showUserMessage('Not connected to server', 'error');
+    return;
+  }
+  
+  const cardType = card.getType();
+  if (!cardType || cardType === "None") {
+    return;
+  }
+  
+  if (turnDraft && turnDraft.isEnabled()) {
+    turnDraft.set('discard', turnDraft.get('discard') === cardType ? "None" : cardType);
+    return;
+  }
+  
+  // Discarding the already discarded card type keeps it instead
+  const discard = store.select(selectors.player).actions.discard === cardType ? "None" : cardType;
+  
+  try {
+    const { queued } = await gameClient.discardCard(currentPlayerId, discard.toLowerCase());
+    const message = discard === "None" ? `Keeping ${cardType}` : `Discarding ${cardType}`;
+    if (queued) {
+      showPendingChoice(message);
+      return;
+    }
+    recordChoices({ discard });
+    showUserMessage(message, 'info');
+  } catch (error) {
+    console.error('Failed to set discard:', error);
+    if (isDiscardUnsupported(error)) {
+      showUserMessage(DISCARD_UNSUPPORTED_MESSAGE, 'warning');
+    } else {
+      showUserMessage(`Discard failed: ${error.message}`, 'error');
+    }
+  }
+}
+
+const DISCARD_UNSUPPORTED_MESSAGE = 'This server does not support discarding cards';
+
+/**
+ * The discard endpoint is only known from the mock server; a server without it answers 404
+ * @param {Error} error - Error from discardCard or submitTurn
+ * @returns {boolean} Whether the error means the server cannot discard
+ */
+function isDiscardUnsupported(error) {
+  const part = error.details?.failedPart ?? 'discard';
+  return part === 'discard' && error.statusCode === 404;
+}
+
+/**
+ * Starts dragging a card, remembering its display position
+ * @param {DragEvent} event - Dragstart event
+ */
+function handleCardDragStart(event) {
+  event.dataTransfer.setData('text/plain', event.currentTarget.dataset.position);
+  event.dataTransfer.effectAllowed = 'move';
+  event.currentTarget.classList.add('dragging');
+}
+
+/**
+ * Allows dropping onto another card slot
+ * @param {DragEvent} event - Dragover event
+ */
+function handleCardDragOver(event) {
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'move';
+  event.currentTarget.classList.add('drop-target');
+}
+
+/**
+ * Clears the drop highlight when leaving a card slot
+ * @param {DragEvent} event - Dragleave event
+ */
+function handleCardDragLeave(event) {
+  event.currentTarget.classList.remove('drop-target');
+}
+
+/**
+ * Moves the dragged card to the drop position; the order is local to this client
+ * @param {DragEvent} event - Drop event
+ */
+function handleCardDrop(event) {
+  event.preventDefault();
+  event.currentTarget.classList.remove('drop-target');
+  
+  const from = Number(event.dataTransfer.getData('text/plain'));
+  const to = Number(event.currentTarget.dataset.position);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from === to) {
+    return;
+  }
+  
+  const cardOrder = [...store.select(selectors.cardOrder)];
+  const [slot] = cardOrder.splice(from, 1);
+  cardOrder.splice(to, 0, slot);
+  
+  store.update({ ui: { cardOrder } });
+}
+
+/**
+ * Clears drag styling once a drag ends
+ * @param {DragEvent} event - Dragend event
+ */
+function handleCardDragEnd(event) {
+  event.currentTarget.classList.remove('dragging');
+}
+
+/**
+ * Handles consumable cards (Food, Wood)
+ * @param {Object} card - Card instance
+ * @param {string} cardType - Type of card
+ */
+async function handleConsumableCard(card, cardType) {
+  const { queued } = await gameClient.consumeCard(currentPlayerId, cardType.toLowerCase());
+  if (queued) {
+    showPendingChoice(`Consuming ${cardType}`);
+    return;
+  }
+  recordChoices({ consume: cardType });
+  showUserMessage(`Consumed ${cardType}`, 'info');
+}
+
+/**
+ * Handles playable cards (Weapon)
+ * @param {Object} card - Card instance
+ * @param {string} cardType - Type of card
+ */
+async function handlePlayableCard(card, cardType) {
+  // Clicking the played weapon again deactivates it (play dice instead)
+  const play = store.select(selectors.player).actions.play === cardType ? "Dice" : cardType;
+  const { queued } = await gameClient.playCard(currentPlayerId, play.toLowerCase());
+  if (queued) {
+    showPendingChoice(`Playing ${play.toLowerCase()}`);
+    return;
+  }
+  recordChoices({ play });
+  showUserMessage(`Played ${play === "Dice" ? "dice" : play}`, 'info');
 }
 
 /**
@@ -711,11 +1495,71 @@ async function handlePlayableCard(card, cardType) {
  * @param {string} cardType - Type of card
  */
 async function handleInteractiveCard(card, cardType) {
-  if (card.isActive) {
+  if (card.isActive()) {
     card.toggle();
     showUserMessage(`Deactivated ${cardType}`, 'info');
   } else {
-    showUserMessage(`${cardType} cards are for information only`, 'info');
+    showResearchProgress();
+  }
+}
+
+/**
+ * Records a card click in the draft turn instead of sending it
+ * @param {string} cardType - Type of the clicked card
+ */
+function draftCardChoice(cardType) {
+  if (CARD_TYPES.CONSUMABLE.includes(cardType)) {
+    const consume = turnDraft.get('consume') === cardType ? "None" : cardType;
+    const { actions } = store.select(selectors.player);
+    if (consume === "None" && actions.consume !== "None") {
+      showUserMessage(`${actions.consume} is already being consumed this turn`, 'warning');
+      return;
+    }
+    turnDraft.set('consume', consume);
+  } else if (CARD_TYPES.PLAYABLE.includes(cardType)) {
+    // Clicking the chosen weapon again falls back to dice
+    turnDraft.set('play', turnDraft.get('play') === cardType ? "Dice" : cardType);
+  } else if (CARD_TYPES.INTERACTIVE.includes(cardType)) {
+    showResearchProgress();
+  }
+}
+
+/**
+ * Sends the draft turn in one go; the client rolls back every part if one fails
+ * @param {Object} changes - Draft parts that differ from the server ({direction, play, consume, discard})
+ */
+async function submitDraft(changes) {
+  if (!gameClient || !currentPlayerId || blockWhileSpectating()) return;
+  
+  if (turnTimer && turnTimer.isResolving()) {
+    showUserMessage('The turn is resolving; plan the next one once it starts', 'warning');
+    return;
+  }
+  
+  const turn = Object.fromEntries(Object.entries(changes).map(([part, value]) => [part, value.toLowerCase()]));
+  
+  try {
+    const { applied, queued } = await gameClient.submitTurn(currentPlayerId, turn);
+    recordChoices(Object.fromEntries(applied.map(part => [part, changes[part]])));
+    
+    if (queued.length > 0) {
+      // Keep the queued parts in the draft, which now differs from the server only by them
+      showPendingChoice(`Turn choices (${queued.join(', ')})`);
+      return;
+    }
+    turnDraft.reset(getServerChoices());
+    showUserMessage('Turn submitted', 'success');
+    
+  } catch (error) {
+    console.error('Failed to submit turn:', error);
+    const rollbackErrors = error.details?.rollbackErrors || [];
+    if (rollbackErrors.length > 0) {
+      showUserMessage(`Turn only partly submitted (${rollbackErrors.map(entry => entry.part).join(', ')} could not be undone): ${error.message}`, 'error');
+    } else if (isDiscardUnsupported(error)) {
+      showUserMessage(`Turn not submitted: ${DISCARD_UNSUPPORTED_MESSAGE.toLowerCase()}; clear the discard and submit again`, 'warning');
+    } else {
+      showUserMessage(`Turn not submitted: ${error.message}`, 'error');
+    }
   }
 }
 
@@ -730,6 +1574,23 @@ function setupEventListeners() {
     DOM.startButton.addEventListener("click", startGame);
   }
 
+  // Session buttons
+  if (DOM.resumeButton) {
+    DOM.resumeButton.addEventListener("click", () => {
+      const session = loadSession();
+      if (session) {
+        resumeSession(session);
+      }
+    });
+  }
+  if (DOM.spectateButton) {
+    DOM.spectateButton.addEventListener("click", startSpectating);
+  }
+  
+  if (DOM.leaveButton) {
+    DOM.leaveButton.addEventListener("click", leaveGame);
+  }
+
   // Tile click handlers
   DIRECTIONS.forEach((direction) => {
     const element = document.getElementById(direction);
@@ -738,21 +1599,81 @@ function setupEventListeners() {
     }
   });
 
-  // Card click handlers
-  DOM.cards.forEach((card) => {
-    card.addEventListener("click", handleCardClick);
-  });
-  
   // Keyboard shortcuts (optional enhancement)
   document.addEventListener('keydown', handleKeyboardShortcuts);
 }
 
+/**
+ * Sets up listeners for a generated card slot
+ * @param {HTMLElement} cardDiv - Card slot element
+ */
+function setupCardListeners(cardDiv) {
+  // Click plays/consumes; right-click or a long press marks a discard
+  cardDiv.addEventListener("click", handleCardClick);
+  setupCardLongPress(cardDiv);
+  
+  // Drag-to-reorder within the hand
+  cardDiv.addEventListener("dragstart", handleCardDragStart);
+  cardDiv.addEventListener("dragover", handleCardDragOver);
+  cardDiv.addEventListener("dragleave", handleCardDragLeave);
+  cardDiv.addEventListener("drop", handleCardDrop);
+  cardDiv.addEventListener("dragend", handleCardDragEnd);
+}
+
+/**
+ * Marks a discard on right-click and on a held touch. Some mobile browsers turn a long press into
+ * a contextmenu event and others do not, so touches are timed here and their contextmenu ignored.
+ * @param {HTMLElement} cardDiv - Card slot element
+ */
+function setupCardLongPress(cardDiv) {
+  let timer = null;
+  let touching = false;
+  let pressed = false;
+
+  const cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  cardDiv.addEventListener("touchstart", (event) => {
+    cancel();
+    touching = event.touches.length === 1;
+    pressed = false;
+    if (!touching) return;
+    timer = setTimeout(() => {
+      timer = null;
+      pressed = true;
+      toggleCardDiscard(cardDiv);
+    }, CONFIG.LONG_PRESS_MS);
+  }, { passive: true });
+  cardDiv.addEventListener("touchmove", cancel, { passive: true });
+  cardDiv.addEventListener("touchcancel", () => {
+    cancel();
+    touching = false;
+  });
+  cardDiv.addEventListener("touchend", (event) => {
+    cancel();
+    touching = false;
+    // A long press must not also count as a click
+    if (pressed) event.preventDefault();
+  });
+
+  cardDiv.addEventListener("contextmenu", (event) => {
+    if (touching) {
+      event.preventDefault();
+      return;
+    }
+    event.preventDefault();
+    toggleCardDiscard(cardDiv);
+  });
+}
+
 /**
  * Handles keyboard shortcuts for game actions
  * @param {KeyboardEvent} event - Keyboard event
  */
 function handleKeyboardShortcuts(event) {
-  if (!state.ui.connected || !currentPlayerId) return;
+  if (!store.select(selectors.isConnected) || !currentPlayerId || isSpectating()) return;
   
   // Example shortcuts - could be expanded
   switch (event.key.toLowerCase()) {
@@ -772,6 +1693,18 @@ function handleKeyboardShortcuts(event) {
       event.preventDefault();
       simulateClick('EE'); // East
       break;
+    case 'enter':
+      if (turnDraft && turnDraft.isEnabled()) {
+        event.preventDefault();
+        turnDraft.submit();
+      }
+      break;
+    case 'z':
+      if (turnDraft && turnDraft.isEnabled()) {
+        event.preventDefault();
+        turnDraft.undo();
+      }
+      break;
   }
 }
 
@@ -795,6 +1728,11 @@ function simulateClick(elementId) {
  */
 function initializeApplication() {
   try {
+    // Initialize notifications first so startup problems are shown too
+    if (DOM.toasts) {
+      toastManager = new ToastManager(DOM.toasts, { maxVisible: CONFIG.MAX_VISIBLE_TOASTS });
+    }
+
     // Initialize tile instances
     DOM.tiles.forEach((tileDiv) => {
       if (tileDiv.id) {
@@ -803,19 +1741,92 @@ function initializeApplication() {
       }
     });
 
-    // Initialize card instances
-    DOM.cards.forEach((cardDiv) => {
-      if (cardDiv.id) {
-        const card = new Card(cardDiv, ASSETS.CARDS);
-        instances.cards[cardDiv.id] = card;
-      }
-    });
+    // Render every store change from here on
+    store.subscribe(renderChanges);
+
+    // Initialize card slots; rebuilt once the server reports the hand size
+    updateCardDisplays();
+
+    // Initialize turn countdown
+    if (DOM.turnTimer) {
+      turnTimer = new TurnTimer(DOM.turnTimer, { warningThreshold: CONFIG.TURN_WARNING_SECONDS });
+    }
+
+    // Initialize connection badge and diagnostics
+    if (DOM.connectionStatus) {
+      connectionStatus = new ConnectionStatus(DOM.connectionStatus);
+    }
+
+    // Initialize draft turn planning
+    if (DOM.turnDraft) {
+      turnDraft = new TurnDraft(DOM.turnDraft, {
+        onSubmit: submitDraft,
+        onChange: () => {
+          updateTileStates();
+          updateActionIndicators();
+          updateCombatOdds();
+        }
+      });
+    }
+
+    // Initialize server selection in the start overlay
+    if (DOM.serverPicker) {
+      serverPicker = new ServerPicker(DOM.serverPicker, { timeout: CONFIG.CONNECTION_TIMEOUT });
+      loadServerList(CONFIG.SERVER_URL)
+        .then(({ servers, selectedUrl }) => serverPicker.setServers(servers, selectedUrl))
+        .catch(error => console.error('Failed to load server list:', error));
+    }
+
+    // Initialize turn history panel
+    if (DOM.eventLog) {
+      eventLog = new EventLog(DOM.eventLog);
+    }
+
+    // Initialize death and victory screens
+    if (DOM.endScreen) {
+      endScreen = new EndScreen(DOM.endScreen, {
+        onRejoin: rejoinGame,
+        onSpectate: keepWatching
+      });
+    }
+
+    // Initialize the switcher for following other players
+    if (DOM.spectatorBar) {
+      spectatorBar = new SpectatorBar(DOM.spectatorBar, {
+        onSelect: selectViewedPlayer,
+        onLeave: leaveSpectating
+      });
+    }
+
+    // Initialize explored-world minimap
+    if (DOM.worldMap) {
+      worldMap = new WorldMap(DOM.worldMap);
+    }
+
+    // Initialize research progress next to the map
+    if (DOM.researchPanel) {
+      researchPanel = new ResearchPanel(DOM.researchPanel);
+      updateResearchPanel();
+    }
+
+    // Initialize optional recommendation hints
+    hintOverlay = new HintOverlay(DOM.hintToggle, instances);
+    hintOverlay.onToggle = (enabled) => {
+      if (enabled) refreshHints();
+    };
 
     // Set up event listeners
     setupEventListeners();
     
     // Mark as initialized
-    state.ui.initialized = true;
+    store.update({ ui: { initialized: true } });
+    
+    // Pick up where a reload or crash left off
+    const session = loadSession();
+    updateSessionControls();
+    if (session) {
+      resumeSession(session);
+    }
     
     console.log('Application initialized successfully');
     
@@ -831,26 +1842,24 @@ document.addEventListener("DOMContentLoaded", initializeApplication);
 // ===== DATA UPDATE FUNCTIONS =====
 
 /**
- * Updates player data from the server
- * @param {number} retryCount - Current retry attempt
+ * Loads the viewed player's state, surroundings and the game state in one go;
+ * the client already retries transient failures
  */
-async function updatePlayerData(retryCount = 0) {
-  if (!gameClient || !currentPlayerId) {
+async function updatePlayerData() {
+  if (!gameClient || !viewedPlayerId) {
     return;
   }
   
   try {
-    const playerData = await gameClient.getPlayer(currentPlayerId);
-    updatePlayerState(playerData);
-    updateUIFromPlayerState();
+    handleStateChange(await gameClient.getUIPlayerState(viewedPlayerId));
     
   } catch (error) {
+    const consecutiveErrors = store.getState().connection.consecutiveErrors + 1;
+    store.update({ connection: { consecutiveErrors } });
     console.error('Failed to update player data:', error.message);
     
-    // Retry logic
-    if (retryCount < CONFIG.MAX_RETRY_ATTEMPTS) {
-      console.log(`Retrying player update (${retryCount + 1}/${CONFIG.MAX_RETRY_ATTEMPTS})...`);
-      setTimeout(() => updatePlayerData(retryCount + 1), CONFIG.RETRY_DELAY);
+    if (consecutiveErrors >= CONFIG.MAX_CONSECUTIVE_ERRORS) {
+      handleConnectionError();
     } else {
       showUserMessage('Failed to update player data', 'error');
     }
@@ -858,132 +1867,53 @@ async function updatePlayerData(retryCount = 0) {
 }
 
 /**
- * Updates game configuration from the server
- * @param {number} retryCount - Current retry attempt
+ * Redraws a tile from the store
+ * @param {string} tileId - ID of the tile to update (NW, NN, ..., SE)
+ * @param {Object} tile - Tile from the store ({terrain, zombies, players, plannedMoves})
  */
-async function updateGameConfig(retryCount = 0) {
-  if (!gameClient) {
-    return;
-  }
-  
-  try {
-    const gameData = await gameClient.getGameState();
-    updateGameState(gameData);
-    
-    // Log game state changes
-    if (state.game.hasWon) {
-      showUserMessage('Game has been won!', 'success');
-    }
-    
-  } catch (error) {
-    console.error('Failed to update game config:', error.message);
-    
-    // Retry logic
-    if (retryCount < CONFIG.MAX_RETRY_ATTEMPTS) {
-      console.log(`Retrying config update (${retryCount + 1}/${CONFIG.MAX_RETRY_ATTEMPTS})...`);
-      setTimeout(() => updateGameConfig(retryCount + 1), CONFIG.RETRY_DELAY);
-    } else {
-      showUserMessage('Failed to update game configuration', 'error');
-    }
+function updateTileDisplay(tileId, tile) {
+  const tileInstance = instances.tiles[tileId];
+  if (tileInstance) {
+    tileInstance.update(tile);
+  } else {
+    console.warn(`Tile instance not found: ${tileId}`);
   }
 }
 
-/**
- * Updates surroundings data from the server with enhanced error handling
- * @param {number} retryCount - Current retry attempt
- */
-async function updateSurroundingsData(retryCount = 0) {
-  if (!gameClient || !currentPlayerId) {
-    console.warn('Cannot update surroundings: missing client or player ID');
-    return;
-  }
-  
-  try {
-    const surroundings = await gameClient.getPlayerSurroundings(currentPlayerId);
-    
-    // Validate response
-    if (!surroundings || typeof surroundings !== 'object') {
-      throw new Error('Invalid surroundings data received');
-    }
-    
-    // Update each tile with new data
-    let successfulUpdates = 0;
-    Object.entries(surroundings).forEach(([tileId, tileData]) => {
-      try {
-        updateTileDisplay(tileId, tileData);
-        successfulUpdates++;
-      } catch (tileError) {
-        console.warn(`Failed to update tile ${tileId}:`, tileError);
-      }
-    });
-    
-    // Track successful update
-    connectionState.consecutiveErrors = 0;
-    connectionState.lastSuccessfulUpdate = Date.now();
-    
-    console.debug(`Updated ${successfulUpdates}/${Object.keys(surroundings).length} tiles`);
-    
-  } catch (error) {
-    connectionState.consecutiveErrors++;
-    console.error(`Failed to update surroundings (attempt ${retryCount + 1}):`, error.message);
-    
-    // Enhanced retry logic with exponential backoff
-    if (retryCount < CONFIG.MAX_RETRY_ATTEMPTS && connectionState.consecutiveErrors < CONFIG.MAX_CONSECUTIVE_ERRORS) {
-      const backoffDelay = CONFIG.RETRY_DELAY * Math.pow(2, retryCount);
-      console.log(`Retrying surroundings update in ${backoffDelay}ms...`);
-      setTimeout(() => updateSurroundingsData(retryCount + 1), backoffDelay);
-    } else {
-      showUserMessage('Failed to update surroundings - connection issues detected', 'error');
-      handleConnectionError();
-    }
-  }
-}
+// ===== CLEANUP AND DISPOSAL =====
 
 /**
- * Updates a specific tile display with new content and validation
- * @param {string} tileId - ID of the tile to update
- * @param {Object} tileData - New tile data
+ * Cleans up resources when the game ends or page unloads.
+ * The stored session is kept so the player can be resumed; see leaveGame.
  */
-function updateTileDisplay(tileId, tileData) {
+function cleanup() {
   try {
-    // Validate inputs
-    if (!tileId || typeof tileId !== 'string') {
-      throw new Error('Invalid tile ID provided');
-    }
+    stopEventLog();
     
-    if (!validateTileData(tileData)) {
-      throw new Error('Invalid tile data provided');
+    if (hintDebounceTimer) {
+      clearTimeout(hintDebounceTimer);
+      hintDebounceTimer = null;
     }
-    
-    const tileInstance = instances.tiles[tileId];
-    if (tileInstance && typeof tileInstance.updateByContent === 'function') {
-      // Pass player direction for direction-aware flip animations
-      const playerDirection = state.player.direction;
-      tileInstance.updateByContent(tileData, playerDirection);
-      console.debug(`Successfully updated tile ${tileId}`);
-    } else {
-      console.warn(`Tile instance not found or invalid: ${tileId}`);
+    if (hintOverlay) {
+      hintOverlay.setPlayer(null);
     }
-  } catch (error) {
-    console.error(`Failed to update tile ${tileId}:`, error.message);
-    throw error; // Re-throw to allow caller to handle
-  }
-}
-
-// ===== CLEANUP AND DISPOSAL =====
-
-/**
- * Cleans up resources when the game ends or page unloads
- */
-function cleanup() {
-  try {
+    
+    stopWatching();
     if (gameClient) {
       gameClient.dispose();
       gameClient = null;
     }
+    if (connectionStatus) {
+      connectionStatus.update(null);
+    }
+    if (endScreen) {
+      endScreen.reset();
+    }
     
     currentPlayerId = null;
-    state.ui.connected = false;
+    viewedPlayerId = null;
+    updateSpectatorControls();
+    store.update({ ui: { connected: false } });
     
     console.log('Cleanup completed');
   } catch (error) {
@@ -1001,19 +1931,26 @@ window.addEventListener('beforeunload', cleanup);
  * Available in browser console as window.debugGameState()
  */
 function debugGameState() {
+  const state = store.getState();
   console.group('🎮 Game State Debug Info');
   console.log('Player State:', state.player);
+  console.log('Turn Choices:', state.turnChoices);
+  console.log('Tiles:', state.tiles);
   console.log('Game State:', state.game);
   console.log('UI State:', state.ui);
-  console.log('Connection State:', connectionState);
+  console.log('Connection State:', state.connection);
   console.log('Client Connected:', !!gameClient);
   console.log('Player ID:', currentPlayerId);
+  console.log('Viewed player ID:', viewedPlayerId);
   console.log('Tile Instances:', Object.keys(instances.tiles));
   console.log('Card Instances:', Object.keys(instances.cards));
-  console.log('Last Successful Update:', connectionState.lastSuccessfulUpdate ? new Date(connectionState.lastSuccessfulUpdate).toISOString() : 'Never');
-  console.log('Consecutive Errors:', connectionState.consecutiveErrors);
+  console.log('Last Successful Update:', state.connection.lastSuccessfulUpdate ? new Date(state.connection.lastSuccessfulUpdate).toISOString() : 'Never');
+  console.log('Consecutive Errors:', state.connection.consecutiveErrors);
+  if (gameClient) {
+    console.log('Client Diagnostics:', gameClient.getDiagnostics());
+  }
   console.groupEnd();
-  return { state, connectionState, instances };
+  return { state, instances };
 }
 
 // Make debug function available globally in development
@@ -1025,10 +1962,9 @@ if (typeof window !== 'undefined') {
 // Uncomment for unit testing
 /*
 export {
-  state,
+  store,
   CONFIG,
-  updatePlayerState,
-  updateGameState,
+  renderChanges,
   validatePlayerName,
   handleTileClick,
   handleCardClick
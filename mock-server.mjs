@@ -0,0 +1,801 @@
+#!/usr/bin/env node
+/**
+ * Mock GoMMO server - Node stand-in for the Go game server
+ *
+ * Serves the same endpoints and JSON shapes GommoClient talks to, backed by a small
+ * seeded simulation (board, zombies, turns, cards and a per-player event log).
+ * Useful for running the web client offline and for scripting deterministic scenarios.
+ *
+ * Usage: node mock-server.mjs [--port 8080] [--seed 42] [--size 16] [--turn-length 15] [--no-push]
+ * A turn length of 0 disables the turn clock; turns then only advance via POST /mock/turn.
+ * Unless --no-push is given, /config advertises an SSE stream at /player/:id/stream.
+ * /config carries an ETag and answers a matching If-None-Match with 304 Not Modified.
+ */
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+const DIRECTIONS = {
+    north: { name: 'North', dx: 0, dy: -1 },
+    east: { name: 'East', dx: 1, dy: 0 },
+    south: { name: 'South', dx: 0, dy: 1 },
+    west: { name: 'West', dx: -1, dy: 0 },
+    stay: { name: 'Stay', dx: 0, dy: 0 }
+};
+
+// Surroundings keys relative to the player's tile (north decreases YPos)
+const SURROUNDINGS_OFFSETS = {
+    NW: [-1, -1], NN: [0, -1], NE: [1, -1],
+    WW: [-1, 0], CE: [0, 0], EE: [1, 0],
+    SW: [-1, 1], SS: [0, 1], SE: [1, 1]
+};
+
+const CARD_NAMES = {
+    food: 'Food',
+    wood: 'Wood',
+    weapon: 'Weapon',
+    dice: 'Dice',
+    research: 'Research',
+    none: 'None'
+};
+
+const CONSUMABLE_CARDS = ['Food', 'Wood'];
+
+const RULES = {
+    HAND_SIZE: 5,
+    DIE_SIDES: 6,
+    WEAPON_BONUS: 3,
+    WOOD_BONUS: 1,
+    ZOMBIES_TO_DICE: 2, // Players need a combined total of 2x the zombie count to win a fight
+    STARVATION_TURNS: 8,
+    RESEARCH_TO_WIN: 3,
+    SPAWN_CHANCE: 0.35
+};
+
+const DEFAULTS = {
+    seed: 1,
+    size: 16,
+    turnLength: 15
+};
+
+/**
+ * Small deterministic PRNG (mulberry32) so scenarios replay identically for a given seed
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Error carrying an HTTP status for the request router
+ */
+class MockHttpError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'MockHttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * In-memory game simulation mirroring the GoMMO rules closely enough for client work
+ */
+export class MockGame {
+    /**
+     * @param {Object} options - Simulation options
+     * @param {number} options.seed - PRNG seed (default: 1)
+     * @param {number} options.size - Board width and height in tiles (default: 16)
+     * @param {number} options.turnLength - Seconds per turn, 0 for manual turns (default: 15)
+     */
+    constructor(options = {}) {
+        this.seed = options.seed ?? DEFAULTS.seed;
+        this.size = options.size ?? DEFAULTS.size;
+        this.turnLength = options.turnLength ?? DEFAULTS.turnLength;
+        this.random = createRandom(this.seed);
+
+        this.turn = 1;
+        this.turnTime = this.turnLength;
+        this.havePlayersWon = false;
+        this.players = new Map();
+        this.events = [];
+        this._eventId = 0;
+        this._playerCount = 0;
+
+        this.board = this._generateBoard();
+    }
+
+    // ===== BOARD =====
+
+    _generateBoard() {
+        const board = [];
+        for (let y = 0; y < this.size; y++) {
+            const row = [];
+            for (let x = 0; x < this.size; x++) {
+                const roll = this.random();
+                let terrain = 'Forest';
+                if (roll < 0.04) {
+                    terrain = 'Laboratory';
+                } else if (roll < 0.3) {
+                    terrain = 'City';
+                } else if (roll < 0.6) {
+                    terrain = 'Farm';
+                }
+                const zombies = terrain === 'City' ? Math.floor(this.random() * 4) : Math.floor(this.random() * 2);
+                row.push({ x, y, terrain, zombies });
+            }
+            board.push(row);
+        }
+        return board;
+    }
+
+    getTile(x, y) {
+        if (x < 0 || y < 0 || x >= this.size || y >= this.size) {
+            return null;
+        }
+        return this.board[y][x];
+    }
+
+    _randomInt(max) {
+        return Math.floor(this.random() * max);
+    }
+
+    _rollDie() {
+        return this._randomInt(RULES.DIE_SIDES) + 1;
+    }
+
+    // ===== PLAYERS =====
+
+    /**
+     * Add a player on a random zombie-free tile
+     * @param {string} name - Player name
+     * @returns {string} Player ID
+     */
+    addPlayer(name) {
+        if (!name) {
+            throw new MockHttpError('Player name is required', 400);
+        }
+
+        let tile = null;
+        for (let attempt = 0; attempt < 100 && !tile; attempt++) {
+            const candidate = this.getTile(this._randomInt(this.size), this._randomInt(this.size));
+            if (candidate.zombies === 0 && candidate.terrain !== 'Laboratory') {
+                tile = candidate;
+            }
+        }
+        tile = tile || this.getTile(0, 0);
+
+        const id = `p${++this._playerCount}-${this._randomInt(0xFFFFFF).toString(16).padStart(6, '0')}`;
+        const player = {
+            id,
+            name,
+            alive: true,
+            isBot: false,
+            x: tile.x,
+            y: tile.y,
+            direction: 'stay',
+            cards: ['Food', 'Wood', 'None', 'None', 'None'],
+            play: 'None',
+            consume: 'None',
+            discard: 'None',
+            researchPositions: [],
+            turnsSinceFood: 0
+        };
+        this.players.set(id, player);
+        this._logEvent(player, 'player_join', { name, x: tile.x, y: tile.y });
+        return id;
+    }
+
+    _requirePlayer(id) {
+        const player = this.players.get(id);
+        if (!player) {
+            throw new MockHttpError(`Player ${id} not found`, 404);
+        }
+        return player;
+    }
+
+    setDirection(id, direction) {
+        const player = this._requirePlayer(id);
+        const normalized = String(direction).toLowerCase();
+        if (!DIRECTIONS[normalized]) {
+            throw new MockHttpError(`Invalid direction: ${direction}`, 400);
+        }
+        player.direction = normalized;
+    }
+
+    /**
+     * Select a card for the turn; Food and Wood are consumed, everything else is played
+     * @param {string} id - Player ID
+     * @param {string} cardType - Lower-case card type
+     */
+    playCard(id, cardType) {
+        const player = this._requirePlayer(id);
+        const card = CARD_NAMES[String(cardType).toLowerCase()];
+        if (!card) {
+            throw new MockHttpError(`Invalid card type: ${cardType}`, 400);
+        }
+        if (card !== 'None' && card !== 'Dice' && !player.cards.includes(card)) {
+            throw new MockHttpError(`Player does not hold a ${card} card`, 400);
+        }
+
+        if (CONSUMABLE_CARDS.includes(card)) {
+            player.consume = card;
+            this._logEvent(player, 'card_selected', { card_type: card, action: 'consume' });
+        } else {
+            player.play = card;
+            this._logEvent(player, 'card_selected', { card_type: card, action: 'play' });
+        }
+    }
+
+    /**
+     * Select a card to be discarded when the turn resolves
+     * @param {string} id - Player ID
+     * @param {string} cardType - Lower-case card type, 'none' to keep every card
+     */
+    discardCard(id, cardType) {
+        const player = this._requirePlayer(id);
+        const card = CARD_NAMES[String(cardType).toLowerCase()];
+        if (!card || card === 'Dice') {
+            throw new MockHttpError(`Invalid card type: ${cardType}`, 400);
+        }
+        if (card !== 'None' && !player.cards.includes(card)) {
+            throw new MockHttpError(`Player does not hold a ${card} card`, 400);
+        }
+
+        player.discard = card;
+        this._logEvent(player, 'card_selected', { card_type: card, action: 'discard' });
+    }
+
+    // ===== SERIALIZATION =====
+
+    serializeConfig() {
+        return {
+            TurnLength: this.turnLength,
+            TurnTime: this.turnTime,
+            Turn: this.turn,
+            havePlayersWon: this.havePlayersWon,
+            ResearchToWin: RULES.RESEARCH_TO_WIN,
+            StarvationTurns: RULES.STARVATION_TURNS,
+            CombatRules: {
+                DieSides: RULES.DIE_SIDES,
+                WeaponBonus: RULES.WEAPON_BONUS,
+                WoodBonus: RULES.WOOD_BONUS,
+                ZombiesToDice: RULES.ZOMBIES_TO_DICE
+            }
+        };
+    }
+
+    serializePlayer(id) {
+        const player = this._requirePlayer(id);
+        return {
+            ID: player.id,
+            Name: player.name,
+            Alive: player.alive,
+            IsBot: player.isBot,
+            CurrentTile: {
+                XPos: player.x,
+                YPos: player.y,
+                Terrain: this.getTile(player.x, player.y).terrain
+            },
+            Direction: DIRECTIONS[player.direction].name,
+            Cards: [...player.cards],
+            Play: player.play,
+            Consume: player.consume,
+            Discard: player.discard,
+            ResearchAcquisitionPos: player.researchPositions.map(pos => ({ ...pos }))
+        };
+    }
+
+    _serializeTile(x, y) {
+        const tile = this.getTile(x, y);
+        if (!tile) {
+            return {
+                TileType: 'Edge',
+                ZombieCount: 0,
+                PlayerCount: 0,
+                PlayersPlanMoveNorth: 0,
+                PlayersPlanMoveEast: 0,
+                PlayersPlanMoveSouth: 0,
+                PlayersPlanMoveWest: 0
+            };
+        }
+
+        const here = [...this.players.values()].filter(p => p.alive && p.x === x && p.y === y);
+        const planning = (direction) => here.filter(p => p.direction === direction).length;
+        return {
+            TileType: tile.terrain,
+            ZombieCount: tile.zombies,
+            PlayerCount: here.length,
+            PlayersPlanMoveNorth: planning('north'),
+            PlayersPlanMoveEast: planning('east'),
+            PlayersPlanMoveSouth: planning('south'),
+            PlayersPlanMoveWest: planning('west')
+        };
+    }
+
+    serializeSurroundings(id) {
+        const player = this._requirePlayer(id);
+        const surroundings = {};
+        Object.entries(SURROUNDINGS_OFFSETS).forEach(([key, [dx, dy]]) => {
+            surroundings[key] = this._serializeTile(player.x + dx, player.y + dy);
+        });
+        return surroundings;
+    }
+
+    /**
+     * Events for a player from the most recent turns
+     * @param {string} id - Player ID
+     * @param {Object} options - Filter options
+     * @param {number} options.turns - Number of recent turns (default: 5)
+     * @param {string} options.type - Only return events of this type
+     * @returns {{events: Array, count: number}}
+     */
+    getEvents(id, options = {}) {
+        this._requirePlayer(id);
+        const turns = Number.isFinite(options.turns) ? options.turns : 5;
+        const oldestTurn = this.turn - turns;
+        const events = this.events.filter(event =>
+            event.PlayerID === id &&
+            event.Turn > oldestTurn &&
+            (!options.type || event.EventType === options.type)
+        );
+        return { events, count: events.length };
+    }
+
+    _logEvent(player, type, data = {}) {
+        this.events.push({
+            ID: ++this._eventId,
+            Turn: this.turn,
+            PlayerID: player.id,
+            EventType: type,
+            EventData: data,
+            Timestamp: new Date().toISOString()
+        });
+    }
+
+    // ===== TURN RESOLUTION =====
+
+    /**
+     * Advance the turn clock by one second, resolving the turn when it runs out
+     */
+    tick() {
+        if (this.turnLength <= 0) return;
+        this.turnTime--;
+        if (this.turnTime <= 0) {
+            this.resolveTurn();
+        }
+    }
+
+    /**
+     * Resolve the current turn: discards, consumption, movement, combat, starvation,
+     * resource gathering, win check and zombie spawns, in that order
+     */
+    resolveTurn() {
+        const players = [...this.players.values()];
+        const living = () => players.filter(p => p.alive);
+
+        living().forEach(player => this._resolveCards(player));
+        players.forEach(player => this._resolveMovement(player));
+        this._resolveCombat(living());
+        living().forEach(player => this._resolveHunger(player));
+        living().forEach(player => this._resolveGathering(player));
+        this._resolveWinCondition(living());
+        this._spawnZombies(players);
+
+        players.forEach(player => {
+            player.direction = 'stay';
+            player.play = 'None';
+            player.consume = 'None';
+            player.discard = 'None';
+        });
+
+        this.turn++;
+        this.turnTime = this.turnLength;
+        players.forEach(player => this._logEvent(player, 'game_tick', { turn: this.turn }));
+    }
+
+    _removeCard(player, card) {
+        const index = player.cards.indexOf(card);
+        if (index === -1) return false;
+        player.cards[index] = 'None';
+        return true;
+    }
+
+    _resolveCards(player) {
+        if (player.discard !== 'None' && this._removeCard(player, player.discard)) {
+            this._logEvent(player, 'card_discarded', { card_type: player.discard });
+        }
+
+        player.barricade = false;
+        if (player.consume !== 'None' && this._removeCard(player, player.consume)) {
+            if (player.consume === 'Food') {
+                player.turnsSinceFood = 0;
+            } else if (player.consume === 'Wood') {
+                player.barricade = true;
+            }
+            this._logEvent(player, 'card_consumed', { card_type: player.consume });
+        }
+
+        if (player.play !== 'None') {
+            this._logEvent(player, 'card_played', { card_type: player.play });
+        }
+    }
+
+    _resolveMovement(player) {
+        const move = DIRECTIONS[player.direction];
+        const from = { x: player.x, y: player.y };
+        const target = this.getTile(player.x + move.dx, player.y + move.dy);
+        const blocked = !target;
+        if (!blocked) {
+            player.x = target.x;
+            player.y = target.y;
+        }
+        this._logEvent(player, 'player_move', {
+            direction: player.direction,
+            from,
+            to: { x: player.x, y: player.y },
+            blocked
+        });
+    }
+
+    _resolveCombat(players) {
+        const byTile = new Map();
+        players.forEach(player => {
+            const key = `${player.x}|${player.y}`;
+            if (!byTile.has(key)) byTile.set(key, []);
+            byTile.get(key).push(player);
+        });
+
+        byTile.forEach(fighters => {
+            const tile = this.getTile(fighters[0].x, fighters[0].y);
+            if (tile.zombies === 0) return;
+
+            const zombies = tile.zombies;
+            const needed = zombies * RULES.ZOMBIES_TO_DICE;
+            let total = 0;
+
+            fighters.forEach(player => {
+                this._logEvent(player, 'combat_start', { zombies, players: fighters.length });
+                const roll = this._rollDie();
+                let bonus = 0;
+                if (player.play === 'Weapon' && this._removeCard(player, 'Weapon')) {
+                    bonus += RULES.WEAPON_BONUS;
+                    this._logEvent(player, 'card_usage', { card_type: 'Weapon', action: 'combat' });
+                }
+                if (player.barricade) {
+                    bonus += RULES.WOOD_BONUS;
+                }
+                total += roll + bonus;
+                this._logEvent(player, 'dice_roll', { roll, bonus, total: roll + bonus });
+            });
+
+            const victory = total >= needed;
+            if (victory) {
+                tile.zombies = 0;
+            }
+            fighters.forEach(player => {
+                this._logEvent(player, 'combat_result', {
+                    result: victory ? 'victory' : 'defeat',
+                    zombies,
+                    players: fighters.length,
+                    total,
+                    needed
+                });
+                if (!victory) {
+                    this._killPlayer(player, 'combat', { zombies });
+                }
+            });
+        });
+    }
+
+    _resolveHunger(player) {
+        player.turnsSinceFood++;
+        if (player.turnsSinceFood >= RULES.STARVATION_TURNS) {
+            this._killPlayer(player, 'starvation', { turns: player.turnsSinceFood });
+        }
+    }
+
+    _resolveGathering(player) {
+        const slot = player.cards.indexOf('None');
+        if (slot === -1) return;
+
+        const tile = this.getTile(player.x, player.y);
+        let card = null;
+        if (tile.terrain === 'Forest') {
+            card = 'Wood';
+        } else if (tile.terrain === 'Farm') {
+            card = 'Food';
+        } else if (tile.terrain === 'City') {
+            card = this.random() < 0.5 ? 'Research' : 'Weapon';
+        }
+        if (!card) return;
+
+        player.cards[slot] = card;
+        if (card === 'Research') {
+            player.researchPositions.push({ XPos: tile.x, YPos: tile.y });
+        }
+        this._logEvent(player, 'card_drawn', { card_type: card });
+        this._logEvent(player, 'resource_gained', { card_type: card, terrain: tile.terrain, x: tile.x, y: tile.y });
+    }
+
+    _resolveWinCondition(players) {
+        const winner = players.find(player =>
+            this.getTile(player.x, player.y).terrain === 'Laboratory' &&
+            player.cards.filter(card => card === 'Research').length >= RULES.RESEARCH_TO_WIN
+        );
+        if (winner) {
+            this.havePlayersWon = true;
+        }
+    }
+
+    _spawnZombies(players) {
+        if (this.random() >= RULES.SPAWN_CHANCE) return;
+
+        const tile = this.getTile(this._randomInt(this.size), this._randomInt(this.size));
+        if (tile.terrain === 'Laboratory') return;
+        tile.zombies++;
+
+        players
+            .filter(player => Math.abs(player.x - tile.x) <= 1 && Math.abs(player.y - tile.y) <= 1)
+            .forEach(player => this._logEvent(player, 'zombie_spawn', { x: tile.x, y: tile.y, count: tile.zombies }));
+    }
+
+    _killPlayer(player, cause, details = {}) {
+        player.alive = false;
+        this._logEvent(player, 'player_death', { cause, ...details });
+    }
+}
+
+// ===== HTTP LAYER =====
+
+function sendJson(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, If-None-Match',
+        'Access-Control-Expose-Headers': 'ETag',
+        ...headers
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Answer with an ETag over the JSON body, or 304 when the client already has this version
+ * @param {http.IncomingMessage} req - Request, checked for If-None-Match
+ * @param {http.ServerResponse} res - Response
+ * @param {*} body - Response body
+ */
+function sendCacheableJson(req, res, body) {
+    const etag = `"${createHash('sha1').update(JSON.stringify(body)).digest('hex').slice(0, 16)}"`;
+    if (req.headers['if-none-match'] === etag) {
+        sendJson(res, 304, undefined, { ETag: etag });
+        return;
+    }
+    sendJson(res, 200, body, { ETag: etag });
+}
+
+/**
+ * Route a request against the game; returns the JSON body to send
+ * @param {MockGame} game - Game instance
+ * @param {string} method - HTTP method
+ * @param {URL} url - Parsed request URL
+ * @param {Object} options - Server options (`push: false` hides the SSE stream)
+ * @returns {*} Response body
+ */
+function route(game, method, url, options = {}) {
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (method === 'GET' && parts.length === 1 && parts[0] === 'config') {
+        return options.push === false
+            ? game.serializeConfig()
+            : { ...game.serializeConfig(), PushTransports: ['sse'] };
+    }
+
+    if (parts[0] === 'mock') {
+        if (method === 'POST' && parts[1] === 'turn') {
+            game.resolveTurn();
+            return game.serializeConfig();
+        }
+        throw new MockHttpError('Not found', 404);
+    }
+
+    if (parts[0] !== 'player' || parts.length < 2) {
+        throw new MockHttpError('Not found', 404);
+    }
+
+    const [, id, action, arg, typeArg] = parts;
+
+    if (method === 'POST' && parts.length === 2) {
+        return game.addPlayer(id);
+    }
+
+    if (method === 'GET') {
+        if (parts.length === 2) {
+            return game.serializePlayer(id);
+        }
+        if (action === 'surroundings' && parts.length === 3) {
+            return game.serializeSurroundings(id);
+        }
+        if (action === 'events') {
+            const turnsParam = url.searchParams.get('turns');
+            const options = { turns: turnsParam === null ? undefined : Number(turnsParam) };
+            if (arg === 'type' && typeArg) {
+                options.type = typeArg;
+            } else if (parts.length !== 3) {
+                throw new MockHttpError('Not found', 404);
+            }
+            return { status: 'success', data: game.getEvents(id, options) };
+        }
+    }
+
+    if (method === 'PUT' && parts.length === 4) {
+        if (action === 'direction') {
+            game.setDirection(id, arg);
+            return undefined;
+        }
+        if (action === 'play') {
+            game.playCard(id, arg);
+            return undefined;
+        }
+        if (action === 'discard') {
+            game.discardCard(id, arg);
+            return undefined;
+        }
+    }
+
+    throw new MockHttpError('Not found', 404);
+}
+
+/**
+ * Send the player, surroundings and config as one `state` snapshot when any of them changed,
+ * plus new events, to an SSE stream
+ * @param {MockGame} game - Game instance
+ * @param {Object} stream - Stream record ({res, playerId, sent, lastEventId})
+ */
+function pushToStream(game, stream) {
+    const state = JSON.stringify({
+        player: game.serializePlayer(stream.playerId),
+        surroundings: game.serializeSurroundings(stream.playerId),
+        config: { ...game.serializeConfig(), PushTransports: ['sse'] }
+    });
+
+    if (stream.sent !== state) {
+        stream.sent = state;
+        stream.res.write(`event: state\ndata: ${state}\n\n`);
+    }
+
+    const newEvents = game.events.filter(event => event.PlayerID === stream.playerId && event.ID > stream.lastEventId);
+    if (newEvents.length > 0) {
+        stream.lastEventId = newEvents[newEvents.length - 1].ID;
+        stream.res.write(`event: events\ndata: ${JSON.stringify(newEvents)}\n\n`);
+    }
+}
+
+/**
+ * Create a mock server around a fresh MockGame
+ * @param {Object} options - MockGame options, `push: false` to disable SSE, and optional `game` to reuse an existing instance
+ * @returns {{server: http.Server, game: MockGame, listen: Function, close: Function}}
+ */
+export function createMockServer(options = {}) {
+    const game = options.game || new MockGame(options);
+    const streams = new Set();
+    let clock = null;
+
+    const broadcast = () => streams.forEach(stream => pushToStream(game, stream));
+
+    const openStream = (req, res, playerId) => {
+        game.serializePlayer(playerId); // 404s unknown players before the stream opens
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        const stream = { res, playerId, sent: null, lastEventId: game._eventId };
+        streams.add(stream);
+        req.on('close', () => streams.delete(stream));
+        pushToStream(game, stream);
+    };
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            sendJson(res, 204);
+            return;
+        }
+
+        try {
+            const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+            const streamMatch = url.pathname.match(/^\/player\/([^/]+)\/stream$/);
+            if (req.method === 'GET' && streamMatch && options.push !== false) {
+                openStream(req, res, decodeURIComponent(streamMatch[1]));
+                return;
+            }
+
+            const body = route(game, req.method, url, options);
+            if (req.method === 'GET' && url.pathname === '/config') {
+                sendCacheableJson(req, res, body);
+            } else {
+                sendJson(res, 200, body);
+            }
+            if (req.method !== 'GET') {
+                broadcast();
+            }
+        } catch (error) {
+            const statusCode = error instanceof MockHttpError ? error.statusCode : 500;
+            sendJson(res, statusCode, { error: error.message });
+        }
+    });
+
+    return {
+        server,
+        game,
+        listen(port = 8080) {
+            return new Promise(resolve => {
+                server.listen(port, () => {
+                    if (game.turnLength > 0) {
+                        clock = setInterval(() => {
+                            game.tick();
+                            broadcast();
+                        }, 1000);
+                    }
+                    resolve(server.address().port);
+                });
+            });
+        },
+        close() {
+            if (clock) {
+                clearInterval(clock);
+                clock = null;
+            }
+            streams.forEach(stream => stream.res.end());
+            streams.clear();
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+function parseArgs(argv) {
+    const options = { port: 8080 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--no-push') {
+            options.push = false;
+            continue;
+        }
+        const [flag, inlineValue] = argv[i].split('=');
+        const value = inlineValue ?? argv[++i];
+        switch (flag) {
+            case '--port':
+                options.port = Number(value);
+                break;
+            case '--seed':
+                options.seed = Number(value);
+                break;
+            case '--size':
+                options.size = Number(value);
+                break;
+            case '--turn-length':
+                options.turnLength = Number(value);
+                break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+    return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = parseArgs(process.argv.slice(2));
+    const mock = createMockServer(options);
+    mock.listen(options.port).then(port => {
+        console.log(`Mock GoMMO server listening on http://localhost:${port} (seed ${mock.game.seed}, ${mock.game.size}x${mock.game.size}, turn length ${mock.game.turnLength}s)`);
+    });
+}
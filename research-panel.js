@@ -0,0 +1,150 @@
+import { GommoConstants } from "./gommo-client.js";
+
+const STEPS = [
+  { direction: "north", axis: "y", sign: -1, arrow: "↑" },
+  { direction: "south", axis: "y", sign: 1, arrow: "↓" },
+  { direction: "west", axis: "x", sign: -1, arrow: "←" },
+  { direction: "east", axis: "x", sign: 1, arrow: "→" }
+];
+
+/**
+ * Picks the laboratory with the fewest moves away; players only move north, east, south or west
+ * @param {Object|null} position - Player position ({x, y})
+ * @param {Array} laboratories - Known laboratory tiles ({x, y}), e.g. WorldMap.getLaboratories()
+ * @returns {Object|null} {x, y, distance} or null when none is known
+ */
+export function findNearestLaboratory(position, laboratories) {
+  if (!position) return null;
+
+  return (laboratories || []).reduce((nearest, lab) => {
+    const distance = Math.abs(lab.x - position.x) + Math.abs(lab.y - position.y);
+    return !nearest || distance < nearest.distance ? { x: lab.x, y: lab.y, distance } : nearest;
+  }, null);
+}
+
+/**
+ * Describes the way to a tile, first along the longer axis
+ * @param {Object} position - Player position ({x, y})
+ * @param {Object} target - Tile to reach ({x, y})
+ * @returns {{direction: string, route: string}} Next move ('stay' once there) and the remaining steps, e.g. "3↑ 1→"
+ */
+export function navigateTo(position, target) {
+  const delta = { x: target.x - position.x, y: target.y - position.y };
+  const legs = STEPS
+    .filter(step => Math.sign(delta[step.axis]) === step.sign)
+    .map(step => ({ ...step, count: Math.abs(delta[step.axis]) }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    direction: legs.length > 0 ? legs[0].direction : "stay",
+    route: legs.map(leg => `${leg.count}${leg.arrow}`).join(' ')
+  };
+}
+
+/**
+ * What the player still has to do for the cure: hold enough research and stand on a laboratory
+ * @param {Object} progress - {count, researchToWin (null if the server does not say), onLaboratory, hasWon}
+ * @returns {{missing: number|null, ready: boolean, text: string}}
+ */
+export function describeProgress({ count, researchToWin, onLaboratory, hasWon }) {
+  if (hasWon) {
+    return { missing: 0, ready: true, text: "The cure has been delivered" };
+  }
+  if (researchToWin === null || researchToWin === undefined) {
+    return { missing: null, ready: false, text: `${count} research held; bring research to a laboratory` };
+  }
+
+  const missing = Math.max(0, researchToWin - count);
+  if (missing > 0) {
+    return { missing, ready: false, text: `${missing} more research card${missing === 1 ? '' : 's'} needed` };
+  }
+  return {
+    missing,
+    ready: true,
+    text: onLaboratory ? "Enough research on a laboratory: the cure is delivered at turn end" : "Enough research: reach a laboratory"
+  };
+}
+
+/**
+ * Research held, where it was found and the way to the nearest known laboratory
+ */
+export class ResearchPanel {
+  constructor(element) {
+    this.element = element;
+    this.createElements();
+  }
+
+  createElements() {
+    this.title = document.createElement('h3');
+    this.title.className = 'research-title';
+
+    this.progressBar = document.createElement('progress');
+    this.progressBar.className = 'research-progress';
+
+    this.status = document.createElement('p');
+    this.status.className = 'research-status';
+
+    this.navigation = document.createElement('p');
+    this.navigation.className = 'research-navigation';
+
+    this.positions = document.createElement('ul');
+    this.positions.className = 'research-positions';
+
+    this.element.appendChild(this.title);
+    this.element.appendChild(this.progressBar);
+    this.element.appendChild(this.status);
+    this.element.appendChild(this.navigation);
+    this.element.appendChild(this.positions);
+  }
+
+  /**
+   * @param {Object} view - {research: {count, positions}, position: {x, y}|null, terrain, researchToWin, hasWon, alive, laboratories}
+   * @returns {Object|null} The nearest laboratory ({x, y, distance}) with the next move toward it, or null
+   */
+  render({ research, position, terrain, researchToWin, hasWon, alive, laboratories }) {
+    const onLaboratory = terrain === GommoConstants.TERRAINS.LABORATORY;
+    const progress = describeProgress({ count: research.count, researchToWin, onLaboratory, hasWon });
+
+    this.title.textContent = researchToWin ? `Research ${research.count}/${researchToWin}` : `Research ${research.count}`;
+    this.progressBar.max = researchToWin || 1;
+    this.progressBar.value = Math.min(research.count, this.progressBar.max);
+    this.progressBar.hidden = !researchToWin;
+    this.status.textContent = progress.text;
+    this.element.classList.toggle('ready', progress.ready);
+
+    const nearest = findNearestLaboratory(position, laboratories);
+    let guide = null;
+    if (!alive || hasWon) {
+      this.navigation.textContent = '';
+    } else if (onLaboratory) {
+      this.navigation.textContent = 'You are on a laboratory';
+    } else if (!nearest) {
+      this.navigation.textContent = 'No laboratory discovered yet: explore to find one';
+    } else {
+      const { direction, route } = navigateTo(position, nearest);
+      guide = { ...nearest, direction };
+      this.navigation.textContent = `Nearest laboratory ${nearest.x}|${nearest.y}, ${nearest.distance} move${nearest.distance === 1 ? '' : 's'} (${route}): head ${direction}`;
+    }
+
+    const items = research.positions.map(found => {
+      const item = document.createElement('li');
+      item.textContent = `Found at ${found.x}|${found.y}`;
+      return item;
+    });
+    this.positions.replaceChildren(...items);
+    this.positions.hidden = items.length === 0;
+
+    return guide;
+  }
+
+  /**
+   * Draws attention to the panel, e.g. when a research card is clicked
+   */
+  highlight() {
+    this.element.classList.remove('highlight');
+    // Reflow so the animation restarts on repeated clicks
+    void this.element.offsetWidth;
+    this.element.classList.add('highlight');
+    this.element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+}
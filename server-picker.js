@@ -0,0 +1,226 @@
+import { GommoClient } from "./gommo-client.js";
+
+const PREFERRED_SERVER_KEY = "gommo.server";
+
+/**
+ * Builds the candidate server list from, in order of preference, the `server` query
+ * parameter, the last server picked on this device and the `config.json` served next
+ * to index.html. Falls back to the built-in default URL.
+ * @param {string} defaultUrl - URL used when nothing else is configured
+ * @returns {Promise<{servers: Array<{name: string, url: string}>, selectedUrl: string}>}
+ */
+export async function loadServerList(defaultUrl) {
+  const servers = [];
+  const addServer = (url, name) => {
+    const normalized = normalizeServerUrl(url);
+    if (normalized && !servers.some(server => server.url === normalized)) {
+      servers.push({ name: name || normalized, url: normalized });
+    }
+  };
+
+  let configuredDefault = null;
+  try {
+    const response = await fetch("config.json", { cache: "no-store" });
+    if (response.ok) {
+      const config = await response.json();
+      (config.servers || []).forEach(server => addServer(server.url, server.name));
+      configuredDefault = normalizeServerUrl(config.defaultServer);
+    }
+  } catch (error) {
+    console.warn('No usable config.json, using built-in server list:', error.message);
+  }
+
+  if (servers.length === 0) {
+    addServer(defaultUrl, 'Default');
+  }
+
+  const queryServer = normalizeServerUrl(new URLSearchParams(window.location.search).get("server"));
+  if (queryServer) {
+    addServer(queryServer, 'From link');
+  }
+
+  let preferredServer = null;
+  try {
+    preferredServer = normalizeServerUrl(localStorage.getItem(PREFERRED_SERVER_KEY));
+  } catch (error) {
+    console.warn('Could not read preferred server:', error);
+  }
+
+  const isKnown = (url) => url && servers.some(server => server.url === url);
+  const selectedUrl = [queryServer, preferredServer, configuredDefault].find(isKnown) || servers[0].url;
+
+  return { servers, selectedUrl };
+}
+
+/**
+ * Strips whitespace and trailing slashes; returns null for anything that is not an http(s) URL
+ * @param {string} url - Candidate URL
+ * @returns {string|null} Normalized URL
+ */
+export function normalizeServerUrl(url) {
+  if (typeof url !== 'string' || url.trim() === '') return null;
+  try {
+    const parsed = new URL(url.trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return parsed.href.replace(/\/$/, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+export class ServerPicker {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.timeout = options.timeout || 3000;
+    this.servers = [];
+    this.selectedUrl = null;
+    this.results = new Map();
+
+    this.createElements();
+  }
+
+  createElements() {
+    this.list = document.createElement('div');
+    this.list.className = 'server-list';
+
+    this.addForm = document.createElement('form');
+    this.addForm.className = 'server-add';
+    this.addInput = document.createElement('input');
+    this.addInput.type = 'url';
+    this.addInput.placeholder = 'http://host:8080';
+    const addButton = document.createElement('button');
+    addButton.type = 'submit';
+    addButton.textContent = 'Add';
+    const refreshButton = document.createElement('button');
+    refreshButton.type = 'button';
+    refreshButton.textContent = 'Refresh';
+    refreshButton.addEventListener('click', () => this.refresh());
+
+    this.addForm.appendChild(this.addInput);
+    this.addForm.appendChild(addButton);
+    this.addForm.appendChild(refreshButton);
+    this.addForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const url = normalizeServerUrl(this.addInput.value);
+      if (!url) {
+        this.addInput.setCustomValidity('Enter an http(s) server URL');
+        this.addInput.reportValidity();
+        return;
+      }
+      this.addInput.setCustomValidity('');
+      this.addInput.value = '';
+      this.addServer(url);
+      this.select(url);
+      this.pingServer(url);
+    });
+
+    this.element.appendChild(this.list);
+    this.element.appendChild(this.addForm);
+  }
+
+  setServers(servers, selectedUrl) {
+    this.servers = servers.map(server => ({ ...server }));
+    this.selectedUrl = selectedUrl || this.servers[0]?.url || null;
+    this.render();
+    this.refresh();
+  }
+
+  addServer(url, name = url) {
+    if (!this.servers.some(server => server.url === url)) {
+      this.servers.push({ name, url });
+    }
+    this.render();
+  }
+
+  select(url) {
+    this.selectedUrl = url;
+    try {
+      localStorage.setItem(PREFERRED_SERVER_KEY, url);
+    } catch (error) {
+      console.warn('Could not store preferred server:', error);
+    }
+    this.render();
+  }
+
+  getSelectedUrl() {
+    return this.selectedUrl;
+  }
+
+  /**
+   * Pings every candidate server concurrently, updating rows as results arrive
+   */
+  refresh() {
+    return Promise.all(this.servers.map(server => this.pingServer(server.url)));
+  }
+
+  async pingServer(url) {
+    this.results.set(url, { pending: true });
+    this.render();
+
+    const client = new GommoClient(url, { timeout: this.timeout });
+    const result = await client.probe();
+    this.results.set(url, result);
+    this.render();
+    return result;
+  }
+
+  describeResult(result) {
+    if (!result || result.pending) {
+      return { status: 'pinging...', meta: '', className: 'pending' };
+    }
+    if (!result.online) {
+      return { status: 'offline', meta: result.error || '', className: 'offline' };
+    }
+
+    const config = result.config || {};
+    const meta = [];
+    if (config.Turn !== undefined) meta.push(`turn ${config.Turn}`);
+    if (config.TurnLength !== undefined) meta.push(`${config.TurnLength}s turns`);
+    if (Array.isArray(config.PushTransports) && config.PushTransports.length > 0) {
+      meta.push(`push: ${config.PushTransports.join('/')}`);
+    }
+    if (config.havePlayersWon) meta.push('game won');
+
+    return {
+      status: `${result.latency} ms`,
+      meta: meta.join(' · '),
+      className: result.latency > 500 ? 'slow' : 'online'
+    };
+  }
+
+  render() {
+    const rows = this.servers.map(server => {
+      const { status, meta, className } = this.describeResult(this.results.get(server.url));
+
+      const row = document.createElement('label');
+      row.className = `server-option ${className}`;
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'server';
+      radio.value = server.url;
+      radio.checked = server.url === this.selectedUrl;
+      radio.addEventListener('change', () => this.select(server.url));
+
+      const name = document.createElement('span');
+      name.className = 'server-name';
+      name.textContent = server.name === server.url ? server.url : `${server.name} (${server.url})`;
+
+      const statusLabel = document.createElement('span');
+      statusLabel.className = 'server-status';
+      statusLabel.textContent = status;
+
+      const metaLabel = document.createElement('span');
+      metaLabel.className = 'server-meta';
+      metaLabel.textContent = meta;
+
+      row.appendChild(radio);
+      row.appendChild(name);
+      row.appendChild(statusLabel);
+      row.appendChild(metaLabel);
+      return row;
+    });
+
+    this.list.replaceChildren(...rows);
+  }
+}
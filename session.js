@@ -0,0 +1,41 @@
+const STORAGE_KEY = "gommo.session";
+
+/**
+ * Reads the stored session, if any
+ * @returns {{playerId: string, serverUrl: string, playerName: string, savedAt: number}|null}
+ */
+export function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!session || typeof session.playerId !== 'string' || typeof session.serverUrl !== 'string') {
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.warn('Ignoring unreadable stored session:', error);
+    return null;
+  }
+}
+
+/**
+ * Stores the session so a reload can resume the same player
+ * @param {Object} session - Session data ({playerId, serverUrl, playerName})
+ */
+export function saveSession({ playerId, serverUrl, playerName }) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ playerId, serverUrl, playerName, savedAt: Date.now() }));
+  } catch (error) {
+    console.warn('Could not store session:', error);
+  }
+}
+
+/**
+ * Forgets the stored session
+ */
+export function clearSession() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not clear session:', error);
+  }
+}
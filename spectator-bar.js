@@ -0,0 +1,180 @@
+const TRACKED_KEY = "gommo.spectator.tracked";
+
+// Players kept in the switcher
+const MAX_TRACKED = 12;
+
+/**
+ * Switcher for following other players read-only. Tracked players are remembered across
+ * reloads; the own character, if any, is always listed first.
+ */
+export class SpectatorBar {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.onSelect = options.onSelect || null;
+    this.onLeave = options.onLeave || null;
+
+    this.ownPlayerId = null;
+    this.viewedPlayerId = null;
+    this.active = false;
+    this.tracked = [];
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(TRACKED_KEY));
+      if (Array.isArray(stored)) {
+        this.tracked = stored.filter(entry => entry && typeof entry.id === 'string');
+      }
+    } catch (error) {
+      console.warn('Could not read tracked players:', error);
+    }
+
+    this.createElements();
+    this.render();
+  }
+
+  createElements() {
+    this.form = document.createElement('form');
+    this.form.className = 'spectator-follow';
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.placeholder = 'Player ID to follow';
+    const followButton = document.createElement('button');
+    followButton.type = 'submit';
+    followButton.textContent = 'Follow';
+    this.form.appendChild(this.input);
+    this.form.appendChild(followButton);
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const playerId = this.input.value.trim();
+      if (playerId && this.onSelect) {
+        this.onSelect(playerId);
+      }
+    });
+
+    this.list = document.createElement('ul');
+    this.list.className = 'spectator-players';
+
+    this.leaveButton = document.createElement('button');
+    this.leaveButton.type = 'button';
+    this.leaveButton.className = 'spectator-leave';
+    this.leaveButton.addEventListener('click', () => this.onLeave && this.onLeave());
+
+    this.element.appendChild(this.form);
+    this.element.appendChild(this.list);
+    this.element.appendChild(this.leaveButton);
+  }
+
+  /**
+   * Shows or hides the bar, e.g. while the start overlay is up
+   */
+  setActive(active) {
+    this.active = active;
+    this.render();
+  }
+
+  /**
+   * @param {string|null} playerId - The player's own character, null for pure spectators
+   */
+  setOwnPlayer(playerId) {
+    this.ownPlayerId = playerId;
+    this.render();
+  }
+
+  /**
+   * Marks the player whose board is shown
+   */
+  setViewed(playerId) {
+    this.viewedPlayerId = playerId;
+    this.input.value = '';
+    this.render();
+  }
+
+  /**
+   * Puts the cursor into the follow field, e.g. when the player asks to keep watching
+   */
+  focus() {
+    this.input.focus();
+  }
+
+  isSpectating() {
+    return !!this.viewedPlayerId && this.viewedPlayerId !== this.ownPlayerId;
+  }
+
+  /**
+   * Adds a player to the switcher or refreshes what is known about them
+   * @param {string} playerId - Player ID
+   * @param {Object} info - Known details ({name, alive})
+   */
+  track(playerId, info = {}) {
+    if (playerId === this.ownPlayerId) return;
+
+    const existing = this.tracked.find(entry => entry.id === playerId);
+    if (existing) {
+      Object.assign(existing, info);
+    } else {
+      this.tracked.push({ id: playerId, ...info });
+      this.tracked = this.tracked.slice(-MAX_TRACKED);
+    }
+    this.save();
+    this.render();
+  }
+
+  untrack(playerId) {
+    this.tracked = this.tracked.filter(entry => entry.id !== playerId);
+    this.save();
+    this.render();
+  }
+
+  getTracked() {
+    return this.tracked.map(entry => ({ ...entry }));
+  }
+
+  save() {
+    try {
+      localStorage.setItem(TRACKED_KEY, JSON.stringify(this.tracked));
+    } catch (error) {
+      console.warn('Could not store tracked players:', error);
+    }
+  }
+
+  render() {
+    this.element.hidden = !this.active;
+    this.element.classList.toggle('spectating', this.isSpectating());
+    if (!this.active) return;
+
+    const entries = this.ownPlayerId
+      ? [{ id: this.ownPlayerId, name: 'Me', own: true }, ...this.tracked]
+      : this.tracked;
+
+    const items = entries.map(entry => {
+      const item = document.createElement('li');
+      item.className = entry.id === this.viewedPlayerId ? 'viewed' : '';
+      if (entry.alive === false) {
+        item.classList.add('dead');
+      }
+
+      const select = document.createElement('button');
+      select.type = 'button';
+      select.className = 'spectator-player';
+      select.textContent = entry.name || entry.id;
+      select.title = entry.alive === false ? `${entry.id} (undead)` : entry.id;
+      select.addEventListener('click', () => this.onSelect && this.onSelect(entry.id));
+      item.appendChild(select);
+
+      if (!entry.own) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'spectator-remove';
+        remove.setAttribute('aria-label', `Stop tracking ${entry.name || entry.id}`);
+        remove.textContent = '×';
+        remove.addEventListener('click', () => this.untrack(entry.id));
+        item.appendChild(remove);
+      }
+      return item;
+    });
+    this.list.replaceChildren(...items);
+
+    // Back to the own board, or out of the game for pure spectators
+    this.leaveButton.hidden = !!this.ownPlayerId && !this.isSpectating();
+    this.leaveButton.textContent = this.ownPlayerId ? 'Back to my player' : 'Stop watching';
+  }
+}
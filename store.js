@@ -0,0 +1,301 @@
+// UI state for main.js: GommoClient states normalized into one shape, held in a GameStore
+// that tells subscribers which sections, hand slots and tiles each change touched.
+
+const TILE_KEYS = ["NW", "NN", "NE", "WW", "CE", "EE", "SW", "SS", "SE"];
+
+/**
+ * The store's one shape for everything the UI shows. Cards use the server's names ('Food',
+ * 'None'), directions the API's ('north', 'stay'); tiles are keyed like the surroundings.
+ * The hand stays empty until the server's first player state says how many slots it has.
+ * @returns {Object} Fresh state
+ */
+export function createInitialState() {
+  return {
+    player: {
+      id: null,
+      name: null,
+      alive: false,
+      isBot: false,
+      position: { x: 0, y: 0, terrain: null },
+      direction: "stay",
+      cards: [],
+      actions: { play: "None", consume: "None", discard: "None" },
+      research: { count: 0, positions: [] }
+    },
+    // Choices made through this UI since the current turn started
+    turnChoices: { direction: false, card: false },
+    tiles: {},
+    game: {
+      turn: null,
+      turnLength: 15,
+      turnTime: 15,
+      hasWon: false,
+      researchToWin: null,
+      combatRules: null
+    },
+    connection: {
+      isConnected: false,
+      consecutiveErrors: 0,
+      lastSuccessfulUpdate: null
+    },
+    ui: {
+      initialized: false,
+      connected: false,
+      // Display position -> server hand slot, changed by drag-to-reorder
+      cardOrder: []
+    }
+  };
+}
+
+// ===== NORMALIZERS =====
+
+/**
+ * @param {import('./gommo-schema.js').UIPlayer} player - Player from GommoClient.getUIPlayerState
+ * @returns {Object} Player in the store's shape
+ */
+export function normalizePlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    alive: player.alive,
+    isBot: player.isBot,
+    position: { x: player.position.x, y: player.position.y, terrain: player.position.terrain ?? null },
+    direction: player.direction.toLowerCase(),
+    cards: [...player.cards.slots],
+    actions: {
+      play: player.cards.play,
+      consume: player.cards.consume,
+      discard: player.cards.discard
+    },
+    research: {
+      count: player.research.count,
+      positions: (player.research.positions || []).map(position => ({ x: position.XPos, y: position.YPos }))
+    }
+  };
+}
+
+/**
+ * @param {import('./gommo-schema.js').Surroundings} surroundings - Raw surroundings from the server
+ * @returns {Object} Tiles keyed like the surroundings ({terrain, zombies, players, plannedMoves})
+ */
+export function normalizeSurroundings(surroundings) {
+  return Object.fromEntries(TILE_KEYS.map(key => {
+    const tile = surroundings[key];
+    return [key, {
+      terrain: tile.TileType,
+      zombies: tile.ZombieCount,
+      players: tile.PlayerCount,
+      plannedMoves: {
+        north: tile.PlayersPlanMoveNorth,
+        east: tile.PlayersPlanMoveEast,
+        south: tile.PlayersPlanMoveSouth,
+        west: tile.PlayersPlanMoveWest
+      }
+    }];
+  }));
+}
+
+/**
+ * @param {import('./gommo-schema.js').GameState} gameState - Raw /config response
+ * @returns {Object} Game section in the store's shape
+ */
+export function normalizeGameState(gameState) {
+  return {
+    turn: gameState.Turn ?? null,
+    turnLength: gameState.TurnLength,
+    turnTime: gameState.TurnTime,
+    hasWon: gameState.havePlayersWon,
+    researchToWin: gameState.ResearchToWin ?? null,
+    combatRules: gameState.CombatRules ?? null
+  };
+}
+
+// ===== DIFFS =====
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+function changedKeys(previous, next) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return [...keys].filter(key => !isEqual(previous[key], next[key]));
+}
+
+/**
+ * Lists what differs between two states: field names per section, hand slot indexes under
+ * `cards` and tile keys under `tiles`
+ * @param {Object} previous - State before the change
+ * @param {Object} next - State after the change
+ * @returns {{player: string[], cards: number[], turnChoices: string[], tiles: string[], game: string[], connection: string[], ui: string[]}}
+ */
+export function diffStates(previous, next) {
+  const slotCount = Math.max(previous.player.cards.length, next.player.cards.length);
+  const cards = [];
+  for (let slot = 0; slot < slotCount; slot++) {
+    if (previous.player.cards[slot] !== next.player.cards[slot]) {
+      cards.push(slot);
+    }
+  }
+
+  return {
+    player: changedKeys(previous.player, next.player),
+    cards,
+    turnChoices: changedKeys(previous.turnChoices, next.turnChoices),
+    tiles: changedKeys(previous.tiles, next.tiles),
+    game: changedKeys(previous.game, next.game),
+    connection: changedKeys(previous.connection, next.connection),
+    ui: changedKeys(previous.ui, next.ui)
+  };
+}
+
+/**
+ * @param {Object} diff - Result of diffStates
+ * @returns {boolean} Whether anything changed
+ */
+export function hasChanges(diff) {
+  return Object.values(diff).some(entries => entries.length > 0);
+}
+
+// ===== SELECTORS =====
+
+export const selectors = {
+  player: state => state.player,
+  cards: state => state.player.cards,
+  heldCards: state => state.player.cards.filter(card => card && card !== "None"),
+  isHandFull: state => state.player.cards.length > 0 && state.player.cards.every(card => card && card !== "None"),
+  cardOrder: state => state.ui.cardOrder,
+  game: state => state.game,
+  isConnected: state => state.ui.connected,
+
+  /**
+   * The player's choices as the server has them ({direction, play, consume, discard})
+   */
+  serverChoices: state => ({ direction: state.player.direction, ...state.player.actions }),
+
+  /**
+   * Which choices count as made for the turn countdown; the undead have nothing left to choose
+   */
+  madeChoices: state => {
+    const { alive, actions } = state.player;
+    return {
+      direction: !alive || state.turnChoices.direction,
+      card: !alive || state.turnChoices.card || actions.play !== "None" || actions.consume !== "None"
+    };
+  }
+};
+
+// ===== STORE =====
+
+/**
+ * Observable container for the UI state. Every change replaces the touched sections and
+ * notifies subscribers with a diff, so views can re-render only what changed.
+ */
+export class GameStore {
+  constructor(initialState = createInitialState()) {
+    this.state = initialState;
+    this.listeners = new Set();
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * @param {Function} selector - One of `selectors` or any function of the state
+   * @param {...*} args - Extra selector arguments, e.g. a tile key
+   */
+  select(selector, ...args) {
+    return selector(this.state, ...args);
+  }
+
+  /**
+   * @param {Function} listener - Called with (diff, state, previous) after each change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Merges patches into sections in one change
+   * @param {Object} patches - Section name -> fields to replace, e.g. {player: {direction: 'north'}}
+   */
+  update(patches) {
+    const next = { ...this.state };
+    Object.entries(patches).forEach(([section, patch]) => {
+      next[section] = { ...this.state[section], ...patch };
+    });
+    this.commit(next);
+  }
+
+  /**
+   * Takes in a state from GommoClient's stateChange event or getUIPlayerState
+   * @param {import('./gommo-schema.js').UIPlayerState} uiState - Client state
+   */
+  applyClientState(uiState) {
+    this.commit(this.withGame({
+      ...this.state,
+      player: normalizePlayer(uiState.player),
+      tiles: normalizeSurroundings(uiState.surroundings.tiles)
+    }, uiState.gameState));
+  }
+
+  /**
+   * Replaces the game section
+   */
+  withGame(next, gameState) {
+    next.game = { ...this.state.game, ...normalizeGameState(gameState) };
+    return next;
+  }
+
+  /**
+   * A new turn unlocks every choice again; called on GommoClient's turnAdvanced, which also
+   * sees new turns on servers that do not number them
+   */
+  startTurn() {
+    this.update({ turnChoices: { direction: false, card: false } });
+  }
+
+  /**
+   * Back to the initial state, e.g. after leaving a game; whether the UI is set up is kept
+   */
+  reset() {
+    const next = createInitialState();
+    next.ui.initialized = this.state.ui.initialized;
+    next.ui.cardOrder = this.state.ui.cardOrder;
+    this.commit(next);
+  }
+
+  /**
+   * Starts the display order over whenever the hand size changes
+   */
+  withCardOrder(next) {
+    const slotCount = next.player.cards.length;
+    if (next.ui.cardOrder.length !== slotCount) {
+      next.ui = { ...next.ui, cardOrder: Array.from({ length: slotCount }, (_, slot) => slot) };
+    }
+    return next;
+  }
+
+  commit(update) {
+    const previous = this.state;
+    const next = this.withCardOrder(update);
+    const diff = diffStates(previous, next);
+    if (!hasChanges(diff)) return;
+
+    this.state = next;
+    this.listeners.forEach(listener => {
+      try {
+        listener(diff, next, previous);
+      } catch (error) {
+        console.error('Store listener failed:', error);
+      }
+    });
+  }
+}
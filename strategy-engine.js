@@ -0,0 +1,393 @@
+/**
+ * Gommo Strategy Engine - scored, explainable turn advice
+ *
+ * Evaluators look at the raw player and surroundings data and suggest actions with a
+ * score and a reason. The engine weights and merges suggestions for the same action,
+ * then ranks them, so the UI can show the best advice first and bots can act on it.
+ */
+
+// Where each move ends up in the 3x3 surroundings window
+const MOVES = {
+    north: { tileId: 'NN', x: 0, y: -1 },
+    east: { tileId: 'EE', x: 1, y: 0 },
+    south: { tileId: 'SS', x: 0, y: 1 },
+    west: { tileId: 'WW', x: -1, y: 0 },
+    stay: { tileId: 'CE', x: 0, y: 0 }
+};
+
+const WINDOW = {
+    NW: { x: -1, y: -1 }, NN: { x: 0, y: -1 }, NE: { x: 1, y: -1 },
+    WW: { x: -1, y: 0 }, CE: { x: 0, y: 0 }, EE: { x: 1, y: 0 },
+    SW: { x: -1, y: 1 }, SS: { x: 0, y: 1 }, SE: { x: 1, y: 1 }
+};
+
+const DEFAULT_RESEARCH_TO_WIN = 3;
+// Assumed when /config does not announce StarvationTurns: the mock server's rule. Other
+// servers may differ, so advice built on it says so.
+const ASSUMED_STARVATION_TURNS = 8;
+
+/**
+ * @typedef {Object} EvaluationContext
+ * @property {Object} player - Raw player data from the server
+ * @property {Object} surroundings - Raw surroundings keyed by tile ID (NW, NN, ..., SE)
+ * @property {Object|null} gameState - Raw /config data, if known
+ * @property {string[]} hand - Cards in hand, without empty slots
+ * @property {number} handSize - Number of card slots, including empty ones
+ * @property {Array<{name: string, tile: Object}>} moves - Moves that stay on the board
+ * @property {number|null} turnsSinceFood - Turns the player has gone without food, null if unknown
+ * @property {number} starvationTurns - Turns without food that kill a player
+ * @property {boolean} starvationAssumed - Whether starvationTurns is assumed rather than announced in /config
+ */
+
+/**
+ * @typedef {Object} Suggestion
+ * @property {string} type - 'movement', 'play', 'consume', 'discard' or 'info'
+ * @property {string} action - Direction name or card type
+ * @property {number} score - Positive to recommend, negative to warn against
+ * @property {string} reason - Why, in player-facing words
+ */
+
+function tileAt(surroundings, x, y) {
+    const entry = Object.entries(WINDOW).find(([, offset]) => offset.x === x && offset.y === y);
+    return entry ? surroundings[entry[0]] : null;
+}
+
+function countCards(hand, card) {
+    return hand.filter(entry => entry === card).length;
+}
+
+/**
+ * Zombies on the destination, plus a smaller share for zombies on visible tiles next to it
+ */
+function zombieRisk(surroundings, move) {
+    const target = surroundings[move.tileId];
+    let nearby = 0;
+    [[0, -1], [1, 0], [0, 1], [-1, 0]].forEach(([dx, dy]) => {
+        const neighbour = tileAt(surroundings, move.x + dx, move.y + dy);
+        if (neighbour && neighbour.TileType !== 'Edge') nearby += neighbour.ZombieCount;
+    });
+    return { zombies: target.ZombieCount, nearby, risk: target.ZombieCount + nearby * 0.25 };
+}
+
+/**
+ * Players expected on a destination next turn: those staying there plus those planning
+ * to walk in from the visible neighbours
+ */
+function expectedPlayers(surroundings, move, isSelf) {
+    const target = surroundings[move.tileId];
+    const leaving = (target.PlayersPlanMoveNorth || 0) + (target.PlayersPlanMoveEast || 0)
+        + (target.PlayersPlanMoveSouth || 0) + (target.PlayersPlanMoveWest || 0);
+    let arriving = 0;
+    const incoming = { PlayersPlanMoveSouth: [0, -1], PlayersPlanMoveWest: [1, 0], PlayersPlanMoveNorth: [0, 1], PlayersPlanMoveEast: [-1, 0] };
+    Object.entries(incoming).forEach(([field, [dx, dy]]) => {
+        const neighbour = tileAt(surroundings, move.x + dx, move.y + dy);
+        if (neighbour && neighbour.TileType !== 'Edge') arriving += neighbour[field] || 0;
+    });
+    // Do not count ourselves: we are either the one staying or one of the arrivals
+    return Math.max(0, (target.PlayerCount || 0) - leaving + arriving - (isSelf ? 1 : 0));
+}
+
+/**
+ * Prefers moves that lower the zombie risk compared to staying put
+ */
+export function zombieRiskEvaluator({ surroundings, moves }) {
+    const current = zombieRisk(surroundings, MOVES.stay);
+
+    return moves.map(({ name }) => {
+        const { zombies, nearby, risk } = zombieRisk(surroundings, MOVES[name]);
+        const score = (current.risk - risk) * 0.5;
+        let reason;
+        if (zombies > 0) {
+            reason = `${zombies} zombie${zombies === 1 ? '' : 's'} ${name === 'stay' ? 'here' : `to the ${name}`}`;
+        } else if (current.zombies > 0) {
+            reason = `Escapes ${current.zombies} zombie${current.zombies === 1 ? '' : 's'}`;
+        } else if (nearby > 0) {
+            reason = `${nearby} zombie${nearby === 1 ? '' : 's'} next to it`;
+        } else {
+            reason = 'No zombies in sight';
+        }
+        return { type: 'movement', action: name, score, reason };
+    });
+}
+
+/**
+ * Uses planned moves to predict who ends up where: allies help in a fight,
+ * a crowd on a quiet tile is just in the way
+ */
+export function congestionEvaluator({ surroundings, moves }) {
+    return moves.map(({ name }) => {
+        const zombies = surroundings[MOVES[name].tileId].ZombieCount;
+        const players = expectedPlayers(surroundings, MOVES[name], name === 'stay');
+        if (players === 0) return null;
+
+        if (zombies > 0) {
+            return {
+                type: 'movement',
+                action: name,
+                score: Math.min(players, 3) * 0.3,
+                reason: `${players} other player${players === 1 ? '' : 's'} expected to fight there`
+            };
+        }
+        return {
+            type: 'movement',
+            action: name,
+            score: -Math.min(players, 4) * 0.05,
+            reason: `${players} other player${players === 1 ? '' : 's'} heading there`
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Steers towards research in cities and, once enough is collected, to a laboratory
+ */
+export function researchEvaluator({ surroundings, hand, handSize, gameState, moves }) {
+    const needed = gameState?.ResearchToWin || DEFAULT_RESEARCH_TO_WIN;
+    const research = countCards(hand, 'Research');
+    const hasFreeSlot = hand.length < handSize;
+    const suggestions = [];
+
+    if (research >= needed) {
+        moves.forEach(({ name, tile }) => {
+            if (tile.TileType === 'Laboratory') {
+                suggestions.push({
+                    type: 'movement',
+                    action: name,
+                    score: 2,
+                    reason: name === 'stay'
+                        ? `Holding ${research}/${needed} research at a laboratory wins the game`
+                        : `Laboratory to the ${name}: deliver ${research}/${needed} research`
+                });
+            }
+        });
+        return suggestions;
+    }
+
+    if (surroundings.CE.TileType === 'Laboratory') {
+        suggestions.push({
+            type: 'info',
+            action: 'stay',
+            score: 0,
+            reason: `At laboratory with ${research}/${needed} research cards`
+        });
+    }
+
+    if (hasFreeSlot) {
+        moves.forEach(({ name, tile }) => {
+            if (tile.TileType === 'City') {
+                suggestions.push({
+                    type: 'movement',
+                    action: name,
+                    score: 0.3,
+                    reason: `City may yield research (${research}/${needed})`
+                });
+            }
+        });
+    }
+    return suggestions;
+}
+
+/**
+ * Judges the hand: food keeps the player alive once hunger sets in, weapons and wood win
+ * fights, free slots are worth filling and a full hand should drop its least useful card
+ */
+export function handEvaluator({ surroundings, hand, handSize, moves, turnsSinceFood, starvationTurns, starvationAssumed }) {
+    const suggestions = [];
+    const zombiesHere = surroundings.CE.ZombieCount;
+    const maxZombies = Math.max(0, ...moves.map(({ tile }) => tile.ZombieCount));
+    const hasFreeSlot = hand.length < handSize;
+    // Turns until starvation, this one included, unless the player eats
+    const turnsLeft = turnsSinceFood === null ? null : Math.max(1, starvationTurns - turnsSinceFood);
+    const hungry = turnsLeft !== null && turnsLeft <= 4;
+    const assumed = starvationAssumed ? ' (starvation limit assumed, not announced by the server)' : '';
+
+    if (hand.includes('Food')) {
+        if (turnsLeft === null) {
+            suggestions.push({ type: 'consume', action: 'food', score: 0.3, reason: `Food holds off starvation for ${starvationTurns} turns${assumed}` });
+        } else if (turnsLeft <= 2) {
+            suggestions.push({ type: 'consume', action: 'food', score: 1.5, reason: `Starving: eat now or die in ${turnsLeft} turn${turnsLeft === 1 ? '' : 's'}${assumed}` });
+        } else if (hungry) {
+            suggestions.push({ type: 'consume', action: 'food', score: 0.6, reason: `Hungry: ${turnsLeft} turns left without food${assumed}` });
+        } else {
+            // Eating early wastes the card
+            suggestions.push({ type: 'consume', action: 'food', score: 0.1, reason: `Not hungry yet: ${turnsLeft} turns left without food${assumed}` });
+        }
+    }
+
+    if (hand.includes('Weapon') && zombiesHere > 0) {
+        suggestions.push({ type: 'play', action: 'weapon', score: 1 + zombiesHere * 0.2, reason: `Use weapon against ${zombiesHere} zombie${zombiesHere === 1 ? '' : 's'}` });
+    } else if (hand.includes('Weapon') && maxZombies > 0) {
+        suggestions.push({ type: 'play', action: 'weapon', score: 0.4, reason: 'Keep a weapon ready: zombies are next door' });
+    }
+
+    if (hand.includes('Wood') && zombiesHere > 0) {
+        suggestions.push({ type: 'consume', action: 'wood', score: 0.8, reason: 'Barricade with wood for +1 in combat' });
+    }
+
+    // A hungry player without food makes room for it; otherwise only surplus cards go
+    const needsFood = hungry && !hand.includes('Food');
+    const spare = ['Wood', 'Weapon'].filter(card => hand.includes(card))
+        .sort((a, b) => countCards(hand, b) - countCards(hand, a))[0];
+    const makesRoom = !hasFreeSlot && needsFood && !!spare;
+
+    if (hasFreeSlot || makesRoom) {
+        const gains = { Farm: 'Food', Forest: 'Wood' };
+        moves.forEach(({ name, tile }) => {
+            const card = gains[tile.TileType];
+            if (card === 'Food' && needsFood) {
+                suggestions.push({ type: 'movement', action: name, score: 0.8, reason: `Farm would yield food with ${turnsLeft} turns left before starving${assumed}` });
+            } else if (card && hasFreeSlot && !hand.includes(card)) {
+                suggestions.push({ type: 'movement', action: name, score: 0.2, reason: `${tile.TileType} would add ${card.toLowerCase()} to an empty slot` });
+            }
+        });
+    }
+
+    if (makesRoom) {
+        suggestions.push({ type: 'discard', action: spare.toLowerCase(), score: 0.6, reason: `Hand is full; drop ${spare.toLowerCase()} to make room for food${assumed}` });
+    } else if (!hasFreeSlot && hand.length > 0) {
+        // Full hand: drop the card we hold most of, research last
+        const candidates = ['Wood', 'Food', 'Weapon'].filter(card => hand.includes(card));
+        const surplus = candidates.sort((a, b) => countCards(hand, b) - countCards(hand, a))[0];
+        if (surplus && countCards(hand, surplus) > 1) {
+            suggestions.push({ type: 'discard', action: surplus.toLowerCase(), score: 0.2, reason: `Hand is full; ${countCards(hand, surplus)} ${surplus.toLowerCase()} is more than needed` });
+        }
+    }
+
+    return suggestions;
+}
+
+/**
+ * Evaluators registered on a new engine unless told otherwise
+ */
+export const DEFAULT_EVALUATORS = {
+    zombieRisk: zombieRiskEvaluator,
+    congestion: congestionEvaluator,
+    research: researchEvaluator,
+    hand: handEvaluator
+};
+
+export class StrategyEngine {
+    /**
+     * @param {Object} options - Optional configuration
+     * @param {boolean} options.defaults - Register DEFAULT_EVALUATORS (default: true)
+     */
+    constructor(options = {}) {
+        this._evaluators = new Map();
+
+        if (options.defaults !== false) {
+            Object.entries(DEFAULT_EVALUATORS).forEach(([name, evaluate]) => this.register(name, evaluate));
+        }
+    }
+
+    /**
+     * Register or replace an evaluator
+     * @param {string} name - Unique evaluator name, shown in explanations
+     * @param {Function} evaluate - (EvaluationContext) => Suggestion[]
+     * @param {Object} options - Optional configuration
+     * @param {number} options.weight - Multiplier applied to the evaluator's scores (default: 1)
+     * @returns {Function} Function that unregisters the evaluator
+     */
+    register(name, evaluate, options = {}) {
+        if (typeof evaluate !== 'function') {
+            throw new Error(`Evaluator ${name} must be a function`);
+        }
+        this._evaluators.set(name, { evaluate, weight: options.weight ?? 1 });
+        return () => this.unregister(name);
+    }
+
+    unregister(name) {
+        return this._evaluators.delete(name);
+    }
+
+    setWeight(name, weight) {
+        const entry = this._evaluators.get(name);
+        if (entry) entry.weight = weight;
+    }
+
+    getEvaluatorNames() {
+        return [...this._evaluators.keys()];
+    }
+
+    /**
+     * Score every registered evaluator and rank the merged suggestions
+     * @param {Object} player - Raw player data from the server
+     * @param {Object} surroundings - Raw surroundings data from the server
+     * @param {Object|null} gameState - Raw /config data, if known
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.lastMealTurn] - Turn in which the player last ate or joined; with
+     *     gameState.Turn it tells how close the player is to starving, by gameState.StarvationTurns
+     *     where the server announces it
+     * @returns {Array<Object>} Recommendations ({type, action, score, priority, reason, explanations}), best first
+     */
+    evaluate(player, surroundings, gameState = null, options = {}) {
+        if (!player.Alive) return [];
+
+        const turn = gameState?.Turn;
+        const context = {
+            player,
+            surroundings,
+            gameState,
+            turnsSinceFood: Number.isInteger(turn) && Number.isInteger(options.lastMealTurn)
+                ? Math.max(0, turn - options.lastMealTurn)
+                : null,
+            starvationTurns: gameState?.StarvationTurns ?? ASSUMED_STARVATION_TURNS,
+            starvationAssumed: gameState?.StarvationTurns === undefined,
+            hand: player.Cards.filter(card => card !== 'None'),
+            handSize: player.Cards.length,
+            moves: Object.entries(MOVES)
+                .filter(([, move]) => surroundings[move.tileId] && surroundings[move.tileId].TileType !== 'Edge')
+                .map(([name, move]) => ({ name, tile: surroundings[move.tileId] }))
+        };
+
+        const merged = new Map();
+        this._evaluators.forEach(({ evaluate, weight }, name) => {
+            let suggestions;
+            try {
+                suggestions = evaluate(context) || [];
+            } catch (error) {
+                console.error(`Strategy evaluator ${name} failed:`, error);
+                return;
+            }
+
+            suggestions.forEach(suggestion => {
+                const key = `${suggestion.type}:${suggestion.action}`;
+                if (!merged.has(key)) {
+                    merged.set(key, { type: suggestion.type, action: suggestion.action, score: 0, explanations: [] });
+                }
+                const entry = merged.get(key);
+                const score = suggestion.score * weight;
+                entry.score += score;
+                entry.explanations.push({ evaluator: name, score, reason: suggestion.reason });
+            });
+        });
+
+        return [...merged.values()]
+            .map(entry => {
+                // Lead with the reason that moved the score the most
+                entry.explanations.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+                return {
+                    ...entry,
+                    score: Math.round(entry.score * 100) / 100,
+                    priority: StrategyEngine.priorityFor(entry.score),
+                    reason: entry.explanations[0].reason
+                };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Best recommendation of a given type, e.g. the move to make
+     * @param {Array<Object>} recommendations - Output of evaluate()
+     * @param {string} type - Recommendation type
+     * @returns {Object|null} Highest scored recommendation of that type
+     */
+    static best(recommendations, type) {
+        return recommendations.find(rec => rec.type === type) || null;
+    }
+
+    static priorityFor(score) {
+        if (score >= 1) return 'high';
+        if (score >= 0.3) return 'medium';
+        if (score < 0) return 'avoid';
+        return 'low';
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * Bot tests - run with `make test` (node --test)
+ *
+ * Bots play against a mock server whose turns only advance when the test asks, so a
+ * game runs as fast as the bot can decide.
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GommoClient } from '../gommo-client.js';
+import { GommoBot, EngineStrategy } from '../bot.js';
+import { createMockServer } from '../mock-server.mjs';
+
+const quietLogger = { log() {}, warn() {}, error() {} };
+
+describe('engine bot', () => {
+    let server;
+    let port;
+    let client;
+
+    beforeEach(async () => {
+        server = createMockServer({ seed: 9, turnLength: 0, push: false });
+        port = await server.listen(0);
+        client = new GommoClient(`http://localhost:${port}`, { transport: 'polling', configCacheTtl: 0 });
+    });
+
+    afterEach(async () => {
+        client.dispose();
+        await server.close();
+    });
+
+    test('eats in time to outlive the starvation limit', async () => {
+        const bot = new GommoBot({ name: 'engine', strategy: new EngineStrategy(), client, logger: quietLogger });
+        bot.playerId = await client.addPlayer(bot.name);
+
+        // Starvation kills after 8 turns without food
+        for (let turn = 0; turn < 12; turn++) {
+            await bot.tick();
+            await fetch(`http://localhost:${port}/mock/turn`, { method: 'POST' });
+        }
+
+        const { events } = await client.getPlayerEvents(bot.playerId, { turns: 13 });
+        const death = events.find(event => event.EventType === 'player_death');
+        assert.equal(death, undefined, `died of ${death?.EventData.cause}`);
+        assert.equal(bot.stats.turnsPlayed, 12);
+    });
+});
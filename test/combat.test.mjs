@@ -0,0 +1,134 @@
+/**
+ * Combat odds tests - run with `make test` (node --test)
+ *
+ * Tiles are in the store's shape ({terrain, zombies, players, plannedMoves}).
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ASSUMED_COMBAT_RULES,
+    resolveCombatRules,
+    chanceToReach,
+    estimateCombat,
+    countArrivals,
+    previewCombat,
+    describeOdds
+} from '../combat.js';
+
+const TILE_KEYS = ['NW', 'NN', 'NE', 'WW', 'CE', 'EE', 'SW', 'SS', 'SE'];
+
+function tiles(overrides = {}) {
+    return Object.fromEntries(TILE_KEYS.map(key => [key, {
+        terrain: 'Grass',
+        zombies: 0,
+        players: 0,
+        ...overrides[key],
+        plannedMoves: { north: 0, east: 0, south: 0, west: 0, ...overrides[key]?.plannedMoves }
+    }]));
+}
+
+describe('combat rules', () => {
+    test('without announced rules the assumed ones are used', () => {
+        assert.equal(resolveCombatRules(null), ASSUMED_COMBAT_RULES);
+    });
+
+    test('announced rules replace the assumed ones field by field', () => {
+        const partial = resolveCombatRules({ DieSides: 8 });
+        assert.equal(partial.DIE_SIDES, 8);
+        assert.equal(partial.WEAPON_BONUS, ASSUMED_COMBAT_RULES.WEAPON_BONUS);
+        assert.equal(partial.assumed, true);
+
+        const full = resolveCombatRules({ DieSides: 4, WeaponBonus: 2, WoodBonus: 1, ZombiesToDice: 3 });
+        assert.deepEqual(full, { assumed: false, DIE_SIDES: 4, WEAPON_BONUS: 2, WOOD_BONUS: 1, ZOMBIES_TO_DICE: 3 });
+    });
+});
+
+describe('dice odds', () => {
+    test('known probabilities', () => {
+        assert.equal(chanceToReach(1, 4), 0.5);
+        assert.ok(Math.abs(chanceToReach(2, 7) - 21 / 36) < 1e-12);
+        assert.ok(Math.abs(chanceToReach(1, 3, 4) - 0.5) < 1e-12);
+    });
+
+    test('totals every roll reaches or none can', () => {
+        assert.equal(chanceToReach(2, 2), 1);
+        assert.equal(chanceToReach(2, -1), 1);
+        assert.equal(chanceToReach(2, 13), 0);
+    });
+
+    test('a fight needs the zombie count times the dice per zombie', () => {
+        const fight = estimateCombat({ zombies: 2 });
+
+        assert.equal(fight.needed, 4);
+        assert.equal(fight.winChance, 0.5);
+        assert.equal(fight.loseChance, 0.5);
+        assert.equal(fight.assumed, true);
+    });
+});
+
+describe('arrivals', () => {
+    test('counts players staying on the tile and those moving onto it', () => {
+        const board = tiles({
+            CE: { players: 2 },
+            NN: { players: 1, plannedMoves: { south: 1 } },
+            WW: { players: 2, plannedMoves: { east: 1, north: 1 } }
+        });
+
+        assert.deepEqual(countArrivals(board, 'CE'), { others: 3, complete: true });
+    });
+
+    test('the player is left out of their own tile and move', () => {
+        const board = tiles({
+            CE: { players: 1, plannedMoves: { north: 1 } },
+            NN: { players: 1 }
+        });
+
+        assert.equal(countArrivals(board, 'CE', 'north').others, 0);
+        assert.deepEqual(countArrivals(board, 'NN', 'north'), { others: 1, complete: false });
+    });
+
+    test('edge tiles bring nobody', () => {
+        const board = tiles({ NN: { terrain: 'Edge', players: 3, plannedMoves: { south: 3 } } });
+
+        assert.equal(countArrivals(board, 'CE').others, 0);
+    });
+});
+
+describe('combat preview', () => {
+    test('no fight on a tile without zombies', () => {
+        assert.equal(previewCombat(tiles(), 'CE'), null);
+    });
+
+    test('arrivals join the fight and the played weapon adds its bonus', () => {
+        const board = tiles({
+            CE: { players: 1 },
+            EE: { zombies: 3, players: 1, plannedMoves: {} },
+            SE: { players: 1, plannedMoves: { north: 1 } }
+        });
+
+        const preview = previewCombat(board, 'EE', { direction: 'east', play: 'Weapon', cards: ['Weapon', 'Food'] });
+
+        assert.equal(preview.fighters, 3);
+        assert.equal(preview.bonus, ASSUMED_COMBAT_RULES.WEAPON_BONUS);
+        assert.equal(preview.winChance, chanceToReach(3, 6 - ASSUMED_COMBAT_RULES.WEAPON_BONUS));
+        assert.equal(preview.complete, false);
+    });
+
+    test('a discarded card gives no bonus', () => {
+        const board = tiles({ CE: { players: 1, zombies: 1 } });
+
+        const preview = previewCombat(board, 'CE', { play: 'Weapon', discard: 'Weapon', cards: ['Weapon'] });
+
+        assert.equal(preview.bonus, 0);
+        assert.ok(Math.abs(preview.winChance - 5 / 6) < 1e-12);
+    });
+
+    test('odds on assumed rules say so', () => {
+        const board = tiles({ CE: { players: 1, zombies: 1 } });
+        const announced = resolveCombatRules({ DieSides: 6, WeaponBonus: 3, WoodBonus: 1, ZombiesToDice: 2 });
+
+        assert.match(describeOdds(previewCombat(board, 'CE')), /rules assumed/);
+        assert.doesNotMatch(describeOdds(previewCombat(board, 'CE', {}, announced)), /assumed/);
+    });
+});
@@ -0,0 +1,768 @@
+/**
+ * GommoClient tests - run with `make test` (node --test)
+ *
+ * Most cases drive the client through a scripted fetch so each transport outcome can be
+ * forced; payloads come from MockGame so they match what the server sends. The last group
+ * talks to a real mock server over HTTP.
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GommoClient, GommoError, eventKey } from '../gommo-client.js';
+import { MockGame, createMockServer } from '../mock-server.mjs';
+
+const BASE_URL = 'http://gommo.test';
+
+// No retries, so failures surface at once
+const NO_RETRY = { read: { retries: 0 }, action: { retries: 0 }, write: { retries: 0 } };
+
+function json(body, init = {}) {
+    return new Response(JSON.stringify(body), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+        ...init
+    });
+}
+
+/**
+ * fetch stand-in answering from a handler; every call is recorded as {method, path, init}
+ */
+function createFakeFetch(handler) {
+    const calls = [];
+    const fakeFetch = async (url, init = {}) => {
+        const { pathname, search } = new URL(url);
+        const call = { method: init.method || 'GET', path: pathname + search, init };
+        calls.push(call);
+        return handler(call);
+    };
+    fakeFetch.calls = calls;
+    return fakeFetch;
+}
+
+/**
+ * Handler serving a MockGame the way the HTTP server would
+ */
+function gameHandler(game) {
+    return ({ method, path }) => {
+        const parts = path.split('?')[0].split('/').filter(Boolean);
+        if (method === 'GET' && parts[0] === 'config') return json(game.serializeConfig());
+        if (method === 'GET' && parts.length === 2) return json(game.serializePlayer(parts[1]));
+        if (method === 'GET' && parts[2] === 'surroundings') return json(game.serializeSurroundings(parts[1]));
+        if (method === 'GET' && parts[2] === 'events') return json({ status: 'success', data: game.getEvents(parts[1], { turns: 1 }) });
+        if (method === 'PUT') return new Response('', { status: 200, headers: { 'Content-Type': 'application/json' } });
+        return new Response('not found', { status: 404 });
+    };
+}
+
+async function waitFor(condition, timeout = 1000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * EventSource stand-in; tests open it and deliver frames by hand
+ */
+class FakeEventSource {
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.listeners = new Map();
+        this.closed = false;
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.set(type, listener);
+    }
+
+    emit(type, data) {
+        this.listeners.get(type)?.({ data });
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+function createClient(fetch, options = {}) {
+    return new GommoClient(BASE_URL, { fetch, retry: NO_RETRY, queueOffline: false, ...options });
+}
+
+function tile(overrides = {}) {
+    return {
+        TileType: 'Forest',
+        ZombieCount: 0,
+        PlayerCount: 0,
+        PlayersPlanMoveNorth: 0,
+        PlayersPlanMoveEast: 0,
+        PlayersPlanMoveSouth: 0,
+        PlayersPlanMoveWest: 0,
+        ...overrides
+    };
+}
+
+function surroundings(overrides = {}) {
+    const keys = ['NW', 'NN', 'NE', 'WW', 'CE', 'EE', 'SW', 'SS', 'SE'];
+    return Object.fromEntries(keys.map(key => [key, tile(overrides[key])]));
+}
+
+describe('request errors', () => {
+    test('a request that outlives the timeout fails with 408', async () => {
+        const fetch = createFakeFetch(({ init }) => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+        }));
+        const client = createClient(fetch, { timeout: 20 });
+
+        await assert.rejects(client.getGameState(), error => {
+            assert.ok(error instanceof GommoError);
+            assert.equal(error.statusCode, 408);
+            assert.equal(error.message, 'Request timeout');
+            return true;
+        });
+    });
+
+    test('a network failure fails with statusCode 0', async () => {
+        const fetch = createFakeFetch(() => {
+            throw new TypeError('fetch failed');
+        });
+        const client = createClient(fetch);
+
+        await assert.rejects(client.getPlayer('p1'), error => {
+            assert.ok(error instanceof GommoError);
+            assert.equal(error.statusCode, 0);
+            assert.match(error.message, /^Network error: fetch failed/);
+            return true;
+        });
+    });
+
+    test('an HTTP error keeps the status and the response body', async () => {
+        const fetch = createFakeFetch(() => new Response('no such player', { status: 404, statusText: 'Not Found' }));
+        const client = createClient(fetch);
+
+        await assert.rejects(client.getPlayer('ghost'), error => {
+            assert.equal(error.statusCode, 404);
+            assert.equal(error.details, 'no such player');
+            return true;
+        });
+    });
+
+    test('retryable failures are retried before giving up', async () => {
+        let attempts = 0;
+        const game = new MockGame({ turnLength: 0 });
+        const fetch = createFakeFetch(call => (++attempts < 3
+            ? new Response('busy', { status: 503 })
+            : gameHandler(game)(call)));
+        const client = createClient(fetch, { retry: { read: { retries: 3, baseDelay: 1, maxDelay: 1 } } });
+
+        const config = await client.getGameState();
+        assert.equal(config.Turn, 1);
+        assert.equal(attempts, 3);
+    });
+
+    test('a probe reports a failing server without retrying', async () => {
+        const fetch = createFakeFetch(() => new Response('busy', { status: 503 }));
+        const client = createClient(fetch, { retry: { read: { retries: 3, baseDelay: 1, maxDelay: 1 } } });
+
+        const result = await client.probe();
+        assert.equal(result.online, false);
+        assert.equal(fetch.calls.length, 1);
+    });
+});
+
+describe('offline queue', () => {
+    let online;
+    let fetch;
+    let client;
+    let playerId;
+
+    beforeEach(() => {
+        online = false;
+        const game = new MockGame({ turnLength: 0 });
+        const serve = gameHandler(game);
+        // Only the action PUTs depend on the connection
+        fetch = createFakeFetch(call => {
+            if (call.method === 'PUT' && !online) throw new TypeError('fetch failed');
+            return serve(call);
+        });
+        client = createClient(fetch, { queueOffline: true });
+        playerId = game.addPlayer('alice');
+    });
+
+    afterEach(() => {
+        client.clearQueue();
+    });
+
+    test('an action that cannot be sent resolves as queued', async () => {
+        const result = await client.setPlayerDirection(playerId, 'north');
+
+        assert.deepEqual(result, { queued: true, key: `direction:${playerId}` });
+        assert.deepEqual(client.getQueuedActions().map(action => action.key), [`direction:${playerId}`]);
+    });
+
+    test('submitTurn reports queued parts apart from applied ones', async () => {
+        const result = await client.submitTurn(playerId, { direction: 'east', discard: 'wood' }, { updateState: false });
+
+        assert.deepEqual(result.applied, []);
+        assert.deepEqual(result.queued, ['direction', 'discard']);
+    });
+
+    test('an action the server keeps rejecting with a 5xx is not queued', async () => {
+        online = true;
+        fetch = createFakeFetch(() => new Response('broken', { status: 500 }));
+        client = createClient(fetch, { queueOffline: true, retry: { action: { retries: 1, baseDelay: 1, maxDelay: 1 } } });
+
+        await assert.rejects(client.setPlayerDirection(playerId, 'north'), error => error.statusCode === 500);
+        assert.equal(fetch.calls.length, 2);
+        assert.deepEqual(client.getQueuedActions(), []);
+    });
+
+    test('a new action sent while online replays the queue first', async () => {
+        await client.setPlayerDirection(playerId, 'north');
+        online = true;
+
+        const result = await client.discardCard(playerId, 'wood');
+
+        assert.equal(result.queued, false);
+        assert.equal(client.getQueuedActions().length, 0);
+        const puts = fetch.calls.filter(call => call.method === 'PUT').map(call => call.path);
+        assert.deepEqual(puts.slice(-2), [`/player/${playerId}/direction/north`, `/player/${playerId}/discard/wood`]);
+    });
+});
+
+describe('turn submission', () => {
+    let game;
+    let playerId;
+
+    beforeEach(() => {
+        game = new MockGame({ turnLength: 0 });
+        playerId = game.addPlayer('alice');
+    });
+
+    // Serves the game but fails the card play, the second part sent, with a 400
+    const failingPlay = (failRestore = false) => createFakeFetch(call => {
+        if (call.path.includes('/play/')) return new Response('no such card', { status: 400 });
+        if (failRestore && call.path.endsWith('/direction/stay')) return new Response('busy', { status: 503 });
+        return gameHandler(game)(call);
+    });
+
+    test('a failed part restores the parts already sent', async () => {
+        const fetch = failingPlay();
+        const client = createClient(fetch);
+
+        await assert.rejects(client.submitTurn(playerId, { direction: 'east', play: 'weapon' }), error => {
+            assert.equal(error.statusCode, 400);
+            assert.equal(error.details.failedPart, 'play');
+            assert.deepEqual(error.details.rolledBack, ['direction']);
+            assert.deepEqual(error.details.rollbackErrors, []);
+            return true;
+        });
+        const puts = fetch.calls.filter(call => call.method === 'PUT').map(call => call.path);
+        assert.deepEqual(puts, [
+            `/player/${playerId}/direction/east`,
+            `/player/${playerId}/play/weapon`,
+            `/player/${playerId}/direction/stay`
+        ]);
+    });
+
+    test('a part that cannot be restored is not reported as rolled back', async () => {
+        const client = createClient(failingPlay(true));
+
+        await assert.rejects(client.submitTurn(playerId, { direction: 'east', play: 'weapon' }), error => {
+            assert.deepEqual(error.details.rolledBack, []);
+            assert.deepEqual(error.details.rollbackErrors.map(entry => entry.part), ['direction']);
+            return true;
+        });
+    });
+});
+
+describe('request sharing and the config cache', () => {
+    test('identical concurrent reads share a request', async () => {
+        const game = new MockGame({ turnLength: 0 });
+        const playerId = game.addPlayer('alice');
+        const fetch = createFakeFetch(gameHandler(game));
+        const client = createClient(fetch);
+
+        const [player, again] = await Promise.all([client.getPlayer(playerId), client.getPlayer(playerId)]);
+
+        assert.equal(fetch.calls.length, 1);
+        assert.equal(player, again);
+        assert.equal(client.getRequestStats().endpoints['GET /player/:id'].deduped, 1);
+    });
+
+    test('a 304 keeps the turn clock anchored where the cached config put it', async () => {
+        const config = { ...new MockGame({ turnLength: 0 }).serializeConfig(), TurnLength: 30, TurnTime: 10 };
+        const fetch = createFakeFetch(({ init }) => (init.headers?.['If-None-Match']
+            ? new Response(null, { status: 304, headers: { ETag: '"c1"' } })
+            : json(config, { headers: { 'Content-Type': 'application/json', ETag: '"c1"' } })));
+        const client = createClient(fetch, { configCacheTtl: 0 });
+
+        await client.getGameState();
+        const { endsAt } = client.getTurnClock();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await client.getGameState();
+
+        assert.equal(fetch.calls.length, 2);
+        assert.equal(client.getTurnClock().endsAt, endsAt);
+    });
+});
+
+describe('turn clock', () => {
+    const configs = (...payloads) => {
+        const base = new MockGame({ turnLength: 0 }).serializeConfig();
+        let index = 0;
+        return createFakeFetch(() => json({ ...base, ...payloads[Math.min(index++, payloads.length - 1)] }));
+    };
+
+    test('turnAdvanced follows the turn number', async () => {
+        const client = createClient(configs({ Turn: 4, TurnTime: 3 }, { Turn: 4, TurnTime: 2 }, { Turn: 5, TurnTime: 14 }), { configCacheTtl: 0 });
+        const advanced = [];
+        client.addEventListener('turnAdvanced', ({ turn, previousTurn }) => advanced.push([previousTurn, turn]));
+
+        for (let poll = 0; poll < 3; poll++) {
+            await client.getGameState();
+        }
+
+        assert.deepEqual(advanced, [[4, 5]]);
+        assert.equal(client.getTurnClock().turnsSeen, 1);
+    });
+
+    test('without turn numbers, turnAdvanced fires when the countdown starts over', async () => {
+        const unnumbered = (turnTime) => ({ Turn: undefined, TurnLength: 15, TurnTime: turnTime });
+        const client = createClient(configs(unnumbered(10), unnumbered(4), unnumbered(14), unnumbered(13)), { configCacheTtl: 0 });
+        const advanced = [];
+        client.addEventListener('turnAdvanced', ({ turn }) => advanced.push(turn));
+
+        for (let poll = 0; poll < 4; poll++) {
+            await client.getGameState();
+        }
+
+        assert.deepEqual(advanced, [null]);
+    });
+});
+
+describe('response bodies', () => {
+    test('a body not labelled as JSON is returned as text', async () => {
+        const fetch = createFakeFetch(() => new Response('p7-abc', { status: 200, headers: { 'Content-Type': 'text/plain' } }));
+        const client = createClient(fetch, { validateResponses: false });
+
+        assert.equal(await client.addPlayer('alice'), 'p7-abc');
+    });
+
+    test('an empty body labelled as JSON is accepted for actions', async () => {
+        const fetch = createFakeFetch(() => new Response('', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+        const client = createClient(fetch);
+
+        await client.setPlayerDirection('p1', 'north');
+        assert.equal(fetch.calls.length, 1);
+    });
+
+    test('malformed JSON fails at once with a 502', async () => {
+        const fetch = createFakeFetch(() => new Response('{"TurnLength":', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+        const client = createClient(fetch, { retry: { read: { retries: 3, baseDelay: 1, maxDelay: 1 } } });
+
+        await assert.rejects(client.getGameState(), error => {
+            assert.ok(error instanceof GommoError);
+            assert.equal(error.statusCode, 502);
+            return true;
+        });
+        assert.equal(fetch.calls.length, 1);
+        assert.equal(client.getConnectionStatus(), 'healthy');
+    });
+
+    test('a payload that breaks the schema is rejected', async () => {
+        const fetch = createFakeFetch(() => json({ TurnLength: 'soon' }));
+        const client = createClient(fetch);
+
+        await assert.rejects(client.getGameState(), GommoError);
+    });
+
+    test('announced combat rules are checked field by field', async () => {
+        const config = new MockGame({ turnLength: 0 }).serializeConfig();
+        const fetch = createFakeFetch(() => json({ ...config, CombatRules: { ...config.CombatRules, DieSides: 0 } }));
+        const client = createClient(fetch);
+
+        await assert.rejects(client.getGameState(), /CombatRules\.DieSides/);
+    });
+});
+
+describe('argument validation', () => {
+    let fetch;
+    let client;
+
+    beforeEach(() => {
+        fetch = createFakeFetch(() => new Response('', { status: 200 }));
+        client = createClient(fetch);
+    });
+
+    const rejectsWith400 = async (promise, pattern) => {
+        await assert.rejects(promise, error => {
+            assert.ok(error instanceof GommoError);
+            assert.equal(error.statusCode, 400);
+            assert.match(error.message, pattern);
+            return true;
+        });
+    };
+
+    test('setPlayerDirection rejects unknown directions and missing ids', async () => {
+        await rejectsWith400(client.setPlayerDirection('p1', 'up'), /Invalid direction/);
+        await rejectsWith400(client.setPlayerDirection('p1', 42), /Invalid direction/);
+        await rejectsWith400(client.setPlayerDirection('', 'north'), /Player ID is required/);
+        assert.equal(fetch.calls.length, 0);
+    });
+
+    test('setPlayerDirection sends directions in lower case', async () => {
+        await client.setPlayerDirection('p 1', 'NORTH');
+        assert.deepEqual(fetch.calls.map(call => [call.method, call.path]), [['PUT', '/player/p%201/direction/north']]);
+    });
+
+    test('playCard rejects unknown cards and accepts dice', async () => {
+        await rejectsWith400(client.playCard('p1', 'sword'), /Invalid card type/);
+        await rejectsWith400(client.playCard(null, 'weapon'), /Player ID is required/);
+        await client.playCard('p1', 'Dice');
+        assert.deepEqual(fetch.calls.map(call => call.path), ['/player/p1/play/dice']);
+    });
+
+    test('discardCard rejects dice, which is not a card in the hand', async () => {
+        await rejectsWith400(client.discardCard('p1', 'dice'), /Invalid card type/);
+        await client.discardCard('p1', 'Wood');
+        assert.deepEqual(fetch.calls.map(call => call.path), ['/player/p1/discard/wood']);
+    });
+});
+
+describe('surroundings layout', () => {
+    test('lays out the grid and marks safe and dangerous tiles', async () => {
+        const game = new MockGame({ turnLength: 0 });
+        const playerId = game.addPlayer('alice');
+        const raw = surroundings({
+            NN: { ZombieCount: 3, PlayersPlanMoveSouth: 2 },
+            CE: { TileType: 'City', PlayerCount: 1 },
+            SE: { TileType: 'Edge' }
+        });
+        const serve = gameHandler(game);
+        const client = createClient(createFakeFetch(call => (call.path.endsWith('/surroundings') ? json(raw) : serve(call))));
+
+        const formatted = (await client.getUIPlayerState(playerId)).surroundings;
+
+        assert.deepEqual(formatted.tiles, raw);
+        assert.equal(formatted.grid.length, 3);
+        assert.ok(formatted.grid.every(row => row.length === 3));
+        assert.deepEqual(formatted.center, formatted.grid[1][1]);
+        assert.equal(formatted.center.terrain, 'City');
+        assert.equal(formatted.center.players, 1);
+        assert.equal(formatted.grid[2][2].terrain, 'Edge');
+
+        assert.deepEqual(formatted.adjacent.north, {
+            terrain: 'Forest',
+            zombies: 3,
+            players: 0,
+            plannedMoves: { north: 0, east: 0, south: 2, west: 0 },
+            safe: false,
+            dangerous: true
+        });
+        assert.equal(formatted.adjacent.east.safe, true);
+        assert.equal(formatted.adjacent.east.dangerous, false);
+    });
+});
+
+describe('recommendations', () => {
+    const player = (overrides = {}) => ({
+        ID: 'p1',
+        Name: 'alice',
+        Alive: true,
+        IsBot: false,
+        CurrentTile: { XPos: 4, YPos: 4, Terrain: 'Forest' },
+        Direction: 'Stay',
+        Cards: ['Wood', 'None', 'None', 'None', 'None'],
+        Play: 'None',
+        Consume: 'None',
+        Discard: 'None',
+        ResearchAcquisitionPos: [],
+        ...overrides
+    });
+
+    const clientFor = (playerPayload, surroundingsPayload) => createClient(createFakeFetch(({ path }) => (
+        path.endsWith('/surroundings') ? json(surroundingsPayload) : json(playerPayload)
+    )));
+
+    test('moves away from zombies and skips edge tiles', async () => {
+        const client = clientFor(player(), surroundings({
+            CE: { ZombieCount: 2 },
+            NN: { ZombieCount: 3 },
+            WW: { TileType: 'Edge' }
+        }));
+
+        const actions = await client.getAvailableActions('p1');
+
+        assert.deepEqual(actions.availableDirections.map(dir => dir.name).sort(), ['east', 'north', 'south', 'stay']);
+        const move = actions.recommendations.find(rec => rec.type === 'movement');
+        assert.ok(['east', 'south'].includes(move.action), `expected an escape, got ${move.action}`);
+        assert.ok(move.explanations.length > 0);
+        const north = actions.recommendations.find(rec => rec.type === 'movement' && rec.action === 'north');
+        assert.equal(north.priority, 'avoid');
+    });
+
+    test('a laboratory wins the game once enough research is held', async () => {
+        const client = clientFor(
+            player({ Cards: ['Research', 'Research', 'Research', 'None', 'None'] }),
+            surroundings({ EE: { TileType: 'Laboratory' } })
+        );
+
+        const actions = await client.getAvailableActions('p1');
+
+        const best = actions.recommendations[0];
+        assert.equal(best.type, 'movement');
+        assert.equal(best.action, 'east');
+        assert.equal(best.priority, 'high');
+    });
+
+    test('food is recommended by how long the player has gone without it', () => {
+        const client = createClient(createFakeFetch(() => json({})));
+        const food = (turn, lastMealTurn) => client.strategyEngine
+            .evaluate(player({ Cards: ['Food', 'None', 'None', 'None', 'None'] }), surroundings(), { Turn: turn }, { lastMealTurn })
+            .find(rec => rec.type === 'consume' && rec.action === 'food');
+
+        assert.equal(food(3, 2).priority, 'low');
+        assert.equal(food(6, 1).priority, 'medium');
+        assert.equal(food(8, 1).priority, 'high');
+    });
+
+    test('food advice follows the announced starvation limit and flags an assumed one', () => {
+        const client = createClient(createFakeFetch(() => json({})));
+        const food = gameState => client.strategyEngine
+            .evaluate(player({ Cards: ['Food', 'None', 'None', 'None', 'None'] }), surroundings(), gameState, { lastMealTurn: 1 })
+            .find(rec => rec.type === 'consume' && rec.action === 'food');
+
+        const announced = food({ Turn: 3, StarvationTurns: 4 });
+        assert.equal(announced.priority, 'high');
+        assert.doesNotMatch(announced.reason, /assumed/);
+        assert.match(food({ Turn: 3 }).reason, /assumed/);
+    });
+
+    test('the undead get no actions', async () => {
+        const client = clientFor(player({ Alive: false }), surroundings());
+
+        const actions = await client.getAvailableActions('p1');
+
+        assert.equal(actions.canMove, false);
+        assert.deepEqual(actions.availableDirections, []);
+    });
+});
+
+describe('death and win detection', () => {
+    let game;
+    let client;
+    let playerId;
+    let seen;
+    let update;
+
+    beforeEach(() => {
+        game = new MockGame({ seed: 3, turnLength: 0 });
+        playerId = game.addPlayer('alice');
+        client = createClient(createFakeFetch(gameHandler(game)), { configCacheTtl: 0 });
+        seen = [];
+        update = () => client.movePlayer(playerId, 'stay');
+        ['stateChange', 'playerDeath', 'gameWon'].forEach(type => client.addEventListener(type, () => seen.push(type)));
+    });
+
+    test('playerDeath fires once, on the update that sees the player die', async () => {
+        await update();
+        game._killPlayer(game.players.get(playerId), 'starvation');
+        await update();
+        await update();
+
+        assert.deepEqual(seen, ['stateChange', 'stateChange', 'playerDeath', 'stateChange']);
+    });
+
+    test('a player who is already dead on the first update is not reported as dying', async () => {
+        game._killPlayer(game.players.get(playerId), 'combat');
+        await update();
+
+        assert.deepEqual(seen, ['stateChange']);
+    });
+
+    test('gameWon fires when the server reports a win', async () => {
+        await update();
+        game.havePlayersWon = true;
+        const player = game.players.get(playerId);
+        player.x = (player.x + 1) % game.size;
+        await update();
+
+        assert.deepEqual(seen, ['stateChange', 'stateChange', 'gameWon']);
+    });
+
+    test('connection failures while polling are reported and polling goes on', async () => {
+        const errors = [];
+        const offline = createClient(createFakeFetch(() => {
+            throw new TypeError('fetch failed');
+        }), { transport: 'polling' });
+        offline.addEventListener('error', error => errors.push(error.statusCode));
+
+        offline.startPolling(playerId, 5);
+        await waitFor(() => errors.length >= 2);
+        offline.stopPolling();
+
+        assert.deepEqual(errors.slice(0, 2), [0, 0]);
+    });
+});
+
+describe('event diffing', () => {
+    const event = (id, turn, type = 'player_move') => ({ ID: id, Turn: turn, PlayerID: 'p1', EventType: type, EventData: {} });
+
+    test('reports only events not in the previous window, even when the count stays the same', async () => {
+        const windows = [
+            [event(1, 1), event(2, 1)],
+            [event(1, 1), event(2, 1)],
+            [event(2, 1), event(3, 2)],
+            [event(4, 3), event(5, 3)]
+        ];
+        let poll = 0;
+        const client = createClient(createFakeFetch(() => {
+            const events = windows[Math.min(poll++, windows.length - 1)];
+            return json({ status: 'success', data: { events, count: events.length } });
+        }));
+
+        const batches = [];
+        const unsubscribe = client.subscribeToPlayerEvents('p1', {
+            interval: 5,
+            onNewEvents: events => batches.push(events.map(entry => entry.ID))
+        });
+        await waitFor(() => poll >= windows.length);
+        unsubscribe();
+
+        assert.deepEqual(batches, [[1, 2], [3], [4, 5]]);
+    });
+
+    test('events without IDs are told apart by turn, type and data', () => {
+        const first = { Turn: 2, EventType: 'dice_roll', EventData: { roll: 4 } };
+
+        assert.equal(eventKey(first), eventKey({ ...first }));
+        assert.notEqual(eventKey(first), eventKey({ ...first, EventData: { roll: 5 } }));
+        assert.notEqual(eventKey(first), eventKey({ ...first, Turn: 3 }));
+    });
+});
+
+describe('push stream', () => {
+    let game;
+    let playerId;
+    let fetch;
+    let client;
+    let source;
+
+    beforeEach(async () => {
+        game = new MockGame({ seed: 3, turnLength: 0 });
+        playerId = game.addPlayer('alice');
+        const serve = gameHandler(game);
+        fetch = createFakeFetch(call => (call.path === '/config'
+            ? json({ ...game.serializeConfig(), PushTransports: ['sse'] })
+            : serve(call)));
+        client = createClient(fetch, { transport: 'sse', EventSource: FakeEventSource, configCacheTtl: 0 });
+        FakeEventSource.instances = [];
+
+        client.startPolling(playerId);
+        await waitFor(() => FakeEventSource.instances.length > 0);
+        source = FakeEventSource.instances[0];
+        source.onopen();
+    });
+
+    afterEach(() => {
+        client.dispose();
+    });
+
+    const snapshot = () => JSON.stringify({
+        player: game.serializePlayer(playerId),
+        surroundings: game.serializeSurroundings(playerId),
+        config: game.serializeConfig()
+    });
+
+    test('a state snapshot is applied as one update', () => {
+        const states = [];
+        client.addEventListener('stateChange', state => states.push(state));
+
+        source.emit('state', snapshot());
+
+        assert.equal(states.length, 1);
+        const player = game.players.get(playerId);
+        assert.deepEqual([states[0].player.position.x, states[0].player.position.y], [player.x, player.y]);
+        assert.equal(states[0].surroundings.center.terrain, game.getTile(player.x, player.y).terrain);
+    });
+
+    test('a malformed frame is reported as an error instead of thrown', () => {
+        const errors = [];
+        client.addEventListener('error', error => errors.push(error));
+
+        source.emit('state', '{"player":');
+
+        assert.equal(errors.length, 1);
+        assert.ok(errors[0] instanceof GommoError);
+        assert.equal(errors[0].statusCode, 502);
+    });
+
+    test('pushed events reach subscriptions, which stop polling /events', async () => {
+        const eventsPath = `/player/${playerId}/events?turns=1`;
+        const batches = [];
+        const totals = [];
+        client.addEventListener('newPlayerEvents', ({ totalCount }) => totals.push(totalCount));
+        const unsubscribe = client.subscribeToPlayerEvents(playerId, {
+            interval: 5,
+            onNewEvents: events => batches.push(events.map(entry => entry.ID))
+        });
+        // The window is read once to start from
+        await waitFor(() => fetch.calls.some(call => call.path === eventsPath));
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        const event = (id) => ({ ID: id, Turn: 1, PlayerID: playerId, EventType: 'player_move', EventData: {} });
+        source.emit('events', JSON.stringify([event(101), event(102)]));
+        source.emit('events', JSON.stringify([event(102), event(103)]));
+        unsubscribe();
+
+        assert.equal(fetch.calls.filter(call => call.path === eventsPath).length, 1);
+        assert.deepEqual(batches.slice(-2), [[101, 102], [103]]);
+        assert.deepEqual(totals.slice(-2), [batches.flat().length - 1, batches.flat().length]);
+    });
+});
+
+describe('against the mock server', () => {
+    let server;
+    let client;
+
+    beforeEach(async () => {
+        server = createMockServer({ seed: 11, turnLength: 0, push: false });
+        const port = await server.listen(0);
+        client = new GommoClient(`http://localhost:${port}`, { transport: 'polling', configCacheTtl: 0 });
+    });
+
+    afterEach(async () => {
+        client.dispose();
+        await server.close();
+    });
+
+    test('joins, plans a turn and sees it resolve', async () => {
+        const playerId = await client.addPlayer('alice');
+
+        const result = await client.submitTurn(playerId, { direction: 'stay', discard: 'wood' }, { updateState: false });
+        assert.deepEqual(result.applied, ['direction', 'discard']);
+
+        const planned = await client.getPlayer(playerId);
+        assert.equal(planned.Discard, 'Wood');
+
+        await fetch(`${client.baseUrl}/mock/turn`, { method: 'POST' });
+        const state = await client.getUIPlayerState(playerId);
+        assert.equal(state.gameState.Turn, 2);
+
+        const { events } = await client.getPlayerEvents(playerId, { turns: 2 });
+        assert.ok(events.some(entry => entry.EventType === 'card_discarded'));
+    });
+
+    test('a rejected card choice surfaces the server status', async () => {
+        const playerId = await client.addPlayer('bob');
+
+        await assert.rejects(client.playCard(playerId, 'weapon'), error => {
+            assert.equal(error.statusCode, 400);
+            return true;
+        });
+    });
+});
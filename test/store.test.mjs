@@ -0,0 +1,138 @@
+/**
+ * Store tests - run with `make test` (node --test)
+ *
+ * Client states are built by hand in the shape GommoClient.getUIPlayerState returns.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameStore, createInitialState, diffStates, selectors } from '../store.js';
+
+const TILE_KEYS = ['NW', 'NN', 'NE', 'WW', 'CE', 'EE', 'SW', 'SS', 'SE'];
+
+function tile(overrides = {}) {
+    return {
+        TileType: 'Grass',
+        ZombieCount: 0,
+        PlayerCount: 0,
+        PlayersPlanMoveNorth: 0,
+        PlayersPlanMoveEast: 0,
+        PlayersPlanMoveSouth: 0,
+        PlayersPlanMoveWest: 0,
+        ...overrides
+    };
+}
+
+function uiState({ cards = ['Food', 'None', 'None', 'None', 'None'], tiles = {}, gameState = {} } = {}) {
+    return {
+        player: {
+            id: 'p1',
+            name: 'Alice',
+            alive: true,
+            isBot: false,
+            position: { x: 3, y: 4, terrain: 'Grass' },
+            direction: 'Stay',
+            cards: { slots: cards, play: 'None', consume: 'None', discard: 'None' },
+            research: { count: 0, positions: [] }
+        },
+        surroundings: {
+            tiles: Object.fromEntries(TILE_KEYS.map(key => [key, tile(tiles[key])]))
+        },
+        gameState: { TurnLength: 15, TurnTime: 10, havePlayersWon: false, Turn: 1, ...gameState }
+    };
+}
+
+describe('store', () => {
+    let store;
+    let changes;
+
+    beforeEach(() => {
+        store = new GameStore();
+        changes = [];
+        store.subscribe(diff => changes.push(diff));
+    });
+
+    test('the hand starts empty until the server reports its size', () => {
+        const state = createInitialState();
+
+        assert.deepEqual(state.player.cards, []);
+        assert.deepEqual(state.ui.cardOrder, []);
+        assert.equal(selectors.isHandFull(state), false);
+    });
+
+    test('the card order follows the hand size the server reports', () => {
+        store.applyClientState(uiState());
+        assert.deepEqual(store.select(selectors.cardOrder), [0, 1, 2, 3, 4]);
+
+        store.applyClientState(uiState({ cards: ['Food', 'Wood', 'None'] }));
+        assert.deepEqual(store.select(selectors.cardOrder), [0, 1, 2]);
+        assert.ok(changes[1].ui.includes('cardOrder'));
+    });
+
+    test('a reordered hand keeps its order while the hand size stays the same', () => {
+        store.applyClientState(uiState());
+        store.update({ ui: { cardOrder: [4, 3, 2, 1, 0] } });
+
+        store.applyClientState(uiState({ cards: ['Food', 'Wood', 'None', 'None', 'None'] }));
+
+        assert.deepEqual(store.select(selectors.cardOrder), [4, 3, 2, 1, 0]);
+        assert.deepEqual(changes.at(-1).cards, [1]);
+        assert.deepEqual(changes.at(-1).ui, []);
+    });
+
+    test('a game state only replaces the game section', () => {
+        store.applyClientState(uiState());
+        store.update({ turnChoices: { direction: true } });
+
+        store.applyClientState(uiState({ gameState: { Turn: 2, ResearchToWin: 4 } }));
+
+        const diff = changes.at(-1);
+        assert.deepEqual(diff.game.sort(), ['researchToWin', 'turn']);
+        assert.deepEqual(diff.player, []);
+        assert.deepEqual(diff.turnChoices, []);
+        assert.equal(store.getState().game.turn, 2);
+        assert.equal(store.getState().turnChoices.direction, true);
+    });
+
+    test('a new turn clears the choices made through the UI', () => {
+        store.update({ turnChoices: { direction: true, card: true } });
+
+        store.startTurn();
+
+        assert.deepEqual(store.getState().turnChoices, { direction: false, card: false });
+        assert.deepEqual(changes.at(-1).turnChoices, ['direction', 'card']);
+    });
+
+    test('subscribers are not told about changes that change nothing', () => {
+        store.applyClientState(uiState());
+        store.applyClientState(uiState());
+
+        assert.equal(changes.length, 1);
+    });
+});
+
+describe('diffStates', () => {
+    test('names changed hand slots and tiles', () => {
+        const store = new GameStore();
+        store.applyClientState(uiState());
+        const previous = store.getState();
+        store.applyClientState(uiState({
+            cards: ['Food', 'None', 'Weapon', 'None', 'None'],
+            tiles: { NN: { ZombieCount: 2 } }
+        }));
+
+        const diff = diffStates(previous, store.getState());
+
+        assert.deepEqual(diff.cards, [2]);
+        assert.deepEqual(diff.tiles, ['NN']);
+        assert.deepEqual(diff.player, ['cards']);
+        assert.deepEqual(diff.game, []);
+    });
+
+    test('a shorter hand lists the slots it lost', () => {
+        const previous = { ...createInitialState(), player: { ...createInitialState().player, cards: ['Food', 'Wood', 'None'] } };
+        const next = { ...previous, player: { ...previous.player, cards: ['Food'] } };
+
+        assert.deepEqual(diffStates(previous, next).cards, [1, 2]);
+    });
+});
@@ -7,10 +7,7 @@ export class Tile {
     this.currentState = "";
     this.zombieCount = 0;
     this.playerCount = 0;
-    this.playersPlanMoveNorth = 0;
-    this.playersPlanMoveEast = 0;
-    this.playersPlanMoveSouth = 0;
-    this.playersPlanMoveWest = 0;
+    this.plannedMoves = { north: 0, east: 0, south: 0, west: 0 };
     // Create simple image container
     this.imageContainer = document.createElement('div');
     this.imageContainer.className = 'tile-image';
@@ -121,34 +118,91 @@ export class Tile {
     }
   }
 
-  updateByContent(content, playerDirection = null) {
-    // Only trigger flip animation for surroundings updates (when tile already has a state)
-    const newType = content["TileType"];
-    
-    // Prevent multiple updates if already flipping
-    if (this.isFlipping) {
-      console.log(`Tile ${this.element.id} is already flipping, skipping update`);
+  /**
+   * Shows or clears recommendation hints on the tile
+   * @param {Object|null} hint - {level: 'safe'|'danger', badge, reason} or null to clear
+   */
+  setHint(hint) {
+    this.element.classList.toggle("hint-safe", hint?.level === "safe");
+    this.element.classList.toggle("hint-danger", hint?.level === "danger");
+
+    if (hint?.badge) {
+      if (!this.hintBadge) {
+        this.hintBadge = document.createElement('div');
+        this.hintBadge.className = 'hint-badge';
+        this.element.appendChild(this.hintBadge);
+      }
+      this.hintBadge.textContent = hint.badge;
+      this.hintBadge.style.display = 'block';
+    } else if (this.hintBadge) {
+      this.hintBadge.style.display = 'none';
+    }
+
+    if (hint?.reason) {
+      this.element.title = hint.reason;
+    } else {
+      this.element.removeAttribute("title");
+    }
+  }
+
+  /**
+   * Marks the tile as the next step toward a laboratory
+   * @param {boolean} isGuide - Whether to show the marker
+   */
+  setLabGuide(isGuide) {
+    this.element.classList.toggle("lab-guide", isGuide);
+  }
+
+  /**
+   * Shows or clears the combat odds revealed on hover
+   * @param {Object|null} odds - {label, detail, level: 'likely'|'risky'|'deadly'} or null to clear
+   */
+  setCombatOdds(odds) {
+    if (!odds) {
+      if (this.combatOdds) {
+        this.combatOdds.hidden = true;
+      }
       return;
     }
-    
-    // Update tile image if type has changed
-    if (this.currentState !== newType) {
-      this.imageContainer.style.backgroundImage = `url(${this.images[newType]})`;
-      this.currentState = newType;
-      
-      // Trigger update animation
-      this.animateUpdate();
+
+    if (!this.combatOdds) {
+      this.combatOdds = document.createElement('div');
+      this.combatOdds.className = 'combat-odds';
+      this.combatLabel = document.createElement('strong');
+      this.combatDetail = document.createElement('span');
+      this.combatOdds.appendChild(this.combatLabel);
+      this.combatOdds.appendChild(this.combatDetail);
+      this.element.appendChild(this.combatOdds);
     }
-    
-    this.zombieCount = content["ZombieCount"];
-    this.playerCount = content["PlayerCount"];
-    this.playersPlanMoveNorth = content["PlayersPlanMoveNorth"];
-    this.playersPlanMoveEast = content["PlayersPlanMoveEast"];
-    this.playersPlanMoveSouth = content["PlayersPlanMoveSouth"];
-    this.playersPlanMoveWest = content["PlayersPlanMoveWest"];
-    
-    // Update overlay displays
-    this.updateOverlays();
+    this.combatOdds.hidden = false;
+    this.combatOdds.dataset.level = odds.level;
+    this.combatLabel.textContent = odds.label;
+    this.combatDetail.textContent = odds.detail;
+  }
+
+  /**
+   * Shows a tile from the store, touching only the parts that differ from what is shown
+   * @param {Object} tile - {terrain, zombies, players, plannedMoves: {north, east, south, west}}
+   */
+  update(tile) {
+    this.updateType(tile.terrain);
+
+    if (this.playerCount !== tile.players) {
+      this.playerCount = tile.players;
+      this.playerOverlay.textContent = `P:${this.playerCount}`;
+    }
+
+    if (this.zombieCount !== tile.zombies) {
+      this.zombieCount = tile.zombies;
+      this.undeadOverlay.textContent = `U:${this.zombieCount}`;
+    }
+
+    Object.entries(tile.plannedMoves).forEach(([direction, count]) => {
+      if (this.plannedMoves[direction] !== count) {
+        this.plannedMoves[direction] = count;
+        this.updatePlannedMoveArrow(direction);
+      }
+    });
   }
 
   updateOverlays() {
@@ -169,23 +223,17 @@ export class Tile {
   }
 
   updatePlannedMoveArrows() {
-    if (!this.arrows) return;
-    
-    // Update arrow counts and visibility
-    const moves = {
-      north: this.playersPlanMoveNorth,
-      east: this.playersPlanMoveEast,
-      south: this.playersPlanMoveSouth,
-      west: this.playersPlanMoveWest
-    };
-    
-    Object.entries(moves).forEach(([direction, count]) => {
-      if (this.arrows[direction]) {
-        this.arrows[direction].count.textContent = count;
-        // Show arrow only if there are planned moves
-        this.arrows[direction].element.style.display = count > 0 ? 'flex' : 'none';
-      }
-    });
+    Object.keys(this.plannedMoves).forEach(direction => this.updatePlannedMoveArrow(direction));
+  }
+
+  updatePlannedMoveArrow(direction) {
+    const arrow = this.arrows?.[direction];
+    if (!arrow) return;
+
+    const count = this.plannedMoves[direction];
+    arrow.count.textContent = count;
+    // Show arrow only if there are planned moves
+    arrow.element.style.display = count > 0 ? 'flex' : 'none';
   }
 
   updateType(type, direction = null) {
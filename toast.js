@@ -0,0 +1,135 @@
+const DEFAULT_DURATIONS = {
+  info: 3000,
+  success: 3000,
+  warning: 5000,
+  error: 7000
+};
+
+/**
+ * On-screen notifications: newest on top, auto-dismissed by severity, repeated messages
+ * folded into one toast with a counter, and sticky toasts that stay until dismissed
+ */
+export class ToastManager {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.maxVisible = options.maxVisible || 5;
+    this.durations = { ...DEFAULT_DURATIONS, ...(options.durations || {}) };
+    this.toasts = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Shows a message, or bumps the counter of an identical one that is still visible
+   * @param {string} message - Text to show
+   * @param {Object} options - Optional configuration
+   * @param {string} options.type - 'info', 'success', 'warning' or 'error' (default: 'info')
+   * @param {boolean} options.sticky - Keep until dismissed (default: false)
+   * @param {string} options.key - Deduplication key (default: type and message)
+   * @param {number} options.duration - Milliseconds before auto-dismiss (default: per type)
+   * @returns {number} Toast ID
+   */
+  show(message, options = {}) {
+    const type = this.durations[options.type] !== undefined ? options.type : 'info';
+    const key = options.key || `${type}:${message}`;
+    const existing = [...this.toasts.values()].find(toast => toast.key === key);
+
+    if (existing) {
+      existing.count++;
+      existing.message = message;
+      existing.sticky = existing.sticky || !!options.sticky;
+      this.renderToast(existing);
+      this.startTimer(existing, options.duration);
+      // Bring it back to the top of the stack, and to the end of the eviction order
+      this.element.prepend(existing.element);
+      this.toasts.delete(existing.id);
+      this.toasts.set(existing.id, existing);
+      return existing.id;
+    }
+
+    const toast = {
+      id: this.nextId++,
+      key,
+      type,
+      message,
+      sticky: !!options.sticky,
+      count: 1,
+      timer: null,
+      element: this.createToastElement(type)
+    };
+    toast.element.querySelector('.toast-close').addEventListener('click', () => this.dismiss(toast.id));
+
+    this.toasts.set(toast.id, toast);
+    this.renderToast(toast);
+    this.element.prepend(toast.element);
+    this.startTimer(toast, options.duration);
+    this.enforceLimit();
+    return toast.id;
+  }
+
+  createToastElement(type) {
+    const element = document.createElement('div');
+    element.className = `toast toast-${type}`;
+    element.setAttribute('role', type === 'error' || type === 'warning' ? 'alert' : 'status');
+
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    const count = document.createElement('span');
+    count.className = 'toast-count';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-close';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.textContent = '×';
+
+    element.appendChild(text);
+    element.appendChild(count);
+    element.appendChild(close);
+    return element;
+  }
+
+  renderToast(toast) {
+    toast.element.classList.toggle('sticky', toast.sticky);
+    toast.element.querySelector('.toast-message').textContent = toast.message;
+    toast.element.querySelector('.toast-count').textContent = toast.count > 1 ? `×${toast.count}` : '';
+  }
+
+  startTimer(toast, duration) {
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    if (toast.sticky) return;
+    toast.timer = setTimeout(() => this.dismiss(toast.id), duration ?? this.durations[toast.type]);
+  }
+
+  /**
+   * Drops the least recently shown non-sticky toasts once more than maxVisible are shown;
+   * `toasts` is kept in that order
+   */
+  enforceLimit() {
+    const removable = [...this.toasts.values()].filter(toast => !toast.sticky);
+    const excess = this.toasts.size - this.maxVisible;
+    removable.slice(0, Math.max(0, excess)).forEach(toast => this.dismiss(toast.id));
+  }
+
+  dismiss(id) {
+    const toast = this.toasts.get(id);
+    if (!toast) return;
+    clearTimeout(toast.timer);
+    toast.element.remove();
+    this.toasts.delete(id);
+  }
+
+  /**
+   * Removes a toast by its deduplication key, e.g. a sticky state that no longer applies
+   */
+  dismissKey(key) {
+    [...this.toasts.values()]
+      .filter(toast => toast.key === key)
+      .forEach(toast => this.dismiss(toast.id));
+  }
+
+  clear(options = {}) {
+    [...this.toasts.values()]
+      .filter(toast => options.includeSticky || !toast.sticky)
+      .forEach(toast => this.dismiss(toast.id));
+  }
+}
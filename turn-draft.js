@@ -0,0 +1,225 @@
+const DRAFT_MODE_KEY = "gommo.draftMode";
+
+const PARTS = ["direction", "play", "consume", "discard"];
+
+/**
+ * Assembles a turn locally before it is sent: tracks changes against the server's
+ * current choices, keeps an undo history and renders a preview with submit/undo controls.
+ * Directions use API names ('north'), cards the server's card names ('Weapon', 'None').
+ */
+export class TurnDraft {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.onSubmit = options.onSubmit || null;
+    this.onChange = options.onChange || null;
+
+    this.baseline = { direction: "stay", play: "None", consume: "None", discard: "None" };
+    this.changes = {};
+    this.history = [];
+    this.locked = false;
+    this.submitting = false;
+    this.enabled = false;
+
+    try {
+      this.enabled = localStorage.getItem(DRAFT_MODE_KEY) === "on";
+    } catch (error) {
+      console.warn('Could not read draft mode preference:', error);
+    }
+
+    this.createElements();
+    this.render();
+  }
+
+  createElements() {
+    this.modeLabel = document.createElement('label');
+    this.modeLabel.className = 'turn-draft-mode';
+    this.modeCheckbox = document.createElement('input');
+    this.modeCheckbox.type = 'checkbox';
+    this.modeCheckbox.addEventListener('change', () => this.setEnabled(this.modeCheckbox.checked));
+    this.modeLabel.appendChild(this.modeCheckbox);
+    this.modeLabel.appendChild(document.createTextNode(' Plan turn before sending'));
+
+    this.preview = document.createElement('ul');
+    this.preview.className = 'turn-draft-preview';
+
+    this.controls = document.createElement('div');
+    this.controls.className = 'turn-draft-controls';
+    this.submitButton = this.createButton('Submit turn', () => this.submit());
+    this.undoButton = this.createButton('Undo', () => this.undo());
+    this.clearButton = this.createButton('Clear', () => this.clear());
+    this.controls.appendChild(this.submitButton);
+    this.controls.appendChild(this.undoButton);
+    this.controls.appendChild(this.clearButton);
+
+    this.element.appendChild(this.modeLabel);
+    this.element.appendChild(this.preview);
+    this.element.appendChild(this.controls);
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    try {
+      localStorage.setItem(DRAFT_MODE_KEY, enabled ? "on" : "off");
+    } catch (error) {
+      console.warn('Could not store draft mode preference:', error);
+    }
+    if (!enabled) {
+      this.changes = {};
+      this.history = [];
+    }
+    this.changed();
+  }
+
+  /**
+   * Updates the server-side choices the draft is compared against, keeping local changes
+   * @param {Object} baseline - Current choices ({direction, play, consume, discard})
+   */
+  setBaseline(baseline) {
+    this.baseline = { ...this.baseline, ...baseline };
+    // Changes the server already has are no longer pending
+    PARTS.forEach(part => {
+      if (this.changes[part] === this.baseline[part]) {
+        delete this.changes[part];
+      }
+    });
+    this.render();
+  }
+
+  /**
+   * Starts over from new server choices, e.g. after submitting or when a new turn begins
+   * @param {Object} baseline - Current choices ({direction, play, consume, discard})
+   */
+  reset(baseline) {
+    this.changes = {};
+    this.history = [];
+    this.setBaseline(baseline);
+    this.changed();
+  }
+
+  set(part, value) {
+    if (this.locked || this.submitting || this.get(part) === value) return;
+
+    this.history.push({ ...this.changes });
+    if (value === this.baseline[part]) {
+      delete this.changes[part];
+    } else {
+      this.changes[part] = value;
+    }
+    this.changed();
+  }
+
+  get(part) {
+    return this.changes[part] ?? this.baseline[part];
+  }
+
+  /**
+   * Choices as they will be once the draft is submitted
+   */
+  getChoices() {
+    return Object.fromEntries(PARTS.map(part => [part, this.get(part)]));
+  }
+
+  /**
+   * Only the parts that differ from the server's current choices
+   */
+  getChanges() {
+    return { ...this.changes };
+  }
+
+  hasChanges() {
+    return Object.keys(this.changes).length > 0;
+  }
+
+  undo() {
+    if (this.locked || this.submitting || this.history.length === 0) return;
+    this.changes = this.history.pop();
+    this.changed();
+  }
+
+  clear() {
+    if (this.submitting || !this.hasChanges()) return;
+    this.history.push({ ...this.changes });
+    this.changes = {};
+    this.changed();
+  }
+
+  /**
+   * Locks the draft while the server resolves the turn
+   */
+  setLocked(locked) {
+    if (this.locked === locked) return;
+    this.locked = locked;
+    this.render();
+  }
+
+  async submit() {
+    if (!this.onSubmit || this.locked || this.submitting || !this.hasChanges()) return;
+
+    this.submitting = true;
+    this.render();
+    try {
+      await this.onSubmit(this.getChanges());
+    } finally {
+      this.submitting = false;
+      this.render();
+    }
+  }
+
+  changed() {
+    this.render();
+    if (this.onChange) {
+      this.onChange(this.getChoices());
+    }
+  }
+
+  describe(part, value) {
+    switch (part) {
+      case "direction":
+        return value === "stay" ? "Stay put" : `Move ${value}`;
+      case "play":
+        return value === "None" ? "Play nothing" : `Play ${value}`;
+      case "consume":
+        return value === "None" ? "Consume nothing" : `Consume ${value}`;
+      case "discard":
+        return value === "None" ? "Keep all cards" : `Discard ${value}`;
+      default:
+        return `${part}: ${value}`;
+    }
+  }
+
+  render() {
+    this.element.classList.toggle('enabled', this.enabled);
+    this.element.classList.toggle('locked', this.locked);
+    this.modeCheckbox.checked = this.enabled;
+    this.preview.hidden = !this.enabled;
+    this.controls.hidden = !this.enabled;
+    if (!this.enabled) return;
+
+    const items = PARTS.map(part => {
+      const item = document.createElement('li');
+      const pending = part in this.changes;
+      item.className = pending ? 'pending' : '';
+      item.textContent = this.describe(part, this.get(part)) + (pending ? ' *' : '');
+      return item;
+    });
+    this.preview.replaceChildren(...items);
+
+    const busy = this.locked || this.submitting;
+    this.submitButton.disabled = busy || !this.hasChanges();
+    this.submitButton.textContent = this.submitting ? 'Submitting...' : this.locked ? 'Turn locked' : 'Submit turn';
+    this.undoButton.disabled = busy || this.history.length === 0;
+    this.clearButton.disabled = busy || !this.hasChanges();
+  }
+}
@@ -0,0 +1,105 @@
+export class TurnTimer {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.warningThreshold = options.warningThreshold ?? 5;
+
+    this.turn = null;
+    this.turnLength = 0;
+    this.deadline = null;
+    this.pending = { direction: false, card: false };
+
+    this.createElements();
+
+    // Count down locally between server updates
+    this.tickTimer = setInterval(() => this.render(), 250);
+    this.render();
+  }
+
+  createElements() {
+    this.phaseLabel = document.createElement('div');
+    this.phaseLabel.className = 'turn-phase';
+
+    this.countdown = document.createElement('div');
+    this.countdown.className = 'turn-countdown';
+
+    this.progress = document.createElement('div');
+    this.progress.className = 'turn-progress';
+    this.progressBar = document.createElement('div');
+    this.progressBar.className = 'turn-progress-bar';
+    this.progress.appendChild(this.progressBar);
+
+    this.warning = document.createElement('div');
+    this.warning.className = 'turn-warning';
+
+    this.element.appendChild(this.phaseLabel);
+    this.element.appendChild(this.countdown);
+    this.element.appendChild(this.progress);
+    this.element.appendChild(this.warning);
+  }
+
+  /**
+   * Synchronizes the countdown with the server's turn clock
+   * @param {Object} game - Turn data ({turn, turnLength, turnTime} in seconds)
+   */
+  sync({ turn, turnLength, turnTime }) {
+    const serverDeadline = Date.now() + turnTime * 1000;
+    const turnChanged = turn !== this.turn;
+
+    this.turnLength = turnLength;
+
+    // Server times are whole seconds; only jump when drifting by more than that
+    if (turnChanged || this.deadline === null || Math.abs(serverDeadline - this.deadline) > 1000) {
+      this.deadline = serverDeadline;
+    }
+    this.turn = turn;
+    this.render();
+  }
+
+  /**
+   * Marks which choices the player has made for the current turn
+   * @param {Object} choices - {direction: boolean, card: boolean}
+   */
+  setChoices({ direction, card }) {
+    this.pending = { direction: !direction, card: !card };
+    this.render();
+  }
+
+  getRemainingSeconds() {
+    if (this.deadline === null) return null;
+    return Math.max(0, (this.deadline - Date.now()) / 1000);
+  }
+
+  isResolving() {
+    return this.getRemainingSeconds() === 0;
+  }
+
+  render() {
+    const remaining = this.getRemainingSeconds();
+    if (remaining === null || this.turnLength <= 0) {
+      this.element.style.display = 'none';
+      return;
+    }
+    this.element.style.display = '';
+
+    const resolving = remaining === 0;
+    this.element.classList.toggle('resolving', resolving);
+    this.phaseLabel.textContent = resolving
+      ? `Turn ${this.turn ?? ''} resolving...`
+      : `Turn ${this.turn ?? ''}`;
+    this.countdown.textContent = resolving ? '0s' : `${Math.ceil(remaining)}s`;
+    this.progressBar.style.width = `${Math.min(100, (remaining / this.turnLength) * 100)}%`;
+
+    const missing = [];
+    if (this.pending.direction) missing.push('a direction');
+    if (this.pending.card) missing.push('a card');
+
+    const showWarning = !resolving && missing.length > 0 && remaining <= this.warningThreshold;
+    this.element.classList.toggle('warning', showWarning);
+    this.warning.textContent = showWarning ? `Choose ${missing.join(' and ')} before the turn locks!` : '';
+  }
+
+  dispose() {
+    clearInterval(this.tickTimer);
+    this.element.replaceChildren();
+  }
+}
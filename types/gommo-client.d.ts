@@ -0,0 +1,866 @@
+export type Player = import("./gommo-schema.js").Player;
+export type Surroundings = import("./gommo-schema.js").Surroundings;
+export type GameState = import("./gommo-schema.js").GameState;
+export type EventsResponse = import("./gommo-schema.js").EventsResponse;
+export type GameEvent = import("./gommo-schema.js").GameEvent;
+export type UIPlayerState = import("./gommo-schema.js").UIPlayerState;
+export type AvailableActions = import("./gommo-schema.js").AvailableActions;
+export type ActionResult = import("./gommo-schema.js").ActionResult;
+export class GommoClient {
+    /**
+     * Create a new Gommo Web Client
+     * @param {string} baseUrl - The base URL of the Gommo server (e.g., 'http://localhost:8080')
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.timeout] - Request timeout in milliseconds (default: 5000)
+     * @param {boolean} [options.enablePolling] - Enable automatic polling for real-time updates (default: false)
+     * @param {number} [options.pollingInterval] - Polling interval in milliseconds; with adaptive polling the interval when the turn clock is unknown (default: 2000)
+     * @param {boolean} [options.adaptivePolling] - Time polls by the server's turn clock instead of a fixed interval (default: true)
+     * @param {number} [options.minPollingInterval] - Interval around expected turn ends in milliseconds (default: 250)
+     * @param {number} [options.maxPollingInterval] - Longest interval mid-turn in milliseconds (default: 5000)
+     * @param {number} [options.hiddenPollingInterval] - Interval while the page is hidden in milliseconds (default: 15000)
+     * @param {number} [options.turnBoundaryWindow] - Milliseconds before and after an expected turn end that are polled at minPollingInterval (default: 1500)
+     * @param {Function} [options.onStateChange] - Callback for state changes (player, game state)
+     * @param {Function} [options.onError] - Global error handler
+     * @param {Function} [options.fetch] - Transport with the `fetch` signature (default: global fetch)
+     * @param {string} [options.transport] - 'auto', 'sse', 'websocket' or 'polling' (default: 'auto')
+     * @param {Function} [options.EventSource] - EventSource implementation (default: global EventSource)
+     * @param {Function} [options.WebSocket] - WebSocket implementation (default: global WebSocket)
+     * @param {StrategyEngine} [options.strategyEngine] - Engine that scores recommendations (default: built-in evaluators)
+     * @param {Object} [options.retry] - Retry policy overrides per request kind ('read', 'action', 'write'), see GommoConstants.RETRY_POLICIES
+     * @param {boolean} [options.queueOffline] - Hold player actions while the server is unreachable and replay them (default: true)
+     * @param {number} [options.maxQueueSize] - Most actions held while offline (default: 20)
+     * @param {number} [options.maxQueueAge] - Queued actions older than this many milliseconds are dropped (default: 30000)
+     * @param {number} [options.queueRetryInterval] - Delay between replay attempts in milliseconds (default: 2000)
+     * @param {number} [options.slowRequestThreshold] - Requests slower than this many milliseconds are flagged (default: 1000)
+     * @param {number} [options.requestLogSize] - Number of recent requests kept for diagnostics (default: 100)
+     * @param {boolean} [options.validateResponses] - Check server payloads against gommo-schema.js and throw on mismatches (default: true)
+     * @param {boolean} [options.dedupeRequests] - Let identical concurrent GETs share one request (default: true)
+     * @param {number} [options.configCacheTtl] - Milliseconds a `/config` response is reused before it is revalidated; 0 always asks the server (default: 1000)
+     */
+    constructor(baseUrl: string, options?: {
+        timeout?: number;
+        enablePolling?: boolean;
+        pollingInterval?: number;
+        adaptivePolling?: boolean;
+        minPollingInterval?: number;
+        maxPollingInterval?: number;
+        hiddenPollingInterval?: number;
+        turnBoundaryWindow?: number;
+        onStateChange?: Function;
+        onError?: Function;
+        fetch?: Function;
+        transport?: string;
+        EventSource?: Function;
+        WebSocket?: Function;
+        strategyEngine?: StrategyEngine;
+        retry?: any;
+        queueOffline?: boolean;
+        maxQueueSize?: number;
+        maxQueueAge?: number;
+        queueRetryInterval?: number;
+        slowRequestThreshold?: number;
+        requestLogSize?: number;
+        validateResponses?: boolean;
+        dedupeRequests?: boolean;
+        configCacheTtl?: number;
+    });
+    baseUrl: string;
+    timeout: number;
+    enablePolling: boolean;
+    pollingInterval: number;
+    adaptivePolling: boolean;
+    minPollingInterval: number;
+    maxPollingInterval: number;
+    hiddenPollingInterval: number;
+    turnBoundaryWindow: number;
+    onStateChange: Function;
+    onError: Function;
+    _fetch: Function;
+    transport: string;
+    _EventSource: Function;
+    _WebSocket: Function;
+    strategyEngine: StrategyEngine;
+    retryPolicies: {
+        [k: string]: any;
+    };
+    queueOffline: boolean;
+    maxQueueSize: number;
+    maxQueueAge: number;
+    queueRetryInterval: number;
+    slowRequestThreshold: number;
+    requestLogSize: number;
+    validateResponses: boolean;
+    dedupeRequests: boolean;
+    configCacheTtl: number;
+    _pollingTimer: number;
+    _updateSession: {
+        playerId: string;
+        interval: number;
+    };
+    _pushConnection: {
+        close: () => any;
+    };
+    _activeTransport: any;
+    _lastGameState: any;
+    _lastPlayerState: any;
+    _eventListeners: Map<any, any>;
+    _eventSubscriptions: Set<any>;
+    _connectionHealth: {
+        consecutiveFailures: number;
+        lastSuccessTime: any;
+        isHealthy: boolean;
+    };
+    _connectionStatus: string;
+    _requestLog: any[];
+    _requestQueue: Map<any, any>;
+    _queueTimer: any;
+    _queueFlush: any;
+    _requestId: number;
+    _inFlight: Map<any, any>;
+    _configCache: {
+        data: any;
+        etag: any;
+        fetchedAt: number;
+        validatedAt: number;
+    };
+    _endpointStats: Map<any, any>;
+    _statsSince: number;
+    _turnClock: any;
+    _visibilityHandler: () => void;
+    /**
+     * Make an HTTP request to the server. A GET that is already in flight with the same path,
+     * headers and response shape joins that request instead of sending another one.
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - API endpoint path
+     * @param {Object} [options] - Request options, see _requestWithRetry and _send
+     * @returns {Promise<any>} Response data, or QUEUED for a queued action
+     */
+    private _request;
+    /**
+     * Requests may only share a response when it would be the same for each of them: an
+     * If-None-Match can turn it into a 304 and withMeta changes what resolves
+     * @private
+     * @returns {string} Key of the request in _inFlight
+     */
+    private _inFlightKey;
+    /**
+     * Send a request, retrying transient failures with exponential backoff according to
+     * the retry policy of the request's kind. Actions that carry a `queueKey` are queued
+     * instead of failing while the server is unreachable.
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - API endpoint path
+     * @param {Object} [options] - Request options
+     * @param {string} [options.kind] - Retry policy to use (default: 'read' for GET, 'action' for PUT, else 'write')
+     * @param {string} [options.queueKey] - Queue slot for an offline player action
+     * @returns {Promise<any>} Response data, or QUEUED for a queued action
+     */
+    private _requestWithRetry;
+    /**
+     * Send a single HTTP request without retries
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} path - API endpoint path
+     * @param {Object} [options] - Request options
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {boolean} [options.withMeta] - Resolve to {status, etag, data} instead of the data alone; a 304 then counts as success
+     * @returns {Promise<any>} Response data
+     */
+    private _send;
+    /**
+     * Get game configuration and state. A response is reused for `configCacheTtl` milliseconds,
+     * then revalidated with its ETag so that an unchanged config only costs a 304.
+     * @param {Object} [options] - Optional parameters
+     * @param {boolean} [options.fresh] - Ask the server even while the cached response is valid (default: false)
+     * @param {string} [options.kind] - Retry policy to use (default: 'read')
+     * @returns {Promise<GameState>} Current game state
+     */
+    getGameState(options?: {
+        fresh?: boolean;
+        kind?: string;
+    }): Promise<GameState>;
+    /**
+     * Add a new player to the game
+     * @param {string} playerName - Name of the player to add
+     * @returns {Promise<string>} Player ID
+     */
+    addPlayer(playerName: string): Promise<string>;
+    /**
+     * Get player information by ID
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Player>} Player data
+     */
+    getPlayer(playerId: string): Promise<Player>;
+    /**
+     * Get surroundings for a player
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Surroundings>} Map surroundings data
+     */
+    getPlayerSurroundings(playerId: string): Promise<Surroundings>;
+    /**
+     * Set player direction
+     * @param {string} playerId - Player ID
+     * @param {string} direction - Direction ('north', 'east', 'south', 'west', 'stay')
+     * @returns {Promise<ActionResult>} Whether the choice was sent or waits for the server
+     */
+    setPlayerDirection(playerId: string, direction: string): Promise<ActionResult>;
+    /**
+     * Play a card for a player
+     * @param {string} playerId - Player ID
+     * @param {string} cardType - Card type ('food', 'wood', 'weapon', 'dice', 'research', 'none')
+     * @returns {Promise<ActionResult>} Whether the choice was sent or waits for the server
+     */
+    playCard(playerId: string, cardType: string): Promise<ActionResult>;
+    /**
+     * Choose a card to discard at the end of the turn
+     * @param {string} playerId - Player ID
+     * @param {string} cardType - Card type ('food', 'wood', 'weapon', 'research', 'none' to keep all cards)
+     * @returns {Promise<ActionResult>} Whether the choice was sent or waits for the server
+     */
+    discardCard(playerId: string, cardType: string): Promise<ActionResult>;
+    /**
+     * Send a player action, queueing it while the server is unreachable
+     * @private
+     * @param {string} path - API endpoint path
+     * @param {string} queueKey - Queue slot; a newer action for the same slot replaces a queued one
+     * @returns {Promise<ActionResult>}
+     */
+    private _sendAction;
+    /**
+     * Move a player and automatically update UI state
+     * @param {string} playerId - Player ID
+     * @param {string} direction - Direction to move
+     * @param {boolean} updateState - Whether to trigger state update callbacks (default: true)
+     * @returns {Promise<ActionResult>} Whether the move was sent or waits for the server
+     */
+    movePlayer(playerId: string, direction: string, updateState?: boolean): Promise<ActionResult>;
+    /**
+     * Consume a card and automatically update UI state
+     * @param {string} playerId - Player ID
+     * @param {string} cardType - Card type to consume
+     * @param {boolean} updateState - Whether to trigger state update callbacks (default: true)
+     * @returns {Promise<ActionResult>} Whether the card was sent or waits for the server
+     */
+    consumeCard(playerId: string, cardType: string, updateState?: boolean): Promise<ActionResult>;
+    /**
+     * Submit a whole turn as one unit. Parts are sent in order (direction, play, discard,
+     * consume); if one fails, the parts already sent are restored to the player's previous
+     * choices, parts held in the offline queue are withdrawn and a GommoError describing the
+     * failure and the rollback is thrown. While the server is unreachable, parts are queued and
+     * reported as such instead of as applied.
+     * @param {string} playerId - Player ID
+     * @param {Object} turn - Turn choices; omitted parts are left unchanged
+     * @param {string} turn.direction - Direction ('north', 'east', 'south', 'west', 'stay')
+     * @param {string} turn.play - Card to play ('weapon', 'dice', 'none', ...)
+     * @param {string} turn.consume - Card to consume ('food', 'wood')
+     * @param {string} turn.discard - Card to discard ('none' to keep all cards)
+     * @param {Object} [options] - Optional configuration
+     * @param {boolean} [options.updateState] - Whether to trigger state update callbacks (default: true)
+     * @returns {Promise<{success: boolean, applied: string[], queued: string[], previous: Object}>} Parts the server
+     *     accepted, parts waiting in the offline queue and the choices they replace
+     */
+    submitTurn(playerId: string, turn?: {
+        direction: string;
+        play: string;
+        consume: string;
+        discard: string;
+    }, options?: {
+        updateState?: boolean;
+    }): Promise<{
+        success: boolean;
+        applied: string[];
+        queued: string[];
+        previous: any;
+    }>;
+    /**
+     * Get complete player state including surroundings
+     * @param {string} playerId - Player ID
+     * @returns {Promise<{player: Player, surroundings: Surroundings}>}
+     */
+    getPlayerState(playerId: string): Promise<{
+        player: Player;
+        surroundings: Surroundings;
+    }>;
+    /**
+     * Check if the server is reachable
+     * @returns {Promise<boolean>} True if server is reachable
+     */
+    ping(): Promise<boolean>;
+    /**
+     * Check the server and report round-trip latency along with its `/config` metadata. Uses the
+     * 'probe' retry policy, which does not retry, so an unreachable server is reported at once.
+     * @returns {Promise<{online: boolean, latency: number|null, config: GameState|null, error: string|null}>}
+     */
+    probe(): Promise<{
+        online: boolean;
+        latency: number | null;
+        config: GameState | null;
+        error: string | null;
+    }>;
+    /**
+     * Start real-time updates for a player. Uses a push transport (SSE or WebSocket) when the
+     * server advertises one in `/config`, otherwise polls. The same `stateChange`, `playerDeath`,
+     * `gameWon` and `turnAdvanced` events fire regardless of transport. Adaptive polling checks
+     * often around the expected end of a turn, rarely mid-turn and least while the page is hidden.
+     * @param {string} playerId - Player ID to monitor
+     * @param {number} interval - Polling interval in milliseconds (optional)
+     */
+    startPolling(playerId: string, interval?: number): void;
+    /**
+     * Stop automatic updates (polling loop and push stream)
+     */
+    stopPolling(): void;
+    /**
+     * Get the transport currently delivering updates
+     * @returns {string|null} 'sse', 'websocket', 'polling' or null when stopped
+     */
+    getActiveTransport(): string | null;
+    /**
+     * Get formatted player state for UI display
+     * @param {string} playerId - Player ID
+     * @returns {Promise<UIPlayerState>} Formatted state object for UI
+     */
+    getUIPlayerState(playerId: string): Promise<UIPlayerState>;
+    /**
+     * Get available actions for a player based on current state
+     * @param {string} playerId - Player ID
+     * @returns {Promise<AvailableActions>} Available actions
+     */
+    getAvailableActions(playerId: string): Promise<AvailableActions>;
+    /**
+     * Get everything needed to decide a turn in one round-trip: the formatted UI state
+     * plus the available actions derived from the same server data
+     * @param {string} playerId - Player ID
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.lastMealTurn] - Turn in which the player last ate or joined, so that
+     *     food is recommended by hunger (see StrategyEngine.evaluate)
+     * @returns {Promise<{state: UIPlayerState, actions: AvailableActions}>} UI state and available actions
+     */
+    getTurnContext(playerId: string, options?: {
+        lastMealTurn?: number;
+    }): Promise<{
+        state: UIPlayerState;
+        actions: AvailableActions;
+    }>;
+    /**
+     * Execute a complete turn (move + consume) with UI updates
+     * @param {string} playerId - Player ID
+     * @param {string} direction - Direction to move
+     * @param {string} cardType - Card to consume
+     * @returns {Promise<Object>} Turn result
+     */
+    executeTurn(playerId: string, direction: string, cardType: string): Promise<any>;
+    /**
+     * Get recent events for a player
+     * @param {string} playerId - Player ID
+     * @param {Object} [options] - Optional parameters
+     * @param {number} [options.turns] - Number of recent turns to get events for (default: 5)
+     * @returns {Promise<EventsResponse>} Events data with events array and count
+     */
+    getPlayerEvents(playerId: string, options?: {
+        turns?: number;
+    }): Promise<EventsResponse>;
+    /**
+     * Get filtered events by type for a player
+     * @param {string} playerId - Player ID
+     * @param {string} eventType - Event type to filter by
+     * @param {Object} [options] - Optional parameters
+     * @param {number} [options.turns] - Number of recent turns to get events for (default: 5)
+     * @returns {Promise<EventsResponse>} Filtered events data
+     */
+    getPlayerEventsByType(playerId: string, eventType: string, options?: {
+        turns?: number;
+    }): Promise<EventsResponse>;
+    /**
+     * Get recent combat events for a player
+     * @param {string} playerId - Player ID
+     * @param {number} turns - Number of recent turns (default: 5)
+     * @returns {Promise<EventsResponse>} Combat events data
+     */
+    getPlayerCombatEvents(playerId: string, turns?: number): Promise<EventsResponse>;
+    /**
+     * Get recent movement events for a player
+     * @param {string} playerId - Player ID
+     * @param {number} turns - Number of recent turns (default: 5)
+     * @returns {Promise<EventsResponse>} Movement events data
+     */
+    getPlayerMovementEvents(playerId: string, turns?: number): Promise<EventsResponse>;
+    /**
+     * Get recent card usage events for a player
+     * @param {string} playerId - Player ID
+     * @param {number} turns - Number of recent turns (default: 5)
+     * @returns {Promise<EventsResponse>} Card usage events data
+     */
+    getPlayerCardEvents(playerId: string, turns?: number): Promise<EventsResponse>;
+    /**
+     * Subscribe to real-time events for a player. Events are polled, except while a push stream
+     * for the same player is open: then the stream delivers them and `/events` is only read once
+     * to start from.
+     * @param {string} playerId - Player ID
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.interval] - Polling interval in milliseconds (default: 2000)
+     * @param {number} [options.turns] - Number of recent turns to monitor (default: 1)
+     * @param {Function} [options.onNewEvents] - Callback for new events
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeToPlayerEvents(playerId: string, options?: {
+        interval?: number;
+        turns?: number;
+        onNewEvents?: Function;
+    }): Function;
+    /**
+     * Add event listener for game events
+     * @param {string} event - Event type ('stateChange', 'playerDeath', 'gameWon', 'turnComplete', 'turnAdvanced', 'error', 'eventsReceived', 'filteredEventsReceived', 'newPlayerEvents', 'transportChange')
+     * @param {Function} callback - Event handler
+     */
+    addEventListener(event: string, callback: Function): void;
+    /**
+     * Remove event listener
+     * @param {string} event - Event type
+     * @param {Function} callback - Event handler to remove
+     */
+    removeEventListener(event: string, callback: Function): void;
+    /**
+     * Player actions waiting to be replayed once the server is reachable again
+     * @returns {Array<{key: string, method: string, path: string, queuedAt: number}>} Queued actions, oldest first
+     */
+    getQueuedActions(): Array<{
+        key: string;
+        method: string;
+        path: string;
+        queuedAt: number;
+    }>;
+    /**
+     * Try to replay queued actions now instead of waiting for the next attempt
+     * @returns {Promise<{sent: string[], dropped: string[]}>} Keys of replayed and discarded actions
+     */
+    flushQueue(): Promise<{
+        sent: string[];
+        dropped: string[];
+    }>;
+    /**
+     * Discard every queued action without sending it and stop the replay timer
+     */
+    clearQueue(): void;
+    /**
+     * Summarize connection health: 'offline' after repeated failures, 'degraded' while
+     * requests fail, actions are queued or the last few requests were slow, else 'healthy'
+     * @returns {string} 'healthy', 'degraded' or 'offline'
+     */
+    getConnectionStatus(): string;
+    /**
+     * The server's turn clock as of the last fresh /config
+     * @returns {{turn: (number|null), turnLength: number, endsAt: number, turnsSeen: number}|null} Turn number
+     *     (null when the server does not report it), when the turn is expected to end (epoch
+     *     milliseconds) and how many new turns were seen since; null before the first /config
+     */
+    getTurnClock(): {
+        turn: (number | null);
+        turnLength: number;
+        endsAt: number;
+        turnsSeen: number;
+    } | null;
+    /**
+     * Snapshot of connection health and recent request history for diagnostics displays
+     * @returns {Object} Status, health counters, transport, queued actions and request history (newest first)
+     */
+    getDiagnostics(): any;
+    /**
+     * Request counters per endpoint (ids and arguments replaced by placeholders, e.g.
+     * `GET /player/:id/surroundings`). `requests` went over the network, `deduped` calls joined
+     * a request already in flight and `cacheHits` were answered from the `/config` cache.
+     * @returns {{since: number, endpoints: Object<string, {requests: number, errors: number, notModified: number, deduped: number, cacheHits: number, averageDuration: (number|null), requestsPerSecond: number}>}} Counters since `since`
+     */
+    getRequestStats(): {
+        since: number;
+        endpoints: {
+            [x: string]: {
+                requests: number;
+                errors: number;
+                notModified: number;
+                deduped: number;
+                cacheHits: number;
+                averageDuration: (number | null);
+                requestsPerSecond: number;
+            };
+        };
+    };
+    /**
+     * Start the per-endpoint counters over
+     */
+    resetRequestStats(): void;
+    /**
+     * Clean up resources (stop polling, clear listeners)
+     */
+    dispose(): void;
+    _triggerStateUpdate(playerId: any): Promise<void>;
+    /**
+     * Emit state events for a freshly built UI state, independent of how it was fetched
+     * @private
+     * @param {Object} currentState - Output of _buildUIPlayerState
+     */
+    private _applyStateUpdate;
+    /**
+     * Combine raw server payloads into the camelCase view handed to UIs
+     * @private
+     * @param {string} playerId - Player ID
+     * @param {Player} player - Player payload
+     * @param {Surroundings} surroundings - Surroundings payload
+     * @param {GameState} gameState - Config payload
+     * @returns {UIPlayerState}
+     */
+    private _buildUIPlayerState;
+    _startPollingLoop(session: any): void;
+    /**
+     * Delay before the next poll. Near the expected end of a turn, and right after a new turn
+     * was seen (the player state may predate the resolution), polls are quick; mid-turn they
+     * wait until the boundary window opens, up to maxPollingInterval.
+     * @private
+     * @param {Object} session - Update session ({playerId, interval})
+     * @param {boolean} turnAdvanced - Whether the last poll saw a new turn
+     * @returns {number} Delay in milliseconds
+     */
+    private _nextPollDelay;
+    /**
+     * Track the server's turn clock and emit `turnAdvanced` when a new turn starts: by the turn
+     * number where the server reports one, else by the countdown starting over, which moves the
+     * expected end of the turn by about a turn length
+     * @private
+     * @param {GameState} gameState - Fresh /config payload
+     */
+    private _observeTurnClock;
+    /**
+     * A cached /config is reused for configCacheTtl, but not within turnBoundaryWindow of the
+     * end of the turn it describes, where the quick polls have to see the new turn
+     * @private
+     */
+    private _configCacheExpiry;
+    /**
+     * Pick a push transport the server advertises and this environment supports
+     * @private
+     * @returns {Promise<string|null>} 'sse', 'websocket' or null
+     */
+    private _detectPushTransport;
+    /**
+     * Open a push stream; resolves true once connected, false if it could not be opened
+     * @private
+     */
+    private _startPushTransport;
+    _openEventSource(path: any, onOpen: any, onMessage: any, onFailure: any): {
+        close: () => any;
+    };
+    _openWebSocket(path: any, onOpen: any, onMessage: any, onFailure: any): {
+        close: () => void;
+    };
+    /**
+     * Whether an open push stream delivers the player's updates and events
+     * @private
+     */
+    private _isPushActiveFor;
+    /**
+     * Apply a pushed message: a `state` snapshot ({player, surroundings, config}) emits the usual
+     * state events, `events` go to the event subscriptions for the player
+     * @private
+     */
+    private _handlePushMessage;
+    /**
+     * Run a schema validator from gommo-schema.js unless validation is switched off
+     * @private
+     * @param {Function} validator - Validator that throws a GommoError on a malformed payload
+     * @param {*} data - Server payload
+     * @returns {*} The validated payload
+     */
+    private _validate;
+    _setActiveTransport(transport: any): void;
+    /**
+     * @private
+     * @param {Player} player - Player payload
+     * @param {Surroundings} surroundings - Surroundings payload
+     * @param {GameState|null} gameState - Config payload, if loaded
+     * @param {Object} [options] - Passed on to StrategyEngine.evaluate
+     * @returns {AvailableActions}
+     */
+    private _computeAvailableActions;
+    _formatSurroundings(surroundings: any): {
+        tiles: any;
+        grid: {
+            terrain: any;
+            zombies: any;
+            players: any;
+            plannedMoves: {
+                north: any;
+                east: any;
+                south: any;
+                west: any;
+            };
+            safe: boolean;
+            dangerous: boolean;
+        }[][];
+        center: {
+            terrain: any;
+            zombies: any;
+            players: any;
+            plannedMoves: {
+                north: any;
+                east: any;
+                south: any;
+                west: any;
+            };
+            safe: boolean;
+            dangerous: boolean;
+        };
+        adjacent: {
+            north: {
+                terrain: any;
+                zombies: any;
+                players: any;
+                plannedMoves: {
+                    north: any;
+                    east: any;
+                    south: any;
+                    west: any;
+                };
+                safe: boolean;
+                dangerous: boolean;
+            };
+            east: {
+                terrain: any;
+                zombies: any;
+                players: any;
+                plannedMoves: {
+                    north: any;
+                    east: any;
+                    south: any;
+                    west: any;
+                };
+                safe: boolean;
+                dangerous: boolean;
+            };
+            south: {
+                terrain: any;
+                zombies: any;
+                players: any;
+                plannedMoves: {
+                    north: any;
+                    east: any;
+                    south: any;
+                    west: any;
+                };
+                safe: boolean;
+                dangerous: boolean;
+            };
+            west: {
+                terrain: any;
+                zombies: any;
+                players: any;
+                plannedMoves: {
+                    north: any;
+                    east: any;
+                    south: any;
+                    west: any;
+                };
+                safe: boolean;
+                dangerous: boolean;
+            };
+        };
+    };
+    _updateConnectionHealth(success: any): void;
+    _refreshConnectionStatus(): void;
+    _recordRequest(entry: any): void;
+    _endpointStatsFor(method: any, path: any): any;
+    _isRetryable(error: any): boolean;
+    _isUnreachable(error: any): boolean;
+    _backoffDelay(policy: any, attempt: any): number;
+    _enqueueAction(method: any, path: any, options: any): Readonly<{
+        queued: true;
+    }>;
+    _scheduleQueueFlush(): void;
+    _flushQueue(): any;
+    _replayQueue(): Promise<{
+        sent: any[];
+        dropped: any[];
+    }>;
+    _handleError(operation: any, error: any): void;
+    _emitEvent(eventType: any, data: any): void;
+}
+/**
+ * Custom error class for Gommo API errors
+ */
+export class GommoError extends Error {
+    constructor(message: any, statusCode?: number, details?: any);
+    statusCode: number;
+    details: any;
+}
+export namespace GommoConstants {
+    namespace DIRECTIONS {
+        let NORTH: string;
+        let EAST: string;
+        let SOUTH: string;
+        let WEST: string;
+        let STAY: string;
+    }
+    namespace CARDS {
+        let FOOD: string;
+        let WOOD: string;
+        let WEAPON: string;
+        let DICE: string;
+        let RESEARCH: string;
+        let NONE: string;
+    }
+    namespace SURROUNDING_OFFSETS {
+        namespace NW {
+            let x: number;
+            let y: number;
+        }
+        namespace NN {
+            let x_1: number;
+            export { x_1 as x };
+            let y_1: number;
+            export { y_1 as y };
+        }
+        namespace NE {
+            let x_2: number;
+            export { x_2 as x };
+            let y_2: number;
+            export { y_2 as y };
+        }
+        namespace WW {
+            let x_3: number;
+            export { x_3 as x };
+            let y_3: number;
+            export { y_3 as y };
+        }
+        namespace CE {
+            let x_4: number;
+            export { x_4 as x };
+            let y_4: number;
+            export { y_4 as y };
+        }
+        namespace EE {
+            let x_5: number;
+            export { x_5 as x };
+            let y_5: number;
+            export { y_5 as y };
+        }
+        namespace SW {
+            let x_6: number;
+            export { x_6 as x };
+            let y_6: number;
+            export { y_6 as y };
+        }
+        namespace SS {
+            let x_7: number;
+            export { x_7 as x };
+            let y_7: number;
+            export { y_7 as y };
+        }
+        namespace SE {
+            let x_8: number;
+            export { x_8 as x };
+            let y_8: number;
+            export { y_8 as y };
+        }
+    }
+    namespace TERRAINS {
+        let FOREST: string;
+        let FARM: string;
+        let CITY: string;
+        let LABORATORY: string;
+        let EDGE: string;
+    }
+    namespace EVENT_TYPES {
+        let PLAYER_JOIN: string;
+        let PLAYER_MOVE: string;
+        let CARD_USAGE: string;
+        let PLAYER_DEATH: string;
+        let COMBAT_RESULT: string;
+        let RESOURCE_GAINED: string;
+        let GAME_TICK: string;
+        let CARD_PLAYED: string;
+        let CARD_USED: string;
+        let CARD_SELECTED: string;
+        let CARD_CONSUMED: string;
+        let DICE_ROLL: string;
+        let COMBAT_START: string;
+        let ZOMBIE_SPAWN: string;
+        let CARD_DRAWN: string;
+        let CARD_DISCARDED: string;
+    }
+    namespace CLIENT_EVENTS {
+        export let STATE_CHANGE: string;
+        let PLAYER_DEATH_1: string;
+        export { PLAYER_DEATH_1 as PLAYER_DEATH };
+        export let GAME_WON: string;
+        export let TURN_COMPLETE: string;
+        export let TURN_ADVANCED: string;
+        export let ERROR: string;
+        export let EVENTS_RECEIVED: string;
+        export let FILTERED_EVENTS_RECEIVED: string;
+        export let NEW_PLAYER_EVENTS: string;
+        export let TRANSPORT_CHANGE: string;
+        export let REQUEST: string;
+        export let REQUEST_RETRY: string;
+        export let CONNECTION_CHANGE: string;
+        export let ACTION_QUEUED: string;
+        export let QUEUE_FLUSHED: string;
+    }
+    namespace RETRY_POLICIES {
+        namespace read {
+            let retries: number;
+            let baseDelay: number;
+            let maxDelay: number;
+            let factor: number;
+            let jitter: number;
+        }
+        namespace action {
+            let retries_1: number;
+            export { retries_1 as retries };
+            let baseDelay_1: number;
+            export { baseDelay_1 as baseDelay };
+            let maxDelay_1: number;
+            export { maxDelay_1 as maxDelay };
+            let factor_1: number;
+            export { factor_1 as factor };
+            let jitter_1: number;
+            export { jitter_1 as jitter };
+        }
+        namespace write {
+            let retries_2: number;
+            export { retries_2 as retries };
+            let baseDelay_2: number;
+            export { baseDelay_2 as baseDelay };
+            let maxDelay_2: number;
+            export { maxDelay_2 as maxDelay };
+            let factor_2: number;
+            export { factor_2 as factor };
+            let jitter_2: number;
+            export { jitter_2 as jitter };
+        }
+        namespace probe {
+            let retries_3: number;
+            export { retries_3 as retries };
+            let baseDelay_3: number;
+            export { baseDelay_3 as baseDelay };
+            let maxDelay_3: number;
+            export { maxDelay_3 as maxDelay };
+            let factor_3: number;
+            export { factor_3 as factor };
+            let jitter_3: number;
+            export { jitter_3 as jitter };
+        }
+    }
+    namespace TRANSPORTS {
+        let AUTO: string;
+        let SSE: string;
+        let WEBSOCKET: string;
+        let POLLING: string;
+    }
+}
+/**
+ * Identify a server event, so the same event is recognized across polls, pushes and views
+ * @param {GameEvent} event - Event from the events endpoint or a push stream
+ * @returns {string} Its ID, or turn, type and data for servers that send none
+ */
+export function eventKey(event: GameEvent): string;
+import { StrategyEngine } from './strategy-engine.js';
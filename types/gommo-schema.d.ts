@@ -0,0 +1,441 @@
+/**
+ * Validates a GET /player/:id response
+ * @param {*} data - Parsed response body
+ * @returns {Player} The same object
+ */
+export function validatePlayer(data: any): Player;
+/**
+ * Validates a GET /player/:id/surroundings response
+ * @param {*} data - Parsed response body
+ * @returns {Surroundings} The same object
+ */
+export function validateSurroundings(data: any): Surroundings;
+/**
+ * Validates a GET /config response
+ * @param {*} data - Parsed response body
+ * @returns {GameState} The same object
+ */
+export function validateGameState(data: any): GameState;
+/**
+ * Validates a single event
+ * @param {*} event - Event object
+ * @param {string} path - Where the event sits in the response, for error messages
+ * @returns {GameEvent} The same object
+ */
+export function validateEvent(event: any, path?: string): GameEvent;
+/**
+ * Validates the `data` of an events response
+ * @param {*} data - `data` field of the response envelope
+ * @returns {EventsResponse} The same object, with a null event list replaced by an empty one
+ */
+export function validateEventsResponse(data: any): EventsResponse;
+/**
+ * Validates the POST /player/:name response
+ * @param {*} data - Parsed response body
+ * @returns {string} The new player's ID
+ */
+export function validatePlayerId(data: any): string;
+/**
+ * Card name as sent by the server; 'None' marks an empty hand slot or no choice
+ */
+export type CardName = "Food" | "Wood" | "Weapon" | "Dice" | "Research" | "None";
+/**
+ * Terrain of a board tile; 'Edge' only appears in surroundings, for tiles off the board
+ */
+export type TerrainName = "Forest" | "Farm" | "City" | "Laboratory" | "Edge";
+/**
+ * Movement choice as sent by the server
+ */
+export type DirectionName = "North" | "East" | "South" | "West" | "Stay";
+/**
+ * Board coordinates; north decreases YPos
+ */
+export type TilePosition = {
+    /**
+     * - Column
+     */
+    XPos: number;
+    /**
+     * - Row
+     */
+    YPos: number;
+};
+/**
+ * The tile a player stands on
+ */
+export type PlayerTile = {
+    /**
+     * - Column
+     */
+    XPos: number;
+    /**
+     * - Row
+     */
+    YPos: number;
+    /**
+     * - Terrain, when the server includes it
+     */
+    Terrain?: TerrainName;
+};
+/**
+ * GET /player/:id
+ */
+export type Player = {
+    /**
+     * - Player ID
+     */
+    ID: string;
+    /**
+     * - Display name
+     */
+    Name: string;
+    /**
+     * - False once the player has become undead
+     */
+    Alive: boolean;
+    /**
+     * - Whether a bot controls the player
+     */
+    IsBot: boolean;
+    /**
+     * - Current position
+     */
+    CurrentTile: PlayerTile;
+    /**
+     * - Movement chosen for this turn
+     */
+    Direction: DirectionName;
+    /**
+     * - Hand slots, 'None' for empty ones
+     */
+    Cards: CardName[];
+    /**
+     * - Card played this turn
+     */
+    Play: CardName;
+    /**
+     * - Card consumed this turn
+     */
+    Consume: CardName;
+    /**
+     * - Card discarded at the end of this turn
+     */
+    Discard: CardName;
+    /**
+     * - Where each research card was found
+     */
+    ResearchAcquisitionPos: TilePosition[] | null;
+};
+/**
+ * One tile of GET /player/:id/surroundings
+ */
+export type SurroundingTile = {
+    /**
+     * - Terrain
+     */
+    TileType: TerrainName;
+    /**
+     * - Zombies on the tile
+     */
+    ZombieCount: number;
+    /**
+     * - Living players on the tile
+     */
+    PlayerCount: number;
+    /**
+     * - Players on the tile heading north this turn
+     */
+    PlayersPlanMoveNorth: number;
+    /**
+     * - Players on the tile heading east this turn
+     */
+    PlayersPlanMoveEast: number;
+    /**
+     * - Players on the tile heading south this turn
+     */
+    PlayersPlanMoveSouth: number;
+    /**
+     * - Players on the tile heading west this turn
+     */
+    PlayersPlanMoveWest: number;
+};
+/**
+ * GET /player/:id/surroundings - the 3x3 grid around the player, keyed by compass position
+ * (see GommoConstants.SURROUNDING_OFFSETS)
+ */
+export type Surroundings = {
+    NW: SurroundingTile;
+    NN: SurroundingTile;
+    NE: SurroundingTile;
+    WW: SurroundingTile;
+    CE: SurroundingTile;
+    EE: SurroundingTile;
+    SW: SurroundingTile;
+    SS: SurroundingTile;
+    SE: SurroundingTile;
+};
+/**
+ * How fights are decided, on servers that announce it: everyone on a tile with zombies rolls
+ * a die, cards add bonuses, and the total must reach ZombiesToDice per zombie
+ */
+export type CombatRules = {
+    /**
+     * - Sides of each player's die
+     */
+    DieSides?: number;
+    /**
+     * - Added by a played weapon
+     */
+    WeaponBonus?: number;
+    /**
+     * - Added by consumed wood
+     */
+    WoodBonus?: number;
+    /**
+     * - Total needed per zombie on the tile
+     */
+    ZombiesToDice?: number;
+};
+/**
+ * GET /config
+ */
+export type GameState = {
+    /**
+     * - Seconds per turn
+     */
+    TurnLength: number;
+    /**
+     * - Seconds left in the current turn
+     */
+    TurnTime: number;
+    /**
+     * - Current turn number, on servers that report it
+     */
+    Turn?: number;
+    /**
+     * - Whether the survivors have won
+     */
+    havePlayersWon: boolean;
+    /**
+     * - Research cards needed at a laboratory to win
+     */
+    ResearchToWin?: number;
+    /**
+     * - Turns without food that kill a player, on servers that announce it
+     */
+    StarvationTurns?: number;
+    /**
+     * - Combat rules, on servers that announce them
+     */
+    CombatRules?: CombatRules;
+    /**
+     * - Push transports offered ('sse', 'websocket')
+     */
+    PushTransports?: string[];
+};
+/**
+ * A player event; EventData depends on EventType (see GommoConstants.EVENT_TYPES)
+ */
+export type GameEvent = {
+    /**
+     * - Increasing event ID, on servers that report it
+     */
+    ID?: number;
+    /**
+     * - Player the event belongs to
+     */
+    PlayerID?: string;
+    /**
+     * - Turn the event happened in
+     */
+    Turn: number;
+    /**
+     * - Event type, e.g. 'player_move'
+     */
+    EventType: string;
+    /**
+     * - Type-specific details
+     */
+    EventData: {
+        [x: string]: any;
+    };
+};
+/**
+ * GET /player/:id/events and /player/:id/events/type/:type (the `data` field of the envelope)
+ */
+export type EventsResponse = {
+    /**
+     * - Events, oldest first
+     */
+    events: GameEvent[];
+    /**
+     * - Number of events
+     */
+    count: number;
+};
+/**
+ * Surroundings tile in the client's camelCase view
+ */
+export type FormattedTile = {
+    terrain: TerrainName;
+    zombies: number;
+    players: number;
+    plannedMoves: {
+        north: number;
+        east: number;
+        south: number;
+        west: number;
+    };
+    /**
+     * - No zombies
+     */
+    safe: boolean;
+    /**
+     * - More than two zombies
+     */
+    dangerous: boolean;
+};
+/**
+ * Surroundings as formatted for UIs
+ */
+export type FormattedSurroundings = {
+    /**
+     * - Raw server tiles
+     */
+    tiles: Surroundings;
+    /**
+     * - Rows from north to south
+     */
+    grid: FormattedTile[][];
+    center: FormattedTile;
+    adjacent: {
+        north: FormattedTile;
+        east: FormattedTile;
+        south: FormattedTile;
+        west: FormattedTile;
+    };
+};
+/**
+ * Player as formatted for UIs
+ */
+export type UIPlayer = {
+    id: string;
+    name: string;
+    alive: boolean;
+    isBot: boolean;
+    position: {
+        x: number;
+        y: number;
+        terrain: (TerrainName | undefined);
+    };
+    direction: DirectionName;
+    cards: {
+        hand: CardName[];
+        handSize: number;
+        maxSize: number;
+        slots: CardName[];
+        play: CardName;
+        consume: CardName;
+        discard: CardName;
+    };
+    research: {
+        positions: (TilePosition[] | null);
+        count: number;
+    };
+};
+/**
+ * Payload of the `stateChange`, `playerDeath` and `gameWon` events
+ */
+export type UIPlayerState = {
+    player: UIPlayer;
+    surroundings: FormattedSurroundings;
+    gameState: GameState;
+    /**
+     * - Event helpers bound to the player
+     */
+    events: {
+        [x: string]: Function;
+    };
+};
+/**
+ * A scored suggestion from the StrategyEngine
+ */
+export type Recommendation = {
+    /**
+     * - 'movement', 'play', 'consume', 'discard' or 'info'
+     */
+    type: string;
+    /**
+     * - Direction or lowercase card name
+     */
+    action: string;
+    /**
+     * - Weighted sum of the evaluators' scores
+     */
+    score: number;
+    /**
+     * - 'high', 'medium', 'low' or 'avoid'
+     */
+    priority: string;
+    /**
+     * - Explanation of the strongest contribution
+     */
+    reason: string;
+    /**
+     * - Every contribution
+     */
+    explanations: Array<{
+        evaluator: string;
+        score: number;
+        reason: string;
+    }>;
+};
+/**
+ * A direction the player can take this turn
+ */
+export type AvailableDirection = {
+    /**
+     * - GommoConstants.DIRECTIONS value
+     */
+    direction: string;
+    /**
+     * - Direction name ('north', ..., 'stay')
+     */
+    name: string;
+    /**
+     * - No zombies on the target tile
+     */
+    safe: boolean;
+    zombieCount: number;
+    terrain: TerrainName;
+    playerCount: number;
+};
+/**
+ * Result of getAvailableActions
+ */
+export type AvailableActions = {
+    canMove: boolean;
+    canPlay: boolean;
+    availableCards: Array<{
+        type: CardName;
+        constant: string;
+    }>;
+    availableDirections: AvailableDirection[];
+    /**
+     * - Missing for undead players
+     */
+    recommendations?: Recommendation[];
+};
+/**
+ * Result of a player action (setPlayerDirection, playCard, discardCard, ...)
+ */
+export type ActionResult = {
+    /**
+     * - True when the server was unreachable and the action waits in the offline queue
+     */
+    queued: boolean;
+    /**
+     * - Queue slot of the action, e.g. 'direction:<playerId>'
+     */
+    key: string;
+};
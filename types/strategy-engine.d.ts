@@ -0,0 +1,154 @@
+/**
+ * Prefers moves that lower the zombie risk compared to staying put
+ */
+export function zombieRiskEvaluator({ surroundings, moves }: {
+    surroundings: any;
+    moves: any;
+}): any;
+/**
+ * Uses planned moves to predict who ends up where: allies help in a fight,
+ * a crowd on a quiet tile is just in the way
+ */
+export function congestionEvaluator({ surroundings, moves }: {
+    surroundings: any;
+    moves: any;
+}): any;
+/**
+ * Steers towards research in cities and, once enough is collected, to a laboratory
+ */
+export function researchEvaluator({ surroundings, hand, handSize, gameState, moves }: {
+    surroundings: any;
+    hand: any;
+    handSize: any;
+    gameState: any;
+    moves: any;
+}): any[];
+/**
+ * Judges the hand: food keeps the player alive once hunger sets in, weapons and wood win
+ * fights, free slots are worth filling and a full hand should drop its least useful card
+ */
+export function handEvaluator({ surroundings, hand, handSize, moves, turnsSinceFood, starvationTurns, starvationAssumed }: {
+    surroundings: any;
+    hand: any;
+    handSize: any;
+    moves: any;
+    turnsSinceFood: any;
+    starvationTurns: any;
+    starvationAssumed: any;
+}): {
+    type: string;
+    action: string;
+    score: number;
+    reason: string;
+}[];
+export namespace DEFAULT_EVALUATORS {
+    export { zombieRiskEvaluator as zombieRisk };
+    export { congestionEvaluator as congestion };
+    export { researchEvaluator as research };
+    export { handEvaluator as hand };
+}
+export class StrategyEngine {
+    /**
+     * Best recommendation of a given type, e.g. the move to make
+     * @param {Array<Object>} recommendations - Output of evaluate()
+     * @param {string} type - Recommendation type
+     * @returns {Object|null} Highest scored recommendation of that type
+     */
+    static best(recommendations: Array<any>, type: string): any | null;
+    static priorityFor(score: any): "high" | "low" | "medium" | "avoid";
+    /**
+     * @param {Object} options - Optional configuration
+     * @param {boolean} options.defaults - Register DEFAULT_EVALUATORS (default: true)
+     */
+    constructor(options?: {
+        defaults: boolean;
+    });
+    _evaluators: Map<any, any>;
+    /**
+     * Register or replace an evaluator
+     * @param {string} name - Unique evaluator name, shown in explanations
+     * @param {Function} evaluate - (EvaluationContext) => Suggestion[]
+     * @param {Object} options - Optional configuration
+     * @param {number} options.weight - Multiplier applied to the evaluator's scores (default: 1)
+     * @returns {Function} Function that unregisters the evaluator
+     */
+    register(name: string, evaluate: Function, options?: {
+        weight: number;
+    }): Function;
+    unregister(name: any): boolean;
+    setWeight(name: any, weight: any): void;
+    getEvaluatorNames(): any[];
+    /**
+     * Score every registered evaluator and rank the merged suggestions
+     * @param {Object} player - Raw player data from the server
+     * @param {Object} surroundings - Raw surroundings data from the server
+     * @param {Object|null} gameState - Raw /config data, if known
+     * @param {Object} [options] - Optional configuration
+     * @param {number} [options.lastMealTurn] - Turn in which the player last ate or joined; with
+     *     gameState.Turn it tells how close the player is to starving, by gameState.StarvationTurns
+     *     where the server announces it
+     * @returns {Array<Object>} Recommendations ({type, action, score, priority, reason, explanations}), best first
+     */
+    evaluate(player: any, surroundings: any, gameState?: any | null, options?: {
+        lastMealTurn?: number;
+    }): Array<any>;
+}
+export type EvaluationContext = {
+    /**
+     * - Raw player data from the server
+     */
+    player: any;
+    /**
+     * - Raw surroundings keyed by tile ID (NW, NN, ..., SE)
+     */
+    surroundings: any;
+    /**
+     * - Raw /config data, if known
+     */
+    gameState: any | null;
+    /**
+     * - Cards in hand, without empty slots
+     */
+    hand: string[];
+    /**
+     * - Number of card slots, including empty ones
+     */
+    handSize: number;
+    /**
+     * - Moves that stay on the board
+     */
+    moves: Array<{
+        name: string;
+        tile: any;
+    }>;
+    /**
+     * - Turns the player has gone without food, null if unknown
+     */
+    turnsSinceFood: number | null;
+    /**
+     * - Turns without food that kill a player
+     */
+    starvationTurns: number;
+    /**
+     * - Whether starvationTurns is assumed rather than announced in /config
+     */
+    starvationAssumed: boolean;
+};
+export type Suggestion = {
+    /**
+     * - 'movement', 'play', 'consume', 'discard' or 'info'
+     */
+    type: string;
+    /**
+     * - Direction name or card type
+     */
+    action: string;
+    /**
+     * - Positive to recommend, negative to warn against
+     */
+    score: number;
+    /**
+     * - Why, in player-facing words
+     */
+    reason: string;
+};
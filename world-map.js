@@ -0,0 +1,211 @@
+import { GommoConstants } from "./gommo-client.js";
+
+const TERRAIN_COLORS = {
+  Forest: "#2e7d32",
+  Farm: "#c0a030",
+  City: "#707070",
+  Laboratory: "#8e24aa",
+  Edge: "#111111"
+};
+
+const MIN_CELL_SIZE = 4;
+const MAX_CELL_SIZE = 40;
+
+export class WorldMap {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.cellSize = options.cellSize || 16;
+    this.tiles = new Map();
+    this.position = null;
+    this.turn = null;
+
+    this.createElements();
+    this.render();
+  }
+
+  createElements() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'world-map-canvas';
+    this.canvas.width = 240;
+    this.canvas.height = 240;
+    this.context = this.canvas.getContext('2d');
+
+    this.controls = document.createElement('div');
+    this.controls.className = 'world-map-controls';
+    this.zoomInButton = this.createButton('+', () => this.zoom(1));
+    this.zoomOutButton = this.createButton('−', () => this.zoom(-1));
+    this.controls.appendChild(this.zoomInButton);
+    this.controls.appendChild(this.zoomOutButton);
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'world-map-tooltip';
+
+    this.labList = document.createElement('div');
+    this.labList.className = 'world-map-labs';
+
+    this.canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      this.zoom(event.deltaY < 0 ? 1 : -1);
+    }, { passive: false });
+    this.canvas.addEventListener('mousemove', (event) => this.showTooltip(event));
+    this.canvas.addEventListener('mouseleave', () => {
+      this.tooltip.style.display = 'none';
+    });
+
+    this.element.appendChild(this.canvas);
+    this.element.appendChild(this.controls);
+    this.element.appendChild(this.tooltip);
+    this.element.appendChild(this.labList);
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Stitches a surroundings response into the map
+   * @param {Object} position - Player tile position ({x, y})
+   * @param {Object} surroundings - Raw surroundings keyed by tile ID (NW, NN, ..., SE)
+   * @param {number|null} turn - Server turn number the data was seen on
+   */
+  recordSurroundings(position, surroundings, turn = null) {
+    if (!position || !surroundings) return;
+
+    const seenAt = Date.now();
+    this.position = { x: position.x, y: position.y };
+    this.turn = turn;
+
+    Object.entries(GommoConstants.SURROUNDING_OFFSETS).forEach(([tileId, offset]) => {
+      const tileData = surroundings[tileId];
+      if (!tileData) return;
+
+      const x = position.x + offset.x;
+      const y = position.y + offset.y;
+      this.tiles.set(`${x}|${y}`, {
+        x,
+        y,
+        terrain: tileData.TileType,
+        zombies: tileData.ZombieCount,
+        players: tileData.PlayerCount,
+        seenAt,
+        seenTurn: turn
+      });
+    });
+
+    this.render();
+  }
+
+  getTile(x, y) {
+    return this.tiles.get(`${x}|${y}`) || null;
+  }
+
+  getLaboratories() {
+    return [...this.tiles.values()].filter(tile => tile.terrain === GommoConstants.TERRAINS.LABORATORY);
+  }
+
+  zoom(step) {
+    const factor = step > 0 ? 1.25 : 0.8;
+    this.cellSize = Math.min(MAX_CELL_SIZE, Math.max(MIN_CELL_SIZE, Math.round(this.cellSize * factor)));
+    this.render();
+  }
+
+  clear() {
+    this.tiles.clear();
+    this.position = null;
+    this.render();
+  }
+
+  /**
+   * Converts canvas pixel coordinates into world tile coordinates
+   */
+  toWorld(pixelX, pixelY) {
+    const center = this.position || { x: 0, y: 0 };
+    return {
+      x: Math.floor((pixelX - this.canvas.width / 2) / this.cellSize + 0.5) + center.x,
+      y: Math.floor((pixelY - this.canvas.height / 2) / this.cellSize + 0.5) + center.y
+    };
+  }
+
+  describeAge(tile) {
+    if (this.turn !== null && tile.seenTurn !== null) {
+      const turns = this.turn - tile.seenTurn;
+      if (turns > 0) {
+        return `seen ${turns} turn${turns === 1 ? '' : 's'} ago`;
+      }
+    }
+    const seconds = Math.round((Date.now() - tile.seenAt) / 1000);
+    return seconds < 2 ? 'seen now' : `seen ${seconds}s ago`;
+  }
+
+  showTooltip(event) {
+    const bounds = this.canvas.getBoundingClientRect();
+    const scaleX = this.canvas.width / bounds.width;
+    const scaleY = this.canvas.height / bounds.height;
+    const { x, y } = this.toWorld((event.clientX - bounds.left) * scaleX, (event.clientY - bounds.top) * scaleY);
+    const tile = this.getTile(x, y);
+
+    if (!tile) {
+      this.tooltip.style.display = 'none';
+      return;
+    }
+
+    this.tooltip.textContent = `${tile.terrain} ${x}|${y} · Z:${tile.zombies} P:${tile.players} · ${this.describeAge(tile)}`;
+    this.tooltip.style.display = 'block';
+  }
+
+  render() {
+    const { context, canvas, cellSize } = this;
+    const center = this.position || { x: 0, y: 0 };
+    const now = Date.now();
+
+    // Fog of war: everything not yet seen stays dark
+    context.fillStyle = '#222222';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    this.tiles.forEach(tile => {
+      const left = canvas.width / 2 + (tile.x - center.x - 0.5) * cellSize;
+      const top = canvas.height / 2 + (tile.y - center.y - 0.5) * cellSize;
+      if (left + cellSize < 0 || top + cellSize < 0 || left > canvas.width || top > canvas.height) return;
+
+      // Fade tiles the longer they have gone unseen
+      const ageSeconds = (now - tile.seenAt) / 1000;
+      context.globalAlpha = Math.max(0.35, 1 - ageSeconds / 300);
+      context.fillStyle = TERRAIN_COLORS[tile.terrain] || '#444444';
+      context.fillRect(left, top, cellSize - 1, cellSize - 1);
+
+      if (tile.zombies > 0 && cellSize >= 8) {
+        context.fillStyle = 'rgba(255, 50, 50, 0.95)';
+        context.fillRect(left + 1, top + 1, cellSize / 3, cellSize / 3);
+        if (cellSize >= 20) {
+          context.fillStyle = 'white';
+          context.font = `${Math.floor(cellSize / 3)}px Arial`;
+          context.fillText(String(tile.zombies), left + 2, top + cellSize / 3);
+        }
+      }
+      if (tile.players > 0 && cellSize >= 8) {
+        context.fillStyle = 'rgba(0, 120, 255, 0.95)';
+        context.fillRect(left + cellSize * 2 / 3 - 2, top + 1, cellSize / 3, cellSize / 3);
+      }
+    });
+    context.globalAlpha = 1;
+
+    if (this.position) {
+      context.strokeStyle = 'red';
+      context.lineWidth = 2;
+      context.strokeRect(canvas.width / 2 - cellSize / 2, canvas.height / 2 - cellSize / 2, cellSize - 1, cellSize - 1);
+    }
+
+    this.renderLaboratories();
+  }
+
+  renderLaboratories() {
+    const labs = this.getLaboratories();
+    this.labList.textContent = labs.length > 0
+      ? `Laboratories: ${labs.map(lab => `${lab.x}|${lab.y}`).join(', ')}`
+      : 'No laboratories discovered yet';
+  }
+}